@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+/**
+ * TypeORM to Prisma Migration CLI
+ *
+ * Runs the codemod over a NestJS code base without having to invoke jscodeshift
+ * by hand. The transform is applied in-process so that every file's changes can
+ * be shown as a diff and counted in the summary printed at the end of the run.
+ *
+ * Usage:
+ * npx typeorm-to-prisma src --dry --only=services,modules
+ */
+
+const fs = require('fs')
+const path = require('path')
+const jscodeshift = require('jscodeshift')
+const micromatch = require('micromatch')
+const { createTwoFilesPatch } = require('diff')
+const yargs = require('yargs/yargs')
+const { hideBin } = require('yargs/helpers')
+
+const transform = require('../src/typeorm-to-prisma')
+const {
+  printSchemaPreviews,
+  takeSchemaPreviews,
+} = require('../src/schema-writer')
+
+// Categories reported by the transform through `api.stats`
+const CATEGORIES = ['entities', 'repositories', 'services', 'modules']
+
+// Transformations selectable with --only
+const TRANSFORMATIONS = ['entities', 'services', 'modules']
+
+// Directories that never contain sources to migrate
+const SKIPPED_DIRECTORIES = ['node_modules', '.git']
+
+const argv = yargs(hideBin(process.argv))
+  .scriptName('typeorm-to-prisma')
+  .usage('$0 [paths..]', 'Migrate TypeORM code to Prisma', (command) =>
+    command.positional('paths', {
+      describe: 'Files or directories to transform',
+      type: 'string',
+      array: true,
+      default: ['src'],
+    })
+  )
+  .option('dry', {
+    alias: 'd',
+    type: 'boolean',
+    default: false,
+    describe: 'Print a unified diff for every changed file without writing',
+  })
+  .option('only', {
+    type: 'string',
+    describe: `Comma-separated transformations to run: ${TRANSFORMATIONS.join(
+      ', '
+    )}`,
+  })
+  .option('include', {
+    type: 'array',
+    string: true,
+    default: ['**/*.ts', '**/*.tsx'],
+    describe: 'Glob patterns of files to transform',
+  })
+  .option('exclude', {
+    type: 'array',
+    string: true,
+    default: ['**/*.d.ts', '**/dist/**'],
+    describe: 'Glob patterns of files to skip',
+  })
+  .option('projectRoot', {
+    type: 'string',
+    describe:
+      'Directory scanned for entities (defaults to the working directory)',
+  })
+  .option('prismaDir', {
+    type: 'string',
+    default: 'src/prisma',
+    describe:
+      'Directory of prisma.service.ts and prisma.module.ts, relative to the project root',
+  })
+  .option('prismaAlias', {
+    type: 'string',
+    describe:
+      'tsconfig path alias to import PrismaService and PrismaModule from (e.g. @app/prisma)',
+  })
+  .option('prismaGlobal', {
+    type: 'boolean',
+    default: true,
+    describe: 'Make the scaffolded PrismaModule @Global()',
+  })
+  .option('prismaLog', {
+    type: 'string',
+    describe:
+      'Comma-separated log levels of the scaffolded PrismaService (query, info, warn, error)',
+  })
+  .option('schemaOut', {
+    type: 'string',
+    describe: 'Merge the generated Prisma models into this schema file',
+  })
+  .option('provider', {
+    type: 'string',
+    choices: [
+      'postgresql',
+      'mysql',
+      'sqlserver',
+      'cockroachdb',
+      'sqlite',
+      'mongodb',
+    ],
+    describe:
+      'Database of the native column types (defaults to the type of the TypeORM connection)',
+  })
+  .option('namingStrategy', {
+    type: 'string',
+    choices: ['default', 'snake_case'],
+    default: 'default',
+    describe:
+      'Naming strategy of the TypeORM connection, which names the columns of the schema',
+  })
+  .example('$0 src --dry', 'Show the changes for every file under src/')
+  .example(
+    '$0 src --only=services --exclude="**/*.spec.ts"',
+    'Only migrate repository usage, skipping tests'
+  )
+  .check((args) => {
+    const unknown = (args.only || '')
+      .split(',')
+      .map((name) => name.trim())
+      .filter((name) => name && !TRANSFORMATIONS.includes(name))
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown --only value(s): ${unknown.join(', ')}. ` +
+          `Expected any of: ${TRANSFORMATIONS.join(', ')}`
+      )
+    }
+    return true
+  })
+  .strict(false)
+  .help()
+  .parse()
+
+// Recursively collect the files below `target` that match the globs
+function collectFiles(target, files = []) {
+  const stat = fs.statSync(target)
+
+  if (stat.isDirectory()) {
+    fs.readdirSync(target).forEach((entry) => {
+      if (SKIPPED_DIRECTORIES.includes(entry)) return
+      collectFiles(path.join(target, entry), files)
+    })
+  } else {
+    const relativePath = path.relative(process.cwd(), target)
+    if (
+      micromatch.isMatch(relativePath, argv.include, { dot: true }) &&
+      !micromatch.isMatch(relativePath, argv.exclude, { dot: true })
+    ) {
+      files.push(relativePath)
+    }
+  }
+
+  return files
+}
+
+// Options forwarded to the transform, without yargs' own bookkeeping
+function getTransformOptions() {
+  const options = {}
+  Object.keys(argv).forEach((key) => {
+    if (['_', '$0', 'paths', 'include', 'exclude'].includes(key)) return
+    if (key.includes('-')) return
+    options[key] = argv[key]
+  })
+  return options
+}
+
+function run() {
+  const options = getTransformOptions()
+  const summary = {
+    processed: 0,
+    changed: 0,
+    errors: [],
+    categories: Object.fromEntries(CATEGORIES.map((name) => [name, 0])),
+  }
+
+  const files = []
+  argv.paths.forEach((target) => {
+    if (!fs.existsSync(target)) {
+      console.error(`Path not found: ${target}`)
+      process.exitCode = 1
+      return
+    }
+    collectFiles(target, files)
+  })
+
+  files.forEach((file) => {
+    const source = fs.readFileSync(file, 'utf8')
+    const parser = file.endsWith('.tsx') ? 'tsx' : 'ts'
+    const j = jscodeshift.withParser(parser)
+    const changes = new Set()
+
+    const api = {
+      j,
+      jscodeshift: j,
+      stats: (name) => changes.add(name),
+      report: (message) => console.log(`${file}: ${message}`),
+    }
+
+    summary.processed++
+
+    let output
+    try {
+      output = transform({ path: file, source }, api, options)
+    } catch (error) {
+      summary.errors.push({ file, error })
+      console.error(`Error transforming ${file}: ${error.message}`)
+      return
+    }
+
+    if (output == null || output === source) return
+
+    summary.changed++
+    changes.forEach((name) => {
+      summary.categories[name] = (summary.categories[name] || 0) + 1
+    })
+
+    if (argv.dry) {
+      process.stdout.write(
+        createTwoFilesPatch(file, file, source, output, 'original', 'migrated')
+      )
+    } else {
+      fs.writeFileSync(file, output)
+    }
+  })
+
+  // The schema merged from all files, after the diffs of the files
+  if (argv.dry) printSchemaPreviews(takeSchemaPreviews())
+
+  printSummary(summary)
+
+  if (summary.errors.length > 0) {
+    process.exitCode = 1
+  }
+}
+
+function printSummary(summary) {
+  const lines = [
+    '',
+    argv.dry ? 'Summary (dry run, no files written)' : 'Summary',
+    `  Files processed: ${summary.processed}`,
+    `  Files changed:   ${summary.changed}`,
+    `  Errors:          ${summary.errors.length}`,
+    '  Files changed per category:',
+    ...Object.entries(summary.categories).map(
+      ([name, count]) => `    ${name.padEnd(14)} ${count}`
+    ),
+  ]
+
+  summary.errors.forEach(({ file }) => {
+    lines.push(`  Failed: ${file}`)
+  })
+
+  console.log(lines.join('\n'))
+}
+
+run()
@@ -0,0 +1,35 @@
+const jscodeshift = require('jscodeshift')
+
+const { countReferences } = require('../ast-utils')
+
+const j = jscodeshift.withParser('ts')
+
+describe('countReferences', () => {
+  it('counts the decorators of parameters and class properties', () => {
+    const root = j(`
+import { InjectRepository } from '@nestjs/typeorm'
+
+class UsersService {
+  @InjectRepository(Post) posts: Repository<Post>
+
+  constructor(
+    @InjectRepository(User) users: Repository<User>,
+    @InjectRepository(Profile) private profiles: Repository<Profile>
+  ) {}
+}
+`)
+
+    expect(countReferences(j, root, 'InjectRepository')).toBe(3)
+    expect(countReferences(j, root, 'User')).toBe(2)
+  })
+
+  it('skips imports, member names and property keys', () => {
+    const root = j(`
+import { id } from './id'
+const user = { id: 1 }
+user.id = id
+`)
+
+    expect(countReferences(j, root, 'id')).toBe(1)
+  })
+})
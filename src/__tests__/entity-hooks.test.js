@@ -0,0 +1,212 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const {
+  getHookIndex,
+  getHookProblems,
+  isMovedHook,
+  renderHooksExtension,
+} = require('../entity-hooks')
+
+const FILES = {
+  'member.entity.ts': `
+import { Entity, Column, PrimaryGeneratedColumn, BeforeInsert, BeforeUpdate, AfterLoad, BeforeSoftRemove, ManyToOne } from 'typeorm'
+import { slugify } from './slug'
+import { Author } from './author.entity'
+import { Timestamped } from './timestamped'
+
+const ROUNDS = 10
+
+@Entity()
+export class Member extends Timestamped {
+  @PrimaryGeneratedColumn() id: number
+  @Column() email: string
+  @Column() password: string
+  @Column({ nullable: true }) slug: string
+  @ManyToOne(() => Author) author: Author
+
+  @BeforeInsert()
+  @BeforeUpdate()
+  setSlug() {
+    this.slug = slugify(this.email)
+  }
+
+  @AfterLoad()
+  normalize() {
+    this.email = this.email.toLowerCase()
+  }
+
+  @BeforeInsert()
+  salt() {
+    this.password = this.password + ROUNDS
+  }
+
+  @BeforeUpdate()
+  checkAuthor() {
+    if (!this.author) throw new Error('no author')
+  }
+
+  @BeforeSoftRemove()
+  beforeSoftRemove() {
+    console.log('soft removal')
+  }
+}
+`,
+  'author.entity.ts': `
+import { Entity, PrimaryGeneratedColumn } from 'typeorm'
+
+@Entity()
+export class Author {
+  @PrimaryGeneratedColumn() id: number
+}
+`,
+  'timestamped.ts': `
+import { Column, BeforeInsert } from 'typeorm'
+
+export abstract class Timestamped {
+  @Column({ nullable: true }) stampedAt: Date
+
+  @BeforeInsert()
+  stamp() {
+    this.stampedAt = new Date()
+  }
+}
+`,
+  'member.subscriber.ts': `
+import { EntitySubscriberInterface, EventSubscriber, InsertEvent, UpdateEvent } from 'typeorm'
+import { Member } from './member.entity'
+
+@EventSubscriber()
+export class MemberSubscriber implements EntitySubscriberInterface<Member> {
+  listenTo() {
+    return Member
+  }
+
+  beforeInsert(event: InsertEvent<Member>) {
+    event.entity.email = event.entity.email.trim()
+  }
+
+  beforeUpdate(event: UpdateEvent<Member>) {
+    console.log(event.databaseEntity)
+  }
+}
+
+@EventSubscriber()
+export class AuditSubscriber implements EntitySubscriberInterface {
+  afterInsert({ entity }: InsertEvent<any>) {
+    console.log('created', entity)
+  }
+}
+`,
+}
+
+let projectRoot
+let index
+
+beforeAll(() => {
+  projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'entity-hooks-'))
+  Object.entries(FILES).forEach(([name, source]) => {
+    fs.writeFileSync(path.join(projectRoot, name), source)
+  })
+  index = getHookIndex({ projectRoot })
+})
+
+afterAll(() => {
+  fs.rmSync(projectRoot, { recursive: true, force: true })
+})
+
+function findHook(className, method) {
+  return index.hooks.find(
+    (hook) => hook.className === className && hook.method === method
+  )
+}
+
+describe('getHookIndex', () => {
+  it('collects the listeners of entities and their base classes', () => {
+    expect(findHook('Member', 'setSlug')).toMatchObject({
+      kind: 'listener',
+      name: 'memberSetSlug',
+      events: ['beforeInsert', 'beforeUpdate'],
+      entities: ['Member'],
+    })
+    expect(findHook('Timestamped', 'stamp').entities).toEqual(['Member'])
+  })
+
+  it('collects the subscribers of one entity or of all of them', () => {
+    expect(findHook('MemberSubscriber', 'beforeInsert').entities).toEqual([
+      'Member',
+    ])
+    expect(findHook('AuditSubscriber', 'afterInsert').entities).toEqual([])
+    expect([...index.models.keys()]).toEqual(['member', '$allModels'])
+  })
+})
+
+describe('isMovedHook', () => {
+  it('moves the hooks that only use the record and imports', () => {
+    expect(isMovedHook(findHook('Member', 'setSlug'))).toBe(true)
+    expect(isMovedHook(findHook('MemberSubscriber', 'beforeInsert'))).toBe(true)
+    expect(isMovedHook(findHook('AuditSubscriber', 'afterInsert'))).toBe(true)
+  })
+
+  it('reports the hooks that cannot run in the extension', () => {
+    const problems = (className, method) =>
+      getHookProblems(findHook(className, method))
+
+    expect(isMovedHook(findHook('Member', 'salt'))).toBe(false)
+    expect(problems('Member', 'salt')).toEqual([
+      'it uses `ROUNDS`, which member.entity.ts does not export',
+    ])
+    expect(problems('Member', 'checkAuthor')).toEqual([
+      'it reads the `author` relation of Member',
+    ])
+    expect(problems('MemberSubscriber', 'beforeUpdate')).toEqual([
+      'it reads `event.databaseEntity`',
+    ])
+    expect(problems('Member', 'beforeSoftRemove')).toEqual([
+      'beforeSoftRemove has no Prisma query: soft removal is an update of the delete date column',
+    ])
+  })
+})
+
+describe('renderHooksExtension', () => {
+  it('runs the moved hooks around the queries of their models', () => {
+    const source = renderHooksExtension(index, path.join(projectRoot, 'prisma'))
+
+    expect(source).toContain(`import { slugify } from '../slug'`)
+    expect(source).toContain(
+      [
+        'function memberSetSlug(member: any) {',
+        '  member.slug = slugify(member.email)',
+        '}',
+      ].join('\n')
+    )
+    expect(source).toContain(
+      [
+        '      async create({ args, query }) {',
+        '        await runHooks(timestampedStamp, args.data)',
+        '        await runHooks(memberSetSlug, args.data)',
+        '        await runHooks(memberSubscriberBeforeInsert, args.data)',
+        '        return query(args)',
+        '      },',
+      ].join('\n')
+    )
+    expect(source).toContain(
+      [
+        '      async findMany({ args, query }) {',
+        '        const result = await query(args)',
+        '        await runHooks(memberNormalize, result)',
+        '        return result',
+        '      },',
+      ].join('\n')
+    )
+    expect(source).toContain('    $allModels: {')
+    expect(source).not.toContain('memberSalt')
+  })
+
+  it('renders nothing without hooks to move', () => {
+    expect(renderHooksExtension({ hooks: [], models: new Map() }, '.')).toBe(
+      null
+    )
+  })
+})
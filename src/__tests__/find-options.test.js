@@ -0,0 +1,245 @@
+const jscodeshift = require('jscodeshift')
+
+const { createFindOptionsTranslator } = require('../find-options')
+
+const j = jscodeshift.withParser('ts')
+
+// Relations of the entities the criteria below are written for
+const RELATIONS = {
+  User: {
+    posts: { target: 'Post', toOne: false },
+    profile: { target: 'Profile', toOne: true },
+  },
+  Post: {
+    author: { target: 'User', toOne: true },
+    tags: { target: 'Tag', toOne: false },
+  },
+}
+
+// Translate the find options of `const options = ...` in `source` and print
+// the result
+function translate(
+  source,
+  entity = 'User',
+  method = 'translateFindOptions',
+  context = {}
+) {
+  const root = j(
+    `import { Between, ILike, In, IsNull, Like, MoreThan, Not, Or, Raw } from 'typeorm'\n` +
+      `const options = ${source}`
+  )
+  const translator = createFindOptionsTranslator(j, root, {
+    getRelation: (name, property) =>
+      (RELATIONS[name] && RELATIONS[name][property]) || null,
+    ...context,
+  })
+  const declarator = root.find(j.VariableDeclarator).get()
+  const result = translator[method](declarator.node.init, entity)
+
+  if (method === 'translateWhere') declarator.node.init = result
+  return {
+    source: j(declarator.node.init).toSource({ quote: 'single' }),
+    result,
+    translator,
+  }
+}
+
+function normalize(source) {
+  return source.replace(/\s+/g, ' ')
+}
+
+describe('translateWhere', () => {
+  it('translates find operators into Prisma filters', () => {
+    const { source } = translate(
+      `{ age: MoreThan(18), id: In(ids), name: Not(IsNull()), score: Between(1, 5) }`,
+      'User',
+      'translateWhere'
+    )
+
+    expect(normalize(source)).toBe(
+      normalize(`{
+        age: { gt: 18 },
+        id: { in: ids },
+        name: { not: null },
+        score: { gte: 1, lte: 5 }
+      }`)
+    )
+  })
+
+  it('translates LIKE patterns into string filters', () => {
+    const { source } = translate(
+      `{ name: Like('%ann%'), email: ILike('ann%') }`,
+      'User',
+      'translateWhere'
+    )
+
+    expect(normalize(source)).toBe(
+      normalize(`{
+        name: { contains: 'ann' },
+        email: { startsWith: 'ann', mode: 'insensitive' }
+      }`)
+    )
+  })
+
+  it('leaves out the insensitive mode for providers without it', () => {
+    const { source } = translate(
+      `{ email: ILike('%ann%') }`,
+      'User',
+      'translateWhere',
+      { provider: 'mysql' }
+    )
+
+    expect(normalize(source)).toBe(`{ email: { contains: 'ann' } }`)
+  })
+
+  it('turns arrays of criteria and Or() into OR clauses', () => {
+    expect(
+      normalize(
+        translate(`[{ a: 1 }, { b: 2 }]`, 'User', 'translateWhere').source
+      )
+    ).toBe('{ OR: [{ a: 1 }, { b: 2 }] }')
+    expect(
+      normalize(
+        translate(
+          `{ role: Or(Equal('a'), Equal('b')) }`,
+          'User',
+          'translateWhere'
+        ).source
+      )
+    ).toContain('OR: [')
+  })
+
+  it('leaves Raw() in place with a TODO', () => {
+    const { source } = translate(
+      `{ name: Raw((alias) => alias + ' > 1') }`,
+      'User',
+      'translateWhere'
+    )
+
+    expect(source).toContain('Raw(')
+    expect(source).toContain('TODO: TypeORM Raw() has no Prisma filter')
+  })
+
+  it('wraps criteria on to-many relations in some', () => {
+    const { source } = translate(
+      `{ posts: { title: In(['x']) } }`,
+      'User',
+      'translateWhere'
+    )
+
+    expect(normalize(source)).toBe(
+      normalize(`{ posts: { some: { title: { in: ['x'] } } } }`)
+    )
+  })
+
+  it('keeps criteria on to-one relations nested as they are', () => {
+    const { source } = translate(
+      `{ profile: { bio: Like('%dev%') } }`,
+      'User',
+      'translateWhere'
+    )
+
+    expect(normalize(source)).toBe(
+      normalize(`{ profile: { bio: { contains: 'dev' } } }`)
+    )
+  })
+
+  it('follows relations through several levels', () => {
+    const { source } = translate(
+      `{ author: { posts: { tags: { name: 'orm' } } } }`,
+      'Post',
+      'translateWhere'
+    )
+
+    expect(normalize(source)).toBe(
+      normalize(
+        `{ author: { posts: { some: { tags: { some: { name: 'orm' } } } } } }`
+      )
+    )
+  })
+
+  it('does not wrap relation filters written for Prisma', () => {
+    const { source } = translate(
+      `{ posts: { none: { published: false } } }`,
+      'User',
+      'translateWhere'
+    )
+
+    expect(normalize(source)).toBe('{ posts: { none: { published: false } } }')
+  })
+
+  it('passes nested criteria through when the entity is unknown', () => {
+    const { source } = translate(
+      `{ posts: { title: 'x' } }`,
+      null,
+      'translateWhere'
+    )
+
+    expect(normalize(source)).toBe(`{ posts: { title: 'x' } }`)
+  })
+})
+
+describe('translateFindOptions', () => {
+  it('translates relations, order and pagination', () => {
+    const { source } = translate(
+      `{ where: { id }, relations: ['profile', 'posts.tags'], order: { createdAt: 'DESC' }, skip: 10, take: 5 }`
+    )
+
+    expect(normalize(source)).toBe(
+      normalize(`{
+        where: { id },
+        include: { profile: true, posts: { include: { tags: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip: 10,
+        take: 5
+      }`)
+    )
+  })
+
+  it('moves legacy criteria into where', () => {
+    const { source } = translate(`{ email, isActive: true }`)
+
+    expect(normalize(source)).toBe('{ where: { email, isActive: true } }')
+  })
+
+  it('selects the included relations when both are given', () => {
+    const { source } = translate(
+      `{ select: ['id', 'name'], relations: ['profile'] }`
+    )
+
+    expect(normalize(source)).toBe(
+      normalize(`{ select: { id: true, name: true, profile: true } }`)
+    )
+  })
+
+  it('reports the options Prisma has no argument for', () => {
+    const { source, result } = translate(`{ where: { id }, cache: true }`)
+
+    expect(normalize(source)).toBe('{ where: { id } }')
+    expect(result).toEqual([
+      expect.stringContaining('TypeORM find option "cache" was removed'),
+    ])
+  })
+
+  it('wraps to-many criteria of the where option in some', () => {
+    const { source } = translate(`{ where: { posts: { title: 'x' } } }`)
+
+    expect(normalize(source)).toBe(
+      normalize(`{ where: { posts: { some: { title: 'x' } } } }`)
+    )
+  })
+})
+
+describe('pruneImports', () => {
+  it('drops the find operators nothing references anymore', () => {
+    const root = j(
+      `import { In, Repository } from 'typeorm'\nconst where = { id: In(ids) }`
+    )
+    const translator = createFindOptionsTranslator(j, root)
+    const declarator = root.find(j.VariableDeclarator).get()
+    declarator.node.init = translator.translateWhere(declarator.node.init)
+
+    expect(translator.pruneImports()).toBe(true)
+    expect(root.toSource()).toContain(`import { Repository } from 'typeorm'`)
+  })
+})
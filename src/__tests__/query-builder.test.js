@@ -0,0 +1,236 @@
+const jscodeshift = require('jscodeshift')
+
+const { collectEntities } = require('../entity-index')
+const { createFindOptionsTranslator } = require('../find-options')
+const {
+  createQueryBuilderTranslator,
+  getCallChain,
+} = require('../query-builder')
+
+const j = jscodeshift.withParser('ts')
+
+const ENTITIES = `
+@Entity()
+export class User {
+  @PrimaryGeneratedColumn() id: number
+  @Column() name: string
+  @Column() isActive: boolean
+  @Column() loginCount: number
+  @OneToOne(() => Profile, (profile) => profile.user) @JoinColumn() profile: Profile
+  @OneToMany(() => Post, (post) => post.author) posts: Post[]
+}
+
+@Entity()
+export class Profile {
+  @PrimaryGeneratedColumn() id: number
+  @Column() city: string
+  @OneToOne(() => User, (user) => user.profile) user: User
+}
+
+@Entity()
+export class Post {
+  @PrimaryGeneratedColumn() id: number
+  @Column() title: string
+  @DeleteDateColumn() deletedAt: Date
+  @ManyToOne(() => User, (user) => user.posts) author: User
+}
+`
+
+const entityIndex = new Map(
+  collectEntities(j, j(ENTITIES), 'entities.ts').map((entity) => [
+    entity.name,
+    entity,
+  ])
+)
+
+// Translate the query builder chain of `source`, started by its
+// createQueryBuilder() call, and print the Prisma query
+function translate(source, entityName = 'User') {
+  const root = j(source)
+  const findOptions = createFindOptionsTranslator(j, root, {
+    getRelation: () => null,
+  })
+  const translator = createQueryBuilderTranslator(j, {
+    entityIndex,
+    translateWhere: findOptions.translateWhere,
+    translateLike: findOptions.translateLike,
+  })
+  const callPath = root
+    .find(j.CallExpression, {
+      callee: { property: { name: 'createQueryBuilder' } },
+    })
+    .paths()[0]
+  const { steps } = getCallChain(callPath)
+  const [aliasNode] = callPath.node.arguments
+  const alias = aliasNode ? aliasNode.value : null
+  const result = ['update', 'delete', 'insert'].includes(steps[0].name)
+    ? translator.translateWriteChain(entityName, alias, steps)
+    : translator.translateSelectChain(entityName, alias, steps)
+
+  return {
+    ...result,
+    query: result.query
+      ? normalize(j(result.query).toSource({ quote: 'single' }))
+      : null,
+  }
+}
+
+function normalize(source) {
+  return source.replace(/\s+/g, ' ')
+}
+
+describe('translateSelectChain', () => {
+  it('translates conditions, joins, order and pagination', () => {
+    const result = translate(`
+      repo
+        .createQueryBuilder('user')
+        .leftJoinAndSelect('user.profile', 'profile')
+        .where('user.isActive = :isActive', { isActive: true })
+        .andWhere('user.id IN (:...ids)', { ids })
+        .orderBy('user.name', 'DESC')
+        .skip(10)
+        .take(5)
+        .getMany()
+    `)
+
+    expect(result.method).toBe('findMany')
+    expect(result.query).toBe(
+      normalize(`{
+        where: { isActive: true, id: { in: ids } },
+        include: { profile: true },
+        orderBy: { name: 'desc' },
+        skip: 10,
+        take: 5
+      }`)
+    )
+  })
+
+  it('turns OR conditions into an OR clause', () => {
+    const result = translate(`
+      repo
+        .createQueryBuilder('user')
+        .where('user.name = :name', { name })
+        .orWhere('user.loginCount > :count', { count: 3 })
+        .getOne()
+    `)
+
+    expect(result.method).toBe('findFirst')
+    expect(result.query).toBe(
+      normalize(
+        `{ where: { OR: [{ name: name }, { loginCount: { gt: 3 } }] } }`
+      )
+    )
+  })
+
+  it('filters through inner joins as nested relations', () => {
+    const result = translate(`
+      repo
+        .createQueryBuilder('user')
+        .innerJoin('user.profile', 'profile')
+        .where('profile.city = :city', { city })
+        .getCount()
+    `)
+
+    expect(result.method).toBe('count')
+    expect(result.query).toBe(
+      normalize(`{
+        where: {
+          AND: [{ profile: { isNot: null } }, { profile: { city: city } }]
+        }
+      }`)
+    )
+  })
+
+  it('counts the same rows for getManyAndCount', () => {
+    const result = translate(`
+      repo
+        .createQueryBuilder('user')
+        .where('user.isActive = :active', { active: true })
+        .getManyAndCount()
+    `)
+
+    expect(result.method).toBe('findMany')
+    expect(normalize(j(result.countQuery).toSource())).toBe(
+      '{ where: { isActive: true } }'
+    )
+  })
+
+  it('leaves soft-deleted rows out unless withDeleted() is called', () => {
+    const source = (extra) => `
+      repo
+        .createQueryBuilder('post')
+        .where('post.title = :title', { title })
+        ${extra}
+        .getManyAndCount()
+    `
+    const filtered = translate(source(''), 'Post')
+    const included = translate(source('.withDeleted()'), 'Post')
+
+    expect(filtered.query).toBe('{ where: { title: title, deletedAt: null } }')
+    expect(normalize(j(filtered.countQuery).toSource())).toBe(
+      '{ where: { title: title, deletedAt: null } }'
+    )
+    expect(included.query).toBe('{ where: { title: title } }')
+  })
+
+  it('names the clause a chain cannot be translated for', () => {
+    expect(
+      translate(`
+        repo.createQueryBuilder('user').groupBy('user.name').getMany()
+      `).unsupported
+    ).toContain('groupBy')
+    expect(
+      translate(`repo.createQueryBuilder('user').getRawMany()`).unsupported
+    ).toContain('getRawMany')
+  })
+})
+
+describe('translateWriteChain', () => {
+  it('translates updates with increments', () => {
+    const result = translate(`
+      repo
+        .createQueryBuilder()
+        .update(User)
+        .set({ isActive: false, loginCount: () => 'loginCount + 1' })
+        .where('id IN (:...ids)', { ids })
+        .execute()
+    `)
+
+    expect(result.method).toBe('updateMany')
+    expect(result.entityName).toBe('User')
+    expect(result.query).toBe(
+      normalize(`{
+        where: { id: { in: ids } },
+        data: { isActive: false, loginCount: { increment: 1 } }
+      }`)
+    )
+  })
+
+  it('takes the entity of delete().from() and insert().into()', () => {
+    const deleted = translate(
+      `manager.createQueryBuilder().delete().from(Post).where('id = :id', { id }).execute()`,
+      null
+    )
+    const inserted = translate(
+      `manager.createQueryBuilder().insert().into(Post).values(rows).orIgnore().execute()`,
+      null
+    )
+
+    expect(deleted).toMatchObject({ method: 'deleteMany', entityName: 'Post' })
+    expect(deleted.query).toBe('{ where: { id: id } }')
+    expect(inserted).toMatchObject({ method: 'createMany', entityName: 'Post' })
+    expect(inserted.query).toBe('{ data: rows, skipDuplicates: true }')
+  })
+
+  it('leaves raw SQL in set() and unexecuted chains for manual review', () => {
+    expect(
+      translate(`
+        repo.createQueryBuilder().update(User).set({ name: () => 'UPPER(name)' }).execute()
+      `).unsupported
+    ).toContain('raw SQL expression')
+    expect(
+      translate(`repo.createQueryBuilder().delete().from(User).getQuery()`)
+        .unsupported
+    ).toContain('.execute()')
+  })
+})
@@ -0,0 +1,136 @@
+const jscodeshift = require('jscodeshift')
+
+const { collectEntities } = require('../entity-index')
+const { createRelationResolver } = require('../relations')
+
+const j = jscodeshift.withParser('ts')
+
+const ENTITIES = `
+@Entity()
+export class User {
+  @PrimaryGeneratedColumn() id: number
+  @OneToMany(() => Post, (post) => post.author) posts: Post[]
+  @OneToOne(() => Profile) @JoinColumn() profile: Profile
+  @OneToMany(() => Session, (session) => session.user) sessions: Session[]
+}
+
+@Entity()
+export class Profile {
+  @PrimaryGeneratedColumn('uuid') id: string
+}
+
+@Entity()
+export class Post {
+  @PrimaryGeneratedColumn() id: number
+  @ManyToOne(() => User, (user) => user.posts, { onDelete: 'CASCADE' }) author: User
+  @ManyToMany(() => Tag) @JoinTable() tags: Tag[]
+}
+
+@Entity()
+export class Tag {
+  @PrimaryGeneratedColumn() id: number
+}
+
+@Entity()
+export class Comment {
+  @PrimaryGeneratedColumn() id: number
+  @ManyToOne(() => Post) post: Post
+}
+`
+
+function createResolver(options) {
+  const entityIndex = new Map(
+    collectEntities(j, j(ENTITIES), 'entities.ts').map((entity) => [
+      entity.name,
+      entity,
+    ])
+  )
+  const getScalarType = (column) => (column.type === 'uuid' ? 'String' : 'Int')
+  return createRelationResolver(entityIndex, getScalarType, options)
+}
+
+describe('getRelationFields', () => {
+  const resolver = createResolver()
+
+  it('puts the foreign key on the owning side of a relation', () => {
+    expect(resolver.getRelationFields('Post', 'author')).toEqual([
+      'author User? @relation("PostAuthor", fields: [authorId], references: [id], onDelete: Cascade)',
+      'authorId Int?',
+    ])
+    expect(resolver.getRelationFields('User', 'posts')).toEqual([
+      'posts Post[] @relation("PostAuthor")',
+    ])
+  })
+
+  it('makes one-to-one foreign keys unique with the type of the target key', () => {
+    expect(resolver.getRelationFields('User', 'profile')).toEqual([
+      'profile Profile? @relation("UserProfile", fields: [profileId], references: [id])',
+      'profileId String? @unique',
+    ])
+  })
+
+  it('points many-to-many relations to their join model', () => {
+    expect(resolver.getRelationFields('Post', 'tags')).toEqual([
+      'tags PostTagsTag[] @relation("PostTags")',
+    ])
+  })
+
+  it('flags one-to-many relations without a many-to-one side', () => {
+    expect(resolver.getRelationFields('User', 'sessions')).toEqual([
+      '// TODO: sessions has no ManyToOne side on Session - add the foreign key to Session',
+      'sessions Session[]',
+    ])
+  })
+
+  it('maps foreign keys to snake_case columns with a snake_case strategy', () => {
+    expect(
+      createResolver({ snakeCase: true }).getRelationFields('Post', 'author')
+    ).toContain('authorId Int? @map("author_id")')
+  })
+})
+
+describe('getForeignKeyFields', () => {
+  it('lists the foreign keys of the owning side only', () => {
+    const resolver = createResolver()
+
+    expect(resolver.getForeignKeyFields('Post', 'author')).toEqual(['authorId'])
+    expect(resolver.getForeignKeyFields('User', 'posts')).toBeNull()
+  })
+})
+
+describe('getModelAdditions', () => {
+  it('adds back-relation fields for relations declared on one side', () => {
+    const resolver = createResolver()
+
+    expect(resolver.getModelAdditions('Profile').fields).toEqual([
+      'user User? @relation("UserProfile")',
+    ])
+    expect(resolver.getModelAdditions('Post').fields).toEqual([
+      'comments Comment[] @relation("CommentPost")',
+    ])
+    expect(resolver.getModelAdditions('User').fields).toEqual([])
+  })
+})
+
+describe('getJoinModels', () => {
+  it('models the join table of a many-to-many relation', () => {
+    const models = createResolver().getJoinModels('Post')
+
+    expect([...models.keys()]).toEqual(['PostTagsTag'])
+    expect(models.get('PostTagsTag')).toBe(
+      [
+        'model PostTagsTag {',
+        '  post Post @relation("PostTags", fields: [postId], references: [id], onDelete: Cascade)',
+        '  postId Int',
+        '  tag Tag @relation("TagPosts", fields: [tagId], references: [id], onDelete: Cascade)',
+        '  tagId Int',
+        '',
+        '  @@id([postId, tagId])',
+        '  @@map("post_tags_tag")',
+        '}',
+        '',
+      ].join('\n')
+    )
+    expect(createResolver().getJoinModels('Tag').size).toBe(0)
+  })
+})
@@ -0,0 +1,142 @@
+const {
+  GENERATED_MARKER,
+  buildSchema,
+  mergeSchemaSource,
+} = require('../schema-writer')
+
+const USER_MODEL = `model User {
+  id       Int    @id @default(autoincrement())
+  username String @unique
+  nickname String?
+  posts    Post[] @relation("PostAuthor")
+
+  @@map("users")
+}
+`
+
+const POST_MODEL = `model Post {
+  id       Int   @id @default(autoincrement())
+  authorId Int?
+  author   User? @relation("PostAuthor", fields: [authorId], references: [id])
+
+  @@map("post")
+}
+`
+
+const INTROSPECTED = `generator client {
+  provider = "prisma-client-js"
+}
+
+datasource db {
+  provider = "mysql"
+  url      = env("DATABASE_URL")
+}
+
+model users {
+  id       Int    @id @default(autoincrement())
+  username String @unique
+}
+`
+
+function fragments(models, extra = {}) {
+  return { models: new Map(Object.entries(models)), ...extra }
+}
+
+describe('mergeSchemaSource', () => {
+  it('creates a schema with the default header and marked models', () => {
+    const schema = buildSchema(fragments({ User: USER_MODEL }))
+
+    expect(schema).toContain('generator client {')
+    expect(schema).toContain('provider = "postgresql"')
+    expect(schema).toContain(`${GENERATED_MARKER}\nmodel User {`)
+    expect(schema).toContain('@@map("users")')
+  })
+
+  it('merges the models of several files into one schema', () => {
+    const first = mergeSchemaSource(null, fragments({ User: USER_MODEL }))
+    const merged = mergeSchemaSource(first, fragments({ Post: POST_MODEL }))
+
+    expect(merged.match(/^model User \{/gm)).toHaveLength(1)
+    expect(merged.match(/^model Post \{/gm)).toHaveLength(1)
+  })
+
+  it('gives the same schema when a run is repeated', () => {
+    const models = fragments({ User: USER_MODEL, Post: POST_MODEL })
+    const first = mergeSchemaSource(null, models)
+
+    expect(mergeSchemaSource(first, models)).toBe(first)
+  })
+
+  it('replaces the models generated by a previous run', () => {
+    const first = mergeSchemaSource(null, fragments({ User: USER_MODEL }))
+    const changed = USER_MODEL.replace('nickname String?', 'alias String?')
+    const merged = mergeSchemaSource(first, fragments({ User: changed }))
+
+    expect(merged).toContain('alias')
+    expect(merged).not.toContain('nickname')
+  })
+
+  it('annotates the entity fields an introspected model lacks', () => {
+    const merged = mergeSchemaSource(
+      INTROSPECTED,
+      fragments({ User: USER_MODEL })
+    )
+
+    expect(merged).not.toContain('model User {')
+    expect(merged).toContain(
+      '// typeorm-to-prisma: entity field not in database: nickname String?'
+    )
+    expect(mergeSchemaSource(merged, fragments({ User: USER_MODEL }))).toBe(
+      merged
+    )
+  })
+
+  it('points relation fields to the introspected model of their table', () => {
+    const merged = mergeSchemaSource(
+      INTROSPECTED,
+      fragments({ Post: POST_MODEL }, { tables: new Map([['User', 'users']]) })
+    )
+
+    expect(merged).toMatch(/author\s+users\?\s+@relation\("PostAuthor"/)
+    expect(merged).not.toMatch(/\sUser\?/)
+  })
+
+  it('renames relation fields of models merged in the same run', () => {
+    const merged = mergeSchemaSource(
+      INTROSPECTED,
+      fragments({ User: USER_MODEL, Post: POST_MODEL })
+    )
+
+    expect(merged).toMatch(/author\s+users\?/)
+  })
+
+  it('keeps the provider of an introspected datasource', () => {
+    const merged = mergeSchemaSource(
+      INTROSPECTED,
+      fragments({}, { datasource: { provider: 'postgresql' } })
+    )
+
+    expect(merged).toContain('provider = "mysql"')
+    expect(merged).not.toContain('postgresql')
+  })
+
+  it('fills in the provider of the default header', () => {
+    const merged = mergeSchemaSource(
+      null,
+      fragments({}, { datasource: { provider: 'mysql' } })
+    )
+
+    expect(merged).toContain('provider = "mysql"')
+    expect(merged).not.toContain('Change to your actual database provider')
+  })
+
+  it('declares database schemas with the multiSchema preview feature', () => {
+    const merged = mergeSchemaSource(
+      null,
+      fragments({}, { schemas: new Set(['billing']) })
+    )
+
+    expect(merged).toMatch(/previewFeatures\s+= \["multiSchema"\]/)
+    expect(merged).toMatch(/schemas\s+= \["billing"\]/)
+  })
+})
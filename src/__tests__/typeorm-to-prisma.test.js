@@ -0,0 +1,367 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const jscodeshift = require('jscodeshift')
+
+const transform = require('../typeorm-to-prisma')
+
+const ENTITIES = `
+import { Entity, Column, DeleteDateColumn, PrimaryGeneratedColumn } from 'typeorm'
+
+@Entity()
+export class User {
+  @PrimaryGeneratedColumn() id: number
+  @Column() email: string
+  @Column() balance: number
+}
+
+@Entity()
+export class Invoice {
+  @PrimaryGeneratedColumn() id: number
+  @Column() total: number
+  @DeleteDateColumn() deletedAt: Date
+}
+`
+
+let projectRoot
+
+beforeAll(() => {
+  projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'typeorm-to-prisma-'))
+  fs.writeFileSync(path.join(projectRoot, 'user.entity.ts'), ENTITIES)
+})
+
+afterAll(() => {
+  fs.rmSync(projectRoot, { recursive: true, force: true })
+})
+
+// Run the codemod over a service of the project, as the CLI does without
+// writing any file, and print the result on one line
+function run(source, options = {}) {
+  const result = transform(
+    { path: path.join(projectRoot, 'users.service.ts'), source },
+    {
+      jscodeshift: jscodeshift.withParser('ts'),
+      report: () => {},
+      stats: () => {},
+    },
+    { projectRoot, dry: true, only: 'services,modules', ...options }
+  )
+  return normalize(result)
+}
+
+function normalize(source) {
+  return source.replace(/\s+/g, ' ')
+}
+
+describe('repository calls', () => {
+  it('saves objects built with spread elements', () => {
+    const result = run(`
+import { Injectable } from '@nestjs/common'
+import { InjectRepository } from '@nestjs/typeorm'
+import { Repository } from 'typeorm'
+import { User } from './user.entity'
+
+@Injectable()
+export class UsersService {
+  constructor(@InjectRepository(User) private users: Repository<User>) {}
+
+  create(dto) {
+    return this.users.save({ ...dto })
+  }
+
+  reset(dto) {
+    return this.users.save({ ...dto, id: 1 })
+  }
+}
+`)
+
+    expect(result).toContain('this.prisma.user.create({ data: { ...dto } })')
+    expect(result).toContain(
+      'this.prisma.user.update({ where: { id: 1 }, data: { ...dto } })'
+    )
+    expect(result).toContain('private readonly prisma: PrismaService')
+    expect(result).not.toContain('@nestjs/typeorm')
+  })
+
+  it('saves created entities as the data of create', () => {
+    const result = run(`
+import { Injectable } from '@nestjs/common'
+import { InjectRepository } from '@nestjs/typeorm'
+import { Repository } from 'typeorm'
+import { User } from './user.entity'
+
+@Injectable()
+export class UsersService {
+  constructor(@InjectRepository(User) private users: Repository<User>) {}
+
+  register(dto) {
+    const user = this.users.create(dto)
+    return this.users.save(user)
+  }
+}
+`)
+
+    expect(result).toContain('const user = { ...dto }')
+    expect(result).toContain('return this.prisma.user.create({ data: user })')
+  })
+
+  it('leaves soft-deleted rows out of aggregates', () => {
+    const result = run(`
+import { Injectable } from '@nestjs/common'
+import { InjectRepository } from '@nestjs/typeorm'
+import { Repository } from 'typeorm'
+import { Invoice } from './user.entity'
+
+@Injectable()
+export class InvoicesService {
+  constructor(@InjectRepository(Invoice) private invoices: Repository<Invoice>) {}
+
+  total() {
+    return this.invoices.sum('total')
+  }
+
+  largest(customerId) {
+    return this.invoices.maximum('total', { customerId })
+  }
+}
+`)
+
+    expect(result).toContain(
+      'this.prisma.invoice.aggregate({ _sum: { total: true }, where: { deletedAt: null } })'
+    )
+    expect(result).toContain(
+      'this.prisma.invoice.aggregate({ _max: { total: true }, where: { customerId, deletedAt: null } })'
+    )
+  })
+
+  it('reuses the PrismaService the class already injects', () => {
+    const result = run(`
+import { Injectable } from '@nestjs/common'
+import { InjectRepository } from '@nestjs/typeorm'
+import { Repository } from 'typeorm'
+import { PrismaService } from './prisma.service'
+import { User } from './user.entity'
+
+@Injectable()
+export class UsersService {
+  constructor(
+    @InjectRepository(User) private users: Repository<User>,
+    private db: PrismaService
+  ) {}
+
+  findAll() {
+    return this.users.find()
+  }
+}
+`)
+
+    expect(result).toContain('constructor(private db: PrismaService) {}')
+    expect(result).toContain('return this.db.user.findMany()')
+    expect(result).not.toContain('this.prisma')
+  })
+})
+
+describe('transactions', () => {
+  it('saves objects built with spread elements on the transaction client', () => {
+    const result = run(`
+import { Injectable } from '@nestjs/common'
+import { DataSource } from 'typeorm'
+import { User } from './user.entity'
+
+@Injectable()
+export class UsersService {
+  constructor(private dataSource: DataSource) {}
+
+  open(account) {
+    return this.dataSource.transaction(async (manager) => {
+      await manager.save(User, { ...account, balance: 0 })
+    })
+  }
+}
+`)
+
+    expect(result).toContain('this.prisma.$transaction(async (tx) => {')
+    expect(result).toContain(
+      'await tx.user.create({ data: { ...account, balance: 0 } })'
+    )
+    expect(result).not.toContain('DataSource')
+  })
+
+  it('keeps the import of a data source injection that is still used', () => {
+    const result = run(`
+import { Injectable } from '@nestjs/common'
+import { InjectDataSource, InjectRepository } from '@nestjs/typeorm'
+import { DataSource, Repository } from 'typeorm'
+import { User } from './user.entity'
+
+@Injectable()
+export class UsersService {
+  constructor(
+    @InjectRepository(User) private users: Repository<User>,
+    @InjectDataSource('reporting') private reporting: DataSource
+  ) {}
+
+  findAll() {
+    return this.users.find()
+  }
+
+  tableName() {
+    return this.reporting.getMetadata(User).tableName
+  }
+}
+`)
+
+    expect(result).toContain(
+      "import { InjectDataSource } from '@nestjs/typeorm'"
+    )
+    expect(result).toContain("import { DataSource } from 'typeorm'")
+    expect(result).toContain(
+      "@InjectDataSource('reporting') private reporting: DataSource"
+    )
+  })
+
+  it('saves entity variables as the data of create', () => {
+    const result = run(`
+import { Injectable } from '@nestjs/common'
+import { DataSource } from 'typeorm'
+import { User } from './user.entity'
+
+@Injectable()
+export class UsersService {
+  constructor(private dataSource: DataSource) {}
+
+  open(email) {
+    return this.dataSource.transaction(async (manager) => {
+      const user = new User()
+      user.email = email
+      await manager.save(user)
+    })
+  }
+}
+`)
+
+    expect(result).toContain('await tx.user.create({ data: user })')
+  })
+})
+
+describe('entity managers and data sources', () => {
+  it('leaves the calls on named connections to TypeORM', () => {
+    const result = run(`
+import { Injectable } from '@nestjs/common'
+import { InjectDataSource } from '@nestjs/typeorm'
+import { DataSource } from 'typeorm'
+import { User } from './user.entity'
+
+@Injectable()
+export class ReportsService {
+  constructor(
+    @InjectDataSource() private dataSource: DataSource,
+    @InjectDataSource('reporting') private reporting: DataSource
+  ) {}
+
+  count() {
+    return this.dataSource.manager.count(User)
+  }
+
+  now() {
+    return this.reporting.query('SELECT now()')
+  }
+
+  users() {
+    return this.reporting.getRepository(User).find()
+  }
+}
+`)
+
+    expect(result).toContain('return this.prisma.user.count()')
+    expect(result).toContain(
+      'TODO: Migrate this call on the TypeORM connection "reporting" manually'
+    )
+    expect(result).toContain("return this.reporting.query('SELECT now()')")
+    expect(result).toContain('return this.reporting.getRepository(User).find()')
+    expect(result).not.toContain('private dataSource')
+  })
+
+  it('updates and deletes every row matching criteria', () => {
+    const result = run(`
+import { Injectable } from '@nestjs/common'
+import { InjectRepository } from '@nestjs/typeorm'
+import { EntityManager, Repository } from 'typeorm'
+import { User } from './user.entity'
+
+@Injectable()
+export class UsersService {
+  constructor(
+    @InjectRepository(User) private users: Repository<User>,
+    private manager: EntityManager
+  ) {}
+
+  rename(data) {
+    return this.manager.update(User, { id: 1 }, data)
+  }
+
+  async purge() {
+    const { affected } = await this.manager.delete(User, { balance: 0 })
+    return affected
+  }
+
+  removeAll(ids: number[]) {
+    return this.users.delete(ids)
+  }
+
+  removeOne(id) {
+    return this.users.delete(id)
+  }
+}
+`)
+
+    expect(result).toContain(
+      'this.prisma.user.updateMany({ where: { id: 1 }, data: data })'
+    )
+    expect(result).toContain(
+      'const { count: affected } = await this.prisma.user.deleteMany({ where: { balance: 0 } })'
+    )
+    expect(result).toContain(
+      'this.prisma.user.deleteMany({ where: { id: { in: ids } } })'
+    )
+    expect(result).toContain('this.prisma.user.delete({ where: { id: id } })')
+  })
+})
+
+describe('repository types', () => {
+  const SERVICE = `
+import { Injectable } from '@nestjs/common'
+import { InjectRepository } from '@nestjs/typeorm'
+import { Repository } from 'typeorm'
+import { User } from './user.entity'
+
+@Injectable()
+export class UsersService {
+  constructor(@InjectRepository(User) private users: Repository<User>) {}
+}
+
+export function mockUsers(users: Repository<User>) {
+  return { provide: 'USERS', useValue: users }
+}
+`
+
+  it('types leftover repositories as model delegates', () => {
+    const result = run(SERVICE)
+
+    expect(result).toContain("mockUsers(users: PrismaService['user'])")
+    expect(result).not.toContain('Repository')
+  })
+
+  it('keeps the repositories TypeORM still injects without the services transformation', () => {
+    const result = run(SERVICE, { only: 'modules' })
+
+    expect(result).toContain(
+      '@InjectRepository(User) private users: Repository<User>'
+    )
+    expect(result).toContain('mockUsers(users: Repository<User>)')
+    expect(result).toContain(
+      "import { InjectRepository } from '@nestjs/typeorm'"
+    )
+    expect(result).toContain("import { Repository } from 'typeorm'")
+  })
+})
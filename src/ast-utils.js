@@ -0,0 +1,102 @@
+/**
+ * AST helpers shared by the transformations
+ *
+ * Small predicates and utilities over the nodes produced by the jscodeshift
+ * parsers. They accept both the Babel (`ObjectProperty`, `StringLiteral`) and
+ * the ESTree (`Property`, `Literal`) flavours of the node types.
+ */
+
+function isObjectProperty(node) {
+  return node.type === 'ObjectProperty' || node.type === 'Property'
+}
+
+function getPropertyName(property) {
+  if (!isObjectProperty(property) || property.computed) return null
+  return property.key.name || property.key.value || null
+}
+
+function isStringLiteral(node) {
+  return (
+    node.type === 'StringLiteral' ||
+    (node.type === 'Literal' && typeof node.value === 'string')
+  )
+}
+
+// Whether an identifier refers to a binding, rather than naming an import,
+// a member or a property key
+function isReference(path) {
+  const parent = path.parent.node
+  if (
+    parent.type === 'ImportSpecifier' ||
+    parent.type === 'ImportDefaultSpecifier' ||
+    parent.type === 'ImportNamespaceSpecifier'
+  ) {
+    return false
+  }
+  if (
+    (parent.type === 'MemberExpression' ||
+      parent.type === 'OptionalMemberExpression') &&
+    parent.property === path.node &&
+    !parent.computed
+  ) {
+    return false
+  }
+  if (isObjectProperty(parent) && parent.key === path.node) {
+    return parent.shorthand === true
+  }
+  return true
+}
+
+// Decorators of parameters, parameter properties and class properties, which
+// the traversal of jscodeshift does not visit: constructor(@Inject(A) a: A)
+function getMemberDecorators(j, root) {
+  const decorators = []
+  root.find(j.Function).forEach((path) => {
+    path.node.params.forEach((param) => {
+      decorators.push(...(param.decorators || []))
+    })
+  })
+  root.find(j.ClassProperty).forEach((path) => {
+    decorators.push(...(path.node.decorators || []))
+  })
+  return decorators
+}
+
+// Count the references to an identifier outside of imports and property keys
+function countReferences(j, root, name) {
+  const references = new Set(
+    root.find(j.Identifier, { name }).filter(isReference).nodes()
+  )
+  getMemberDecorators(j, root).forEach((decorator) => {
+    j(decorator)
+      .find(j.Identifier, { name })
+      .filter(isReference)
+      .forEach((path) => references.add(path.node))
+  })
+  return references.size
+}
+
+// Deep copy of a node, for expressions that end up in two places
+function cloneNode(node) {
+  if (Array.isArray(node)) return node.map(cloneNode)
+  if (!node || typeof node !== 'object') return node
+
+  const copy = {}
+  Object.keys(node).forEach((key) => {
+    if (
+      ['loc', 'start', 'end', 'original', 'comments', 'tokens'].includes(key)
+    ) {
+      return
+    }
+    copy[key] = cloneNode(node[key])
+  })
+  return copy
+}
+
+module.exports = {
+  cloneNode,
+  countReferences,
+  getPropertyName,
+  isObjectProperty,
+  isStringLiteral,
+}
@@ -0,0 +1,386 @@
+/**
+ * TypeORM connection options
+ *
+ * Prisma reads its connection from the `datasource db` block of the schema and
+ * a `DATABASE_URL` environment variable, instead of the options object passed
+ * to TypeORM. This module finds that object in `TypeOrmModule.forRoot()`,
+ * the factory of `TypeOrmModule.forRootAsync()`, `new DataSource()` and
+ * ormconfig files, and turns it into a Prisma provider and connection URL.
+ *
+ * Options read from the environment (`process.env.DB_HOST`,
+ * `config.get('DB_HOST')`) end up as `${DB_HOST}` references in the URL,
+ * which Prisma expands when it loads the .env file.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const jscodeshift = require('jscodeshift')
+
+const { getStaticValue, listSourceFiles } = require('./entity-index')
+
+// TypeORM connection types and the matching Prisma datasource providers
+const PROVIDERS = {
+  postgres: 'postgresql',
+  mysql: 'mysql',
+  mariadb: 'mysql',
+  aurora: 'mysql',
+  'aurora-mysql': 'mysql',
+  sqlite: 'sqlite',
+  'better-sqlite3': 'sqlite',
+  mssql: 'sqlserver',
+  cockroachdb: 'cockroachdb',
+  mongodb: 'mongodb',
+}
+
+const DEFAULT_PORTS = {
+  postgresql: 5432,
+  mysql: 3306,
+  sqlserver: 1433,
+  cockroachdb: 26257,
+  mongodb: 27017,
+}
+
+// Connection options that Prisma handles elsewhere or not at all
+const DROPPED_OPTIONS = {
+  synchronize: 'use `prisma migrate dev` or `prisma db push` instead',
+  migrationsRun: 'run `prisma migrate deploy` when deploying instead',
+  migrations: 'migrations live in prisma/migrations',
+  entities: 'models are declared in schema.prisma',
+  autoLoadEntities: 'models are declared in schema.prisma',
+  subscribers: 'their hooks move to the entityHooks Prisma Client extension',
+}
+
+const CONNECTION_KEYS = [
+  'type',
+  'url',
+  'host',
+  'port',
+  'username',
+  'password',
+  'database',
+  'schema',
+]
+
+function unwrapExpression(node) {
+  while (
+    node &&
+    [
+      'TSAsExpression',
+      'TSNonNullExpression',
+      'ParenthesizedExpression',
+    ].includes(node.type)
+  ) {
+    node = node.expression
+  }
+  return node
+}
+
+// Environment variable reference for names usable in a .env file
+function toEnvReference(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? '${' + name + '}' : undefined
+}
+
+function getPropertyKey(node) {
+  if (!node || node.computed) return null
+  return node.name || node.value || null
+}
+
+// Value of a connection option: a literal, or a reference to the environment
+// variable it is read from
+function getConnectionValue(node) {
+  node = unwrapExpression(node)
+  if (!node) return undefined
+
+  const value = getStaticValue(node)
+  if (value !== undefined) return value
+
+  switch (node.type) {
+    case 'UnaryExpression':
+      return node.operator === '+'
+        ? getConnectionValue(node.argument)
+        : undefined
+    case 'LogicalExpression': {
+      const left = getConnectionValue(node.left)
+      return left !== undefined ? left : getConnectionValue(node.right)
+    }
+    case 'MemberExpression': {
+      // process.env.DB_HOST, process.env['DB_HOST']
+      const object = node.object
+      if (
+        object.type === 'MemberExpression' &&
+        object.object.name === 'process' &&
+        getPropertyKey(object.property) === 'env'
+      ) {
+        return toEnvReference(
+          node.computed ? getStaticValue(node.property) : node.property.name
+        )
+      }
+      return undefined
+    }
+    case 'CallExpression': {
+      const callee = node.callee
+      const [firstArg] = node.arguments
+
+      // parseInt(process.env.DB_PORT), Number(...)
+      if (['parseInt', 'Number', 'String'].includes(callee.name)) {
+        return getConnectionValue(firstArg)
+      }
+      // config.get('DB_HOST'), configService.getOrThrow<string>('DB_HOST')
+      if (
+        callee.type === 'MemberExpression' &&
+        ['get', 'getOrThrow'].includes(getPropertyKey(callee.property))
+      ) {
+        const key = getStaticValue(firstArg)
+        return typeof key === 'string' ? toEnvReference(key) : undefined
+      }
+      return undefined
+    }
+    default:
+      return undefined
+  }
+}
+
+// Object returned by a forRootAsync factory: () => ({ ... }) or a function
+// body ending with `return { ... }`
+function getFactoryResult(factory) {
+  if (!factory) return null
+
+  const body = factory.body
+  if (!body) return null
+  if (body.type !== 'BlockStatement') return unwrapExpression(body)
+
+  const returnStatement = [...body.body]
+    .reverse()
+    .find((statement) => statement.type === 'ReturnStatement')
+  return returnStatement ? unwrapExpression(returnStatement.argument) : null
+}
+
+// Connection options object of a forRootAsync({ useFactory }) argument
+function getAsyncOptionsObject(node) {
+  if (!node || node.type !== 'ObjectExpression') return null
+
+  const factory = node.properties.find(
+    (property) => getPropertyKey(property.key) === 'useFactory'
+  )
+  if (!factory) return null
+
+  // useFactory: (config) => ({ ... }) or useFactory(config) { ... }
+  return getFactoryResult(
+    factory.type === 'ObjectMethod' ? factory : unwrapExpression(factory.value)
+  )
+}
+
+/**
+ * Read the options of a TypeORM connection object expression.
+ *
+ * Returns `{ values, dropped, unresolved }`: the connection values found,
+ * the options dropped on purpose and the connection keys whose value could
+ * not be determined.
+ */
+function readConnectionOptions(node) {
+  const connection = { values: {}, dropped: [], unresolved: [] }
+  node = unwrapExpression(node)
+  if (!node || node.type !== 'ObjectExpression') return connection
+
+  node.properties.forEach((property) => {
+    const name = getPropertyKey(property.key)
+    if (!name) return
+
+    if (DROPPED_OPTIONS[name]) {
+      connection.dropped.push(name)
+    } else if (CONNECTION_KEYS.includes(name)) {
+      const value = getConnectionValue(property.value)
+      if (value === undefined) {
+        connection.unresolved.push(name)
+      } else {
+        connection.values[name] = value
+      }
+    }
+  })
+
+  return connection
+}
+
+/**
+ * Find the connection options of a TypeORM data source in a parsed file.
+ * Returns the options object node, or null.
+ */
+function findConnectionOptions(j, root, file) {
+  let optionsNode = null
+
+  root.find(j.CallExpression).forEach((callPath) => {
+    const callee = callPath.node.callee
+    if (
+      optionsNode ||
+      callee.type !== 'MemberExpression' ||
+      callee.object.name !== 'TypeOrmModule'
+    ) {
+      return
+    }
+
+    const [firstArg] = callPath.node.arguments
+    if (callee.property.name === 'forRoot') {
+      optionsNode = firstArg || null
+    } else if (callee.property.name === 'forRootAsync') {
+      optionsNode = getAsyncOptionsObject(firstArg)
+    }
+  })
+
+  root
+    .find(j.NewExpression, { callee: { name: 'DataSource' } })
+    .forEach((newPath) => {
+      if (!optionsNode) optionsNode = newPath.node.arguments[0] || null
+    })
+
+  // ormconfig.ts: export default { ... } or module.exports = { ... }
+  if (!optionsNode && /^ormconfig\.[jt]s$/.test(path.basename(file || ''))) {
+    root.find(j.ExportDefaultDeclaration).forEach((exportPath) => {
+      optionsNode = exportPath.node.declaration
+    })
+    root
+      .find(j.AssignmentExpression, {
+        left: { object: { name: 'module' }, property: { name: 'exports' } },
+      })
+      .forEach((assignmentPath) => {
+        optionsNode = assignmentPath.node.right
+      })
+  }
+
+  return optionsNode
+}
+
+// ormconfig.json connections already read in this process, by project root
+const ormConfigCache = new Map()
+
+/**
+ * Connection options of an ormconfig.json at the project root, if any. The
+ * file is read once per process.
+ */
+function readOrmConfigJson(projectRoot) {
+  if (!ormConfigCache.has(projectRoot)) {
+    ormConfigCache.set(projectRoot, parseOrmConfigJson(projectRoot))
+  }
+  return ormConfigCache.get(projectRoot)
+}
+
+function parseOrmConfigJson(projectRoot) {
+  let config
+  try {
+    config = JSON.parse(
+      fs.readFileSync(path.join(projectRoot, 'ormconfig.json'), 'utf8')
+    )
+  } catch (error) {
+    return null
+  }
+  if (Array.isArray(config)) config = config[0]
+  if (!config || typeof config !== 'object') return null
+
+  const connection = { values: {}, dropped: [], unresolved: [] }
+  Object.keys(config).forEach((name) => {
+    if (DROPPED_OPTIONS[name]) {
+      connection.dropped.push(name)
+    } else if (CONNECTION_KEYS.includes(name)) {
+      connection.values[name] = config[name]
+    }
+  })
+  return connection
+}
+
+// Prisma providers of the projects already scanned in this process
+const providerCache = new Map()
+
+/**
+ * Prisma provider of the TypeORM connection of a project, found in its
+ * sources or its ormconfig.json, or null. Entity files rarely hold the
+ * connection options, so the project is scanned once per process.
+ */
+function getProjectProvider(projectRoot) {
+  if (!providerCache.has(projectRoot)) {
+    providerCache.set(projectRoot, findProjectProvider(projectRoot))
+  }
+  return providerCache.get(projectRoot)
+}
+
+function findProjectProvider(projectRoot) {
+  const j = jscodeshift.withParser('ts')
+
+  for (const file of listSourceFiles(projectRoot)) {
+    const source = fs.readFileSync(file, 'utf8')
+    if (!/TypeOrmModule|DataSource\(|ormconfig/.test(source + file)) continue
+
+    try {
+      const optionsNode = findConnectionOptions(j, j(source), file)
+      const { type } = readConnectionOptions(optionsNode).values
+      if (PROVIDERS[type]) return PROVIDERS[type]
+    } catch (error) {
+      // Files that cannot be parsed simply don't name a provider
+    }
+  }
+
+  const ormConfig = readOrmConfigJson(projectRoot)
+  return (ormConfig && PROVIDERS[ormConfig.values.type]) || null
+}
+
+function buildUrl(provider, values) {
+  const host = values.host || 'localhost'
+  const port = values.port || DEFAULT_PORTS[provider]
+  const username = values.username || 'USER'
+  const password = values.password || 'PASSWORD'
+  const database = values.database || 'DATABASE'
+
+  switch (provider) {
+    case 'sqlite':
+      return `file:${values.database || './dev.db'}`
+    case 'sqlserver':
+      return `sqlserver://${host}:${port};database=${database};user=${username};password=${password}`
+    case 'mongodb':
+      return `mongodb://${username}:${password}@${host}:${port}/${database}`
+    default: {
+      const scheme = provider === 'mysql' ? 'mysql' : 'postgresql'
+      const schema = values.schema ? `?schema=${values.schema}` : ''
+      return `${scheme}://${username}:${password}@${host}:${port}/${database}${schema}`
+    }
+  }
+}
+
+/**
+ * Prisma datasource of a connection: `{ provider, url }`. The provider is
+ * null for connection types Prisma does not support, the url is null when
+ * the connection already reads it from DATABASE_URL.
+ */
+function getDatasource(connection) {
+  const { values } = connection
+  const provider = PROVIDERS[values.type] || null
+  if (!provider) return { provider: null, url: null }
+
+  const url =
+    typeof values.url === 'string' ? values.url : buildUrl(provider, values)
+
+  // A url already read from DATABASE_URL needs no .env entry
+  return { provider, url: url === '${DATABASE_URL}' ? null : url }
+}
+
+/**
+ * Add DATABASE_URL to the .env file of the project unless it is already set.
+ * Returns whether the file was written.
+ */
+function writeEnvFile(projectRoot, url) {
+  const file = path.join(projectRoot, '.env')
+  const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : ''
+  if (/^\s*DATABASE_URL\s*=/m.test(existing)) return false
+
+  const separator = existing && !existing.endsWith('\n') ? '\n' : ''
+  fs.writeFileSync(file, `${existing}${separator}DATABASE_URL="${url}"\n`)
+  return true
+}
+
+module.exports = {
+  DROPPED_OPTIONS,
+  PROVIDERS,
+  findConnectionOptions,
+  getDatasource,
+  getProjectProvider,
+  readConnectionOptions,
+  readOrmConfigJson,
+  writeEnvFile,
+}
@@ -0,0 +1,834 @@
+/**
+ * Entity listeners and subscribers as a Prisma Client extension
+ *
+ * TypeORM runs the methods of an entity decorated with `@BeforeInsert`,
+ * `@AfterLoad`, ... and the methods of `@EventSubscriber()` classes around
+ * its own queries. Prisma has no entity classes to hang them on, so the hooks
+ * of the whole project are copied into one module of the Prisma directory
+ * exporting a client extension, `entityHooks`, which runs them around the
+ * matching queries of each model. Inside a hook, `this` (or `event.entity` in
+ * a subscriber) becomes the data of the query or the record it returns.
+ *
+ * Hooks are only moved when that substitution holds: a hook calling other
+ * methods of the entity, reading its relations or the services injected in a
+ * subscriber stays where it is and is reported instead.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const jscodeshift = require('jscodeshift')
+
+const {
+  getClassIndex,
+  getDecoratorName,
+  getEntityIndex,
+  listSourceFiles,
+} = require('./entity-index')
+const { GENERATED_MARKER } = require('./schema-writer')
+
+// Listener decorators, named after the event they listen to
+const LISTENER_DECORATORS = [
+  'BeforeInsert',
+  'AfterInsert',
+  'BeforeUpdate',
+  'AfterUpdate',
+  'BeforeRemove',
+  'AfterRemove',
+  'BeforeSoftRemove',
+  'AfterSoftRemove',
+  'BeforeRecover',
+  'AfterRecover',
+  'AfterLoad',
+]
+
+// Events with no Prisma query to run around, and why
+const UNSUPPORTED_EVENTS = {
+  beforeSoftRemove: 'soft removal is an update of the delete date column',
+  afterSoftRemove: 'soft removal is an update of the delete date column',
+  beforeRecover: 'recovery is an update of the delete date column',
+  afterRecover: 'recovery is an update of the delete date column',
+  beforeTransactionStart: 'Prisma Client extensions do not see transactions',
+  afterTransactionStart: 'Prisma Client extensions do not see transactions',
+  beforeTransactionCommit: 'Prisma Client extensions do not see transactions',
+  afterTransactionCommit: 'Prisma Client extensions do not see transactions',
+  beforeTransactionRollback: 'Prisma Client extensions do not see transactions',
+  afterTransactionRollback: 'Prisma Client extensions do not see transactions',
+}
+
+// Events of the remove operations, whose hooks only get the removed record
+// once it is deleted
+const REMOVE_EVENTS = ['beforeRemove']
+
+// Prisma operations running hooks: the argument holding the records of each
+// `before` event (null when the query has none), and the `after` events run
+// on its result. Criteria based updateMany() and deleteMany() don't run
+// TypeORM listeners either.
+const QUERY_OPERATIONS = {
+  create: { before: { beforeInsert: 'args.data' }, after: ['afterInsert'] },
+  createMany: { before: { beforeInsert: 'args.data' }, after: [] },
+  upsert: {
+    before: { beforeInsert: 'args.create', beforeUpdate: 'args.update' },
+    after: [],
+  },
+  update: { before: { beforeUpdate: 'args.data' }, after: ['afterUpdate'] },
+  delete: { before: { beforeRemove: null }, after: ['afterRemove'] },
+  findUnique: { before: {}, after: ['afterLoad'] },
+  findUniqueOrThrow: { before: {}, after: ['afterLoad'] },
+  findFirst: { before: {}, after: ['afterLoad'] },
+  findFirstOrThrow: { before: {}, after: ['afterLoad'] },
+  findMany: { before: {}, after: ['afterLoad'] },
+}
+
+// Nodes starting a scope of their own for `this`
+const FUNCTION_TYPES = [
+  'FunctionExpression',
+  'FunctionDeclaration',
+  'ClassMethod',
+  'ObjectMethod',
+]
+
+// Hook indexes already built in this process, keyed by project root
+const hookIndexCache = new Map()
+
+function lowerFirst(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1)
+}
+
+function capitalize(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1)
+}
+
+// Event of a listener decorator: @BeforeInsert() → beforeInsert
+function getListenerEvent(decorator) {
+  const name = getDecoratorName(decorator)
+  return LISTENER_DECORATORS.includes(name) ? lowerFirst(name) : null
+}
+
+function isSubscriberEvent(name) {
+  return (
+    LISTENER_DECORATORS.some((decorator) => lowerFirst(decorator) === name) ||
+    Object.keys(UNSUPPORTED_EVENTS).includes(name)
+  )
+}
+
+function getMethodName(member) {
+  if (member.type !== 'ClassMethod' || member.computed || member.static) {
+    return null
+  }
+  return member.key.name || null
+}
+
+// Names declared by a top-level statement of a file
+function getDeclaredNames(declaration) {
+  if (!declaration) return []
+  if (declaration.type === 'VariableDeclaration') {
+    return declaration.declarations
+      .filter((declarator) => declarator.id.type === 'Identifier')
+      .map((declarator) => declarator.id.name)
+  }
+  return declaration.id && declaration.id.name ? [declaration.id.name] : []
+}
+
+// Imports and top-level declarations of a file, which the hooks copied out of
+// it may use. Relative import sources are made absolute.
+function collectFileScope(j, root, file) {
+  const imports = new Map()
+  const declarations = new Map()
+
+  root.find(j.ImportDeclaration).forEach((importPath) => {
+    const source = importPath.node.source.value
+    const resolved = source.startsWith('.')
+      ? path.resolve(path.dirname(file), source)
+      : source
+
+    ;(importPath.node.specifiers || []).forEach((specifier) => {
+      const imported =
+        specifier.type === 'ImportDefaultSpecifier'
+          ? 'default'
+          : specifier.type === 'ImportNamespaceSpecifier'
+            ? '*'
+            : specifier.imported.name
+      imports.set(specifier.local.name, { source: resolved, imported })
+    })
+  })
+
+  root.get().node.program.body.forEach((statement) => {
+    const exported = statement.type === 'ExportNamedDeclaration'
+    const declaration = exported ? statement.declaration : statement
+    getDeclaredNames(declaration).forEach((name) => {
+      declarations.set(name, exported)
+    })
+  })
+
+  return { imports, declarations }
+}
+
+// Whether an identifier is a reference rather than a property or a key
+function isReference(identifierPath) {
+  const parent = identifierPath.parent.node
+  const node = identifierPath.node
+
+  if (
+    ['MemberExpression', 'OptionalMemberExpression'].includes(parent.type) &&
+    parent.property === node &&
+    !parent.computed
+  ) {
+    return false
+  }
+  if (
+    ['ObjectProperty', 'Property', 'ClassProperty', 'ClassMethod'].includes(
+      parent.type
+    ) &&
+    parent.key === node &&
+    !parent.computed &&
+    !parent.shorthand
+  ) {
+    return false
+  }
+  if (parent.type === 'TSQualifiedName' && parent.right === node) return false
+  if (parent.type === 'TSPropertySignature' && parent.key === node) {
+    return false
+  }
+  return true
+}
+
+// Names declared inside a function: its parameters and local variables,
+// functions and classes
+function getLocalNames(j, fn) {
+  const names = new Set()
+  const addPattern = (pattern) => {
+    j(pattern)
+      .find(j.Identifier)
+      .forEach((identifierPath) => {
+        if (isReference(identifierPath)) names.add(identifierPath.node.name)
+      })
+    if (pattern.type === 'Identifier') names.add(pattern.name)
+  }
+
+  fn.params.forEach(addPattern)
+  j(fn.body)
+    .find(j.VariableDeclarator)
+    .forEach((declaratorPath) => addPattern(declaratorPath.node.id))
+  j(fn.body)
+    .find(j.Function)
+    .forEach((functionPath) => {
+      const node = functionPath.node
+      if (node.id) names.add(node.id.name)
+      node.params.forEach(addPattern)
+    })
+  j(fn.body)
+    .find(j.CatchClause)
+    .forEach((catchPath) => {
+      if (catchPath.node.param) addPattern(catchPath.node.param)
+    })
+  return names
+}
+
+// Name of the record parameter of a hook, unless the hook already uses it.
+// The parameters of the method are replaced by the record.
+function getRecordName(j, method, preferred) {
+  const params = new Set()
+  method.params.forEach((param) => {
+    j(param)
+      .find(j.Identifier)
+      .forEach((identifierPath) => params.add(identifierPath.node.name))
+    if (param.type === 'Identifier') params.add(param.name)
+  })
+
+  const used = j(method.body)
+    .find(j.Identifier, { name: preferred })
+    .filter(isReference)
+    .size()
+  return used > 0 && !params.has(preferred) ? `${preferred}Record` : preferred
+}
+
+// `this` expressions of a method, outside of the nested functions binding
+// their own `this`
+function findThisExpressions(j, method) {
+  return j(method.body)
+    .find(j.ThisExpression)
+    .filter((thisPath) => {
+      let current = thisPath.parent
+      while (current && current.node !== method.body) {
+        if (FUNCTION_TYPES.includes(current.node.type)) return false
+        current = current.parent
+      }
+      return true
+    })
+}
+
+// Rewrite `this.name` of a listener to `record.name`. Returns the properties
+// read, or adds a problem for the other uses of `this`.
+function rewriteListener(j, method, recordName, hook) {
+  const properties = new Set()
+
+  findThisExpressions(j, method).forEach((thisPath) => {
+    const parent = thisPath.parent.node
+    if (parent.type !== 'MemberExpression' || parent.object !== thisPath.node) {
+      hook.problems.push('passes `this` along')
+      return
+    }
+    if (parent.computed) {
+      hook.problems.push('reads a computed property of `this`')
+      return
+    }
+
+    const name = parent.property.name
+    const grandParent = thisPath.parent.parent.node
+    if (
+      grandParent.type === 'CallExpression' &&
+      grandParent.callee === parent
+    ) {
+      hook.problems.push(`calls \`this.${name}()\``)
+      return
+    }
+    properties.add(name)
+    thisPath.replace(j.identifier(recordName))
+  })
+
+  return [...properties]
+}
+
+// Rewrite the event parameter of a subscriber method: `event.entity` becomes
+// the record, and afterLoad(entity) gets the record itself. Other uses of the
+// event and of the subscriber instance are problems.
+function rewriteSubscriber(j, method, event, recordName, hook) {
+  if (findThisExpressions(j, method).size() > 0) {
+    hook.problems.push('uses the subscriber instance (`this`)')
+  }
+
+  const [first, second] = method.params
+  const readsEvent = (param) =>
+    param &&
+    param.type === 'Identifier' &&
+    j(method.body)
+      .find(j.Identifier, { name: param.name })
+      .filter(isReference)
+      .size() > 0
+
+  if (event === 'afterLoad') {
+    if (first && first.type === 'Identifier') {
+      j(method.body)
+        .find(j.Identifier, { name: first.name })
+        .filter(isReference)
+        .forEach((identifierPath) => {
+          identifierPath.replace(j.identifier(recordName))
+        })
+    }
+    if (readsEvent(second)) hook.problems.push('reads the load event')
+    return
+  }
+
+  if (!first) return
+  if (first.type === 'ObjectPattern') {
+    const names = first.properties.map((property) =>
+      property.key ? property.key.name : null
+    )
+    if (names.some((name) => name !== 'entity')) {
+      hook.problems.push(
+        `reads \`${names.find((name) => name !== 'entity')}\` of the event`
+      )
+    }
+    j(method.body)
+      .find(j.Identifier, { name: 'entity' })
+      .filter(isReference)
+      .forEach((identifierPath) => {
+        identifierPath.replace(j.identifier(recordName))
+      })
+    return
+  }
+  if (first.type !== 'Identifier') return
+
+  j(method.body)
+    .find(j.Identifier, { name: first.name })
+    .filter(isReference)
+    .forEach((identifierPath) => {
+      const parent = identifierPath.parent.node
+      const property =
+        parent.type === 'MemberExpression' &&
+        parent.object === identifierPath.node &&
+        !parent.computed
+          ? parent.property.name
+          : null
+
+      if (property === 'entity') {
+        identifierPath.parent.replace(j.identifier(recordName))
+      } else {
+        hook.problems.push(
+          property
+            ? `reads \`${first.name}.${property}\``
+            : `passes \`${first.name}\` along`
+        )
+      }
+    })
+}
+
+// Copy a hook method into a function of the extension module, with the
+// record as its only parameter when it uses it
+function createHookFunction(j, method, name, recordName) {
+  const params = []
+  if (recordName) {
+    const param = j.identifier(recordName)
+    param.typeAnnotation = j.tsTypeAnnotation(j.tsAnyKeyword())
+    params.push(param)
+  }
+  const fn = j.functionDeclaration(j.identifier(name), params, method.body)
+  fn.async = method.async
+  fn.returnType = method.returnType || null
+  return fn
+}
+
+// Imports the copied hook needs: the ones of its file, and the exported
+// declarations of the file itself
+function collectReferences(j, fn, scope, file, hook) {
+  const locals = getLocalNames(j, fn)
+  const references = new Map()
+
+  j(fn.body)
+    .find(j.Identifier)
+    .filter(isReference)
+    .forEach((identifierPath) => {
+      const name = identifierPath.node.name
+      if (locals.has(name) || references.has(name)) return
+
+      if (scope.imports.has(name)) {
+        references.set(name, { local: name, ...scope.imports.get(name) })
+      } else if (scope.declarations.has(name)) {
+        if (scope.declarations.get(name)) {
+          references.set(name, {
+            local: name,
+            source: file.replace(/\.tsx?$/, ''),
+            imported: name,
+          })
+        } else {
+          hook.problems.push(
+            `uses \`${name}\`, which ${path.basename(file)} does not export`
+          )
+        }
+      }
+    })
+
+  return [...references.values()]
+}
+
+// Hook of a listener or subscriber method, with the source of the function
+// it becomes in the extension module
+function createHook(j, scope, info, member, events) {
+  const method = member.key.name
+  const hook = {
+    kind: info.kind,
+    className: info.name,
+    method,
+    file: info.file,
+    target: info.target,
+    events,
+    name: `${lowerFirst(info.name)}${capitalize(method)}`,
+    properties: [],
+    usesRecord: false,
+    problems: [],
+    unsupported: events.filter((event) =>
+      Object.keys(UNSUPPORTED_EVENTS).includes(event)
+    ),
+    references: [],
+    source: null,
+    entities: [],
+  }
+
+  const recordName = getRecordName(
+    j,
+    member,
+    info.kind === 'listener' ? lowerFirst(info.name) : 'entity'
+  )
+  if (info.kind === 'listener') {
+    hook.properties = rewriteListener(j, member, recordName, hook)
+  } else {
+    events.forEach((event) => {
+      rewriteSubscriber(j, member, event, recordName, hook)
+    })
+  }
+  hook.usesRecord =
+    j(member.body)
+      .find(j.Identifier, { name: recordName })
+      .filter(isReference)
+      .size() > 0
+
+  // Prisma deletes by criteria, the record only exists in their result
+  if (
+    hook.usesRecord &&
+    events.some((event) => REMOVE_EVENTS.includes(event))
+  ) {
+    hook.problems.push('reads the record before it is deleted')
+  }
+
+  const fn = createHookFunction(
+    j,
+    member,
+    hook.name,
+    hook.usesRecord && recordName
+  )
+  hook.references = collectReferences(j, fn, scope, info.file, hook)
+  hook.source = j(fn).toSource({ quote: 'single' })
+  hook.problems = [...new Set(hook.problems)]
+  return hook
+}
+
+/**
+ * Collect the entity listeners and subscriber methods declared in a parsed
+ * file, along with the super class of every class of the file.
+ */
+function collectHooks(j, root, file) {
+  const scope = collectFileScope(j, root, file)
+  const hooks = []
+  const superClasses = new Map()
+
+  root.find(j.ClassDeclaration).forEach((classPath) => {
+    const classNode = classPath.node
+    if (!classNode.id) return
+
+    const superClass = classNode.superClass
+    superClasses.set(
+      classNode.id.name,
+      superClass && superClass.type === 'Identifier' ? superClass.name : null
+    )
+
+    const subscriber = (classNode.decorators || []).some(
+      (decorator) => getDecoratorName(decorator) === 'EventSubscriber'
+    )
+    const members = classNode.body.body
+    const info = {
+      kind: subscriber ? 'subscriber' : 'listener',
+      name: classNode.id.name,
+      file,
+      target: null,
+    }
+
+    // listenTo() { return User } limits a subscriber to one entity
+    if (subscriber) {
+      const listenTo = members.find(
+        (member) => getMethodName(member) === 'listenTo'
+      )
+      const statement =
+        listenTo && listenTo.body.body.find((s) => s.type === 'ReturnStatement')
+      const target = statement && statement.argument
+      info.target = target && target.type === 'Identifier' ? target.name : null
+    }
+
+    members.forEach((member) => {
+      const name = getMethodName(member)
+      if (!name) return
+
+      const events = subscriber
+        ? isSubscriberEvent(name)
+          ? [name]
+          : []
+        : (member.decorators || []).map(getListenerEvent).filter(Boolean)
+      if (events.length > 0) {
+        hooks.push(createHook(j, scope, info, member, events))
+      }
+    })
+  })
+
+  return { hooks, superClasses }
+}
+
+// Entity and base classes of an entity, the entity first
+function getClassChain(name, superClasses) {
+  const chain = []
+  let current = name
+  while (current && !chain.includes(current)) {
+    chain.push(current)
+    current = superClasses.get(current)
+  }
+  return chain
+}
+
+// Check a listener against the columns of an entity it runs for: only the
+// column values are part of Prisma's queries and results
+function checkProperties(hook, entity) {
+  hook.properties.forEach((name) => {
+    const column = entity.columns.find((c) => c.name === name)
+    if (!column) {
+      hook.problems.push(
+        `reads \`this.${name}\`, which is not a column of ${entity.name}`
+      )
+    } else if (column.relation) {
+      hook.problems.push(`reads the \`${name}\` relation of ${entity.name}`)
+    }
+  })
+  hook.problems = [...new Set(hook.problems)]
+}
+
+// Attach every hook to the models it runs for, by Prisma delegate name.
+// Like TypeORM, the listeners of base classes run first and subscribers
+// last. Subscribers without listenTo() run for all models.
+function resolveHooks(hooks, superClasses, entityIndex) {
+  const chains = new Map()
+
+  entityIndex.forEach((entity) => {
+    const chain = getClassChain(entity.name, superClasses)
+    hooks.forEach((hook) => {
+      const owner = hook.kind === 'listener' ? hook.className : hook.target
+      if (!owner || !chain.includes(owner)) return
+
+      // Rows of child entities live in the model of the parent entity,
+      // which knows nothing of the child's hooks
+      if (entity.parent) {
+        if (owner === entity.name) {
+          hook.problems.push(
+            `belongs to ${entity.name}, which is stored in the model of its parent entity`
+          )
+          hook.entities.push(entity.name)
+        }
+        return
+      }
+      if (hook.kind === 'listener') checkProperties(hook, entity)
+      hook.entities.push(entity.name)
+      chains.set(entity.name, chain)
+    })
+  })
+
+  const models = new Map()
+  const moved = hooks.filter(isMovedHook)
+  chains.forEach((chain, name) => {
+    const order = (hook) =>
+      hook.kind === 'listener' ? -chain.indexOf(hook.className) : 1
+    models.set(
+      lowerFirst(name),
+      moved
+        .filter((hook) => hook.entities.includes(name))
+        .sort((a, b) => order(a) - order(b))
+    )
+  })
+
+  const allModels = moved.filter(
+    (hook) => hook.kind === 'subscriber' && !hook.target
+  )
+  if (allModels.length > 0) models.set('$allModels', allModels)
+  return models
+}
+
+function buildHookIndex(projectRoot) {
+  const j = jscodeshift.withParser('ts')
+  const hooks = []
+  const superClasses = new Map()
+
+  getClassIndex({ projectRoot }).forEach((info) => {
+    superClasses.set(info.name, info.superClass)
+  })
+
+  listSourceFiles(projectRoot).forEach((file) => {
+    const source = fs.readFileSync(file, 'utf8')
+    if (!/@(Before|After)\w+\(|@EventSubscriber\(/.test(source)) return
+
+    try {
+      const collected = collectHooks(j, j(source), file)
+      hooks.push(...collected.hooks)
+      collected.superClasses.forEach((superClass, name) => {
+        superClasses.set(name, superClass)
+      })
+    } catch (error) {
+      // Files that cannot be parsed simply don't contribute hooks
+    }
+  })
+
+  // Functions of the extension module need distinct names
+  const names = new Map()
+  hooks.forEach((hook) => {
+    const count = names.get(hook.name) || 0
+    names.set(hook.name, count + 1)
+    if (count > 0) {
+      hook.source = hook.source.replace(
+        `function ${hook.name}(`,
+        `function ${hook.name}${count + 1}(`
+      )
+      hook.name = `${hook.name}${count + 1}`
+    }
+  })
+
+  return {
+    hooks,
+    models: resolveHooks(hooks, superClasses, getEntityIndex({ projectRoot })),
+  }
+}
+
+/**
+ * Get the entity listeners and subscribers of the project at
+ * `options.projectRoot` (defaults to the working directory):
+ * `{ hooks, models }`, where `models` maps Prisma delegate names (or
+ * `$allModels`) to the hooks moved to their queries. The index is built once
+ * per process.
+ */
+function getHookIndex(options = {}) {
+  const projectRoot = path.resolve(options.projectRoot || process.cwd())
+
+  if (!hookIndexCache.has(projectRoot)) {
+    hookIndexCache.set(projectRoot, buildHookIndex(projectRoot))
+  }
+  return hookIndexCache.get(projectRoot)
+}
+
+/**
+ * Whether a hook runs in the generated extension. Hooks with problems are not
+ * moved, and neither are the events listed in `hook.unsupported`.
+ */
+function isMovedHook(hook) {
+  return (
+    hook.problems.length === 0 &&
+    hook.unsupported.length < hook.events.length &&
+    (hook.entities.length > 0 || (hook.kind === 'subscriber' && !hook.target))
+  )
+}
+
+/**
+ * Why a hook, or some of its events, don't run in the generated extension.
+ */
+function getHookProblems(hook) {
+  return [
+    ...hook.problems.map((problem) => `it ${problem}`),
+    ...hook.unsupported.map(
+      (event) => `${event} has no Prisma query: ${UNSUPPORTED_EVENTS[event]}`
+    ),
+  ]
+}
+
+// Module specifier of an import of the extension module in `directory`
+function getImportSource(directory, source) {
+  if (!path.isAbsolute(source)) return source
+
+  const relative = path.relative(directory, source).split(path.sep).join('/')
+  return relative.startsWith('.') ? relative : `./${relative}`
+}
+
+function renderImports(hooks, directory) {
+  const sources = new Map()
+  hooks.forEach((hook) => {
+    hook.references.forEach(({ local, source, imported }) => {
+      const specifier = getImportSource(directory, source)
+      if (!sources.has(specifier)) sources.set(specifier, new Map())
+      sources.get(specifier).set(local, imported)
+    })
+  })
+
+  const lines = []
+  sources.forEach((specifiers, source) => {
+    const named = []
+    let defaultImport = null
+    specifiers.forEach((imported, local) => {
+      if (imported === '*') {
+        lines.push(`import * as ${local} from '${source}'`)
+      } else if (imported === 'default') {
+        defaultImport = local
+      } else {
+        named.push(imported === local ? local : `${imported} as ${local}`)
+      }
+    })
+
+    const clauses = [defaultImport, named.length && `{ ${named.join(', ')} }`]
+    if (clauses.some(Boolean)) {
+      lines.push(
+        `import ${clauses.filter(Boolean).join(', ')} from '${source}'`
+      )
+    }
+  })
+  return lines
+}
+
+// Query extension of one Prisma operation, running the hooks of its events
+function renderOperation(operation, hooks) {
+  const { before, after } = QUERY_OPERATIONS[operation]
+  const runs = (event) =>
+    hooks.filter(
+      (hook) => hook.events.includes(event) && !hook.unsupported.includes(event)
+    )
+  const lines = []
+
+  Object.entries(before).forEach(([event, records]) => {
+    runs(event).forEach((hook) => {
+      lines.push(
+        records
+          ? `await runHooks(${hook.name}, ${records})`
+          : `await ${hook.name}()`
+      )
+    })
+  })
+  const afterHooks = after.flatMap(runs)
+  if (lines.length === 0 && afterHooks.length === 0) return null
+
+  if (afterHooks.length === 0) {
+    lines.push('return query(args)')
+  } else {
+    lines.push('const result = await query(args)')
+    afterHooks.forEach((hook) => {
+      lines.push(`await runHooks(${hook.name}, result)`)
+    })
+    lines.push('return result')
+  }
+
+  return [
+    `async ${operation}({ args, query }) {`,
+    ...lines.map((line) => `  ${line}`),
+    '},',
+  ]
+}
+
+/**
+ * Source of the extension module for the hooks of a hook index, written to
+ * `directory`, or null when no hook could be moved.
+ */
+function renderHooksExtension(index, directory) {
+  const hooks = index.hooks.filter(isMovedHook)
+  if (hooks.length === 0) return null
+
+  const models = []
+  index.models.forEach((modelHooks, key) => {
+    const operations = Object.keys(QUERY_OPERATIONS)
+      .map((operation) => renderOperation(operation, modelHooks))
+      .filter(Boolean)
+    if (operations.length === 0) return
+
+    models.push(
+      [`${key}: {`, ...operations.flat().map((line) => `  ${line}`), '},']
+        .map((line) => `    ${line}`)
+        .join('\n')
+    )
+  })
+
+  const functions = hooks.map(
+    (hook) =>
+      `// ${hook.className}.${hook.method}() from ${path
+        .relative(directory, hook.file)
+        .split(path.sep)
+        .join('/')}\n${hook.source}`
+  )
+
+  return `${GENERATED_MARKER}
+import { Prisma } from '@prisma/client'
+${renderImports(hooks, directory)
+  .map((line) => `${line}\n`)
+  .join('')}
+${functions.join('\n\n')}
+
+// Run a hook on the record of a query, or on each of its records
+async function runHooks(hook: (record: any) => unknown, records: unknown) {
+  for (const record of Array.isArray(records) ? records : [records]) {
+    if (record) await hook(record)
+  }
+}
+
+// TypeORM entity listeners and subscribers, run around the Prisma queries
+// of their entities
+export const entityHooks = Prisma.defineExtension({
+  name: 'entity-hooks',
+  query: {
+${models.join('\n')}
+  },
+})
+`
+}
+
+module.exports = {
+  getHookIndex,
+  getHookProblems,
+  isMovedHook,
+  renderHooksExtension,
+}
@@ -0,0 +1,926 @@
+/**
+ * Project-wide index of TypeORM entities
+ *
+ * Services usually live in other files than the entities they query, so the
+ * transform cannot rely on the file at hand to know an entity's primary and
+ * unique columns, or where its relations lead. This module scans the project once per process for classes
+ * decorated with `@Entity` and keeps their metadata, keyed by class name.
+ * Columns inherited from base classes, embedded classes and the child
+ * entities of single table inheritance are resolved through an index of all
+ * classes declaring columns.
+ *
+ * Custom repositories are indexed the same way, so that the services
+ * injecting them know which of their methods are inherited from `Repository`,
+ * and so are TypeScript enums, which enum columns often import from another
+ * file.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const jscodeshift = require('jscodeshift')
+
+// Directories that never contain entities
+const SKIPPED_DIRECTORIES = [
+  'node_modules',
+  'dist',
+  'build',
+  'coverage',
+  '.git',
+]
+
+const PRIMARY_DECORATORS = ['PrimaryGeneratedColumn', 'PrimaryColumn']
+
+const RELATION_DECORATORS = ['OneToOne', 'ManyToOne', 'OneToMany', 'ManyToMany']
+
+// Relations whose property holds a single entity rather than a list
+const TO_ONE_RELATIONS = ['OneToOne', 'ManyToOne']
+
+// TypeScript keywords of column property types
+const TYPE_KEYWORDS = {
+  TSStringKeyword: 'string',
+  TSNumberKeyword: 'number',
+  TSBooleanKeyword: 'boolean',
+}
+
+// Entity indexes already built in this process, keyed by project root
+const indexCache = new Map()
+
+// Class indexes already built in this process, keyed by project root
+const classIndexCache = new Map()
+
+// Custom repository indexes already built in this process, by project root
+const repositoryIndexCache = new Map()
+
+// Enum indexes already built in this process, by project root
+const enumIndexCache = new Map()
+
+function getDecoratorName(decorator) {
+  const expression = decorator.expression
+  if (expression.type === 'CallExpression') {
+    return expression.callee.name || null
+  }
+  return expression.name || null
+}
+
+function getDecoratorArgs(decorator) {
+  return decorator.expression.type === 'CallExpression'
+    ? decorator.expression.arguments
+    : []
+}
+
+function getStaticValue(node) {
+  if (!node) return undefined
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+    case 'Literal':
+      return node.value
+    case 'ArrayExpression':
+      return node.elements.map(getStaticValue)
+    case 'TemplateLiteral':
+      return node.expressions.length === 0
+        ? node.quasis[0].value.cooked
+        : undefined
+    case 'UnaryExpression': {
+      // Negative numbers: -1
+      const value = getStaticValue(node.argument)
+      return node.operator === '-' && typeof value === 'number'
+        ? -value
+        : undefined
+    }
+    default:
+      return undefined
+  }
+}
+
+// Value node of an option of an options object
+function getOptionNode(node, name) {
+  if (!node || node.type !== 'ObjectExpression') return null
+
+  const property = node.properties.find(
+    (p) => p.key && !p.computed && (p.key.name || p.key.value) === name
+  )
+  return property ? property.value : null
+}
+
+// Plain values of the statically known properties of an options object
+function getOptions(node) {
+  const options = {}
+  if (!node || node.type !== 'ObjectExpression') return options
+
+  node.properties.forEach((property) => {
+    if (!property.key || property.computed) return
+    const name = property.key.name || property.key.value
+    options[name] = getStaticValue(property.value)
+  })
+  return options
+}
+
+// Default table name of TypeORM's naming strategy: UserProfile → user_profile
+function toSnakeCase(name) {
+  return name
+    .replace(/([A-Z])([A-Z])([a-z])/g, '$1_$2$3')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+}
+
+// Expression returned by a function: () => User, () => { return User }
+function getReturnedExpression(fn) {
+  if (
+    !fn ||
+    (fn.type !== 'ArrowFunctionExpression' && fn.type !== 'FunctionExpression')
+  ) {
+    return null
+  }
+  if (fn.body.type !== 'BlockStatement') return fn.body
+
+  const statement = fn.body.body.find((s) => s.type === 'ReturnStatement')
+  return statement ? statement.argument : null
+}
+
+// Target entity of a relation decorator: @ManyToOne(() => User) or
+// @ManyToOne('User')
+function getRelationTarget(args) {
+  const [target] = args
+  if (!target) return null
+  if (target.type === 'StringLiteral' || target.type === 'Literal') {
+    return typeof target.value === 'string' ? target.value : null
+  }
+
+  const returned = getReturnedExpression(target)
+  return returned && returned.type === 'Identifier' ? returned.name : null
+}
+
+// Property of the inverse side of a relation: (user) => user.posts or 'posts'
+function getInverseSide(args) {
+  const inverse = args[1]
+  if (!inverse) return null
+  if (inverse.type === 'StringLiteral' || inverse.type === 'Literal') {
+    return typeof inverse.value === 'string' ? inverse.value : null
+  }
+
+  const returned = getReturnedExpression(inverse)
+  return returned &&
+    returned.type === 'MemberExpression' &&
+    !returned.computed &&
+    returned.property.type === 'Identifier'
+    ? returned.property.name
+    : null
+}
+
+// Entity named by the type of a relation property: User, User[],
+// Promise<User[]>
+function getAnnotatedEntity(member) {
+  let type = member.typeAnnotation && member.typeAnnotation.typeAnnotation
+  while (type) {
+    if (type.type === 'TSArrayType') {
+      type = type.elementType
+    } else if (type.type === 'TSTypeReference' && type.typeName.name) {
+      const [param] = (type.typeParameters && type.typeParameters.params) || []
+      if (type.typeName.name !== 'Promise' || !param) {
+        return type.typeName.name
+      }
+      type = param
+    } else {
+      return null
+    }
+  }
+  return null
+}
+
+// Type of a column property: the TypeScript keyword or the referenced type
+function getPropertyType(member) {
+  const type = member.typeAnnotation && member.typeAnnotation.typeAnnotation
+  if (!type) return null
+  if (TYPE_KEYWORDS[type.type]) return TYPE_KEYWORDS[type.type]
+  return type.type === 'TSTypeReference' ? type.typeName.name || null : null
+}
+
+// Join columns of @JoinColumn(), @JoinColumn({ name, referencedColumnName })
+// or @JoinColumn([{ ... }, { ... }])
+function getJoinColumns(args) {
+  const [arg] = args
+  if (!arg) return [{}]
+  if (arg.type === 'ArrayExpression') {
+    return arg.elements.map((element) => getOptions(element))
+  }
+  return [getOptions(arg)]
+}
+
+// Options of @JoinTable({ name, joinColumn: { ... }, inverseJoinColumn: { ... } })
+function getJoinTable(args) {
+  const [arg] = args
+  if (!arg || arg.type !== 'ObjectExpression') return {}
+
+  const joinTable = getOptions(arg)
+  arg.properties.forEach((property) => {
+    if (!property.key || property.computed) return
+    const name = property.key.name || property.key.value
+    if (name === 'joinColumn' || name === 'inverseJoinColumn') {
+      joinTable[name] = getOptions(property.value)
+    }
+  })
+  return joinTable
+}
+
+/**
+ * Column list of a class-level @Unique/@Index decorator, whose arguments are
+ * ([columns], options?) or (name, [columns], options?), where the columns
+ * may also be given by a function
+ */
+function getConstraintColumns(args) {
+  const columns = args.find((arg) => arg.type === 'ArrayExpression')
+
+  // (entity) => [entity.a, entity.b]
+  const fn = args.find((arg) => arg.type === 'ArrowFunctionExpression')
+  const returned = fn && getReturnedExpression(fn)
+  if (!columns && returned && returned.type === 'ArrayExpression') {
+    const names = returned.elements.map((element) =>
+      element && element.type === 'MemberExpression' && !element.computed
+        ? element.property.name
+        : null
+    )
+    return names.every(Boolean) ? names : null
+  }
+  if (!columns) return null
+
+  const names = getStaticValue(columns)
+  return names.every((name) => typeof name === 'string') ? names : null
+}
+
+// Columns of the decorated properties of a class, in declaration order. An
+// embedded column, @Column(() => Address), only records the class it embeds.
+function collectColumns(classNode) {
+  const columns = []
+
+  classNode.body.body.forEach((member) => {
+    if (member.type !== 'ClassProperty' || !member.decorators) return
+    if (!member.key || member.computed) return
+
+    const column = {
+      name: member.key.name || member.key.value,
+      member,
+      decorators: member.decorators.map(getDecoratorName),
+      primary: false,
+      unique: false,
+      nullable: false,
+      columnName: null,
+      type: null,
+      tsType: getPropertyType(member),
+      enum: null,
+      enumName: null,
+      length: null,
+      precision: null,
+      scale: null,
+      relation: null,
+      embedded: null,
+      embeddedIn: null,
+    }
+    let joinColumns = null
+    let joinTable = null
+
+    member.decorators.forEach((decorator) => {
+      const name = getDecoratorName(decorator)
+      const args = getDecoratorArgs(decorator)
+      const optionsNode = args.find((arg) => arg.type === 'ObjectExpression')
+      const options = getOptions(optionsNode)
+
+      if (RELATION_DECORATORS.includes(name)) {
+        column.relation = {
+          type: name,
+          target: getRelationTarget(args) || getAnnotatedEntity(member),
+          toOne: TO_ONE_RELATIONS.includes(name),
+          inverse: getInverseSide(args),
+          nullable: options.nullable !== false,
+          onDelete: options.onDelete || null,
+          onUpdate: options.onUpdate || null,
+          joinColumns: null,
+          joinTable: null,
+        }
+        return
+      }
+      if (name === 'JoinColumn') {
+        joinColumns = getJoinColumns(args)
+        return
+      }
+      if (name === 'JoinTable') {
+        joinTable = getJoinTable(args)
+        return
+      }
+      if (name === 'Index') {
+        column.unique = column.unique || options.unique === true
+        return
+      }
+      if (!/Column$/.test(name || '')) return
+
+      // Column decorators: @Column('varchar', { name }), @PrimaryGeneratedColumn('uuid')
+      const [firstArg] = args
+      const embedded = getReturnedExpression(firstArg)
+      if (name === 'Column' && embedded && embedded.type === 'Identifier') {
+        column.embedded = { target: embedded.name, prefix: options.prefix }
+        return
+      }
+      const declaredType =
+        typeof getStaticValue(firstArg) === 'string'
+          ? getStaticValue(firstArg)
+          : options.type
+      if (name === 'PrimaryGeneratedColumn') {
+        // The first argument is the generation strategy, not the type
+        column.type =
+          options.type || (getStaticValue(firstArg) === 'uuid' ? 'uuid' : 'int')
+      } else if (typeof declaredType === 'string') {
+        column.type = declaredType
+      }
+      // enum: UserRole, resolved through the enum index
+      const enumOption = getOptionNode(optionsNode, 'enum')
+      if (enumOption && enumOption.type === 'Identifier') {
+        column.enum = enumOption.name
+      }
+      column.enumName =
+        typeof options.enumName === 'string' ? options.enumName : null
+      column.columnName = options.name || null
+      column.length = options.length || null
+      column.precision = options.precision || null
+      column.scale = options.scale || null
+      column.nullable = options.nullable === true
+      column.primary =
+        column.primary ||
+        PRIMARY_DECORATORS.includes(name) ||
+        options.primary === true
+      column.unique = column.unique || options.unique === true
+    })
+
+    if (column.relation) {
+      column.relation.joinColumns = joinColumns
+      column.relation.joinTable = joinTable
+    }
+    columns.push(column)
+  })
+
+  return columns
+}
+
+/**
+ * Collect the classes declared in a parsed file that may hold TypeORM
+ * columns: `{ name, file, node, superClass, columns }`. Entities, their
+ * abstract base classes and embedded classes are all indexed this way, so
+ * that inherited and embedded columns can be resolved across files.
+ */
+function collectClasses(j, root, file) {
+  const classes = []
+
+  root.find(j.ClassDeclaration).forEach((path) => {
+    const classNode = path.node
+    if (!classNode.id) return
+
+    const superClass = classNode.superClass
+    classes.push({
+      name: classNode.id.name,
+      file,
+      node: classNode,
+      superClass:
+        superClass && superClass.type === 'Identifier' ? superClass.name : null,
+      columns: collectColumns(classNode),
+    })
+  })
+
+  return classes
+}
+
+function capitalize(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1)
+}
+
+// Columns of a class with the ones it inherits, base classes first. A class
+// redeclaring an inherited property overrides its column. Every class gets
+// copies of the inherited columns, since relations are resolved per column.
+function resolveColumns(info, lookup, seen = new Set()) {
+  if (!info || seen.has(info.name)) return []
+  seen.add(info.name)
+
+  const columns = new Map()
+  const inherited = info.superClass
+    ? resolveColumns(lookup(info.superClass), lookup, seen)
+    : []
+  inherited.forEach((column) => columns.set(column.name, { ...column }))
+
+  info.columns.forEach((column) => {
+    if (!column.embedded) {
+      columns.set(column.name, column)
+      return
+    }
+    getEmbeddedColumns(column, lookup, new Set(seen)).forEach((embedded) => {
+      columns.set(embedded.name, embedded)
+    })
+  })
+  return [...columns.values()]
+}
+
+// Columns of an embedded class, prefixed the way TypeORM names them:
+// address.city is stored in addressCity, or addrCity with `prefix: 'addr'`
+// and city with `prefix: false`
+function getEmbeddedColumns(column, lookup, seen) {
+  const { target, prefix } = column.embedded
+  const name =
+    prefix === false ? '' : typeof prefix === 'string' ? prefix : column.name
+
+  return resolveColumns(lookup(target), lookup, seen).map((embedded) => ({
+    ...embedded,
+    name: name ? `${name}${capitalize(embedded.name)}` : embedded.name,
+    columnName:
+      embedded.columnName && name
+        ? `${name}${capitalize(embedded.columnName)}`
+        : embedded.columnName,
+    primary: false,
+    embeddedIn: { property: column.name, target, column: embedded },
+  }))
+}
+
+// Entity of an indexed class, or null for classes without @Entity or
+// @ChildEntity
+function toEntity(info, lookup) {
+  const classNode = info.node
+  const decorators = classNode.decorators || []
+  const entityDecorator = decorators.find((decorator) =>
+    ['Entity', 'ChildEntity'].includes(getDecoratorName(decorator))
+  )
+  if (!entityDecorator) return null
+
+  const entity = {
+    name: info.name,
+    tableName: null,
+    schema: null,
+    file: info.file,
+    abstract: Boolean(classNode.abstract),
+    columns: resolveColumns(info, lookup),
+    uniqueConstraints: [],
+    parent: null,
+    inheritance: null,
+  }
+
+  const [firstArg] = getDecoratorArgs(entityDecorator)
+  if (getDecoratorName(entityDecorator) === 'ChildEntity') {
+    // Single table inheritance: @ChildEntity() or @ChildEntity('video')
+    entity.parent = info.superClass
+    entity.discriminatorValue =
+      typeof getStaticValue(firstArg) === 'string'
+        ? getStaticValue(firstArg)
+        : info.name
+  } else if (firstArg && getStaticValue(firstArg) !== undefined) {
+    entity.tableName = getStaticValue(firstArg)
+  } else if (firstArg) {
+    entity.tableName = getOptions(firstArg).name || null
+    entity.schema = getOptions(firstArg).schema || null
+  }
+
+  decorators.forEach((decorator) => {
+    const name = getDecoratorName(decorator)
+    const args = getDecoratorArgs(decorator)
+
+    // Class-level constraints: @Unique(['a', 'b']), @Index(['a', 'b'], { unique: true })
+    if (name === 'Unique' || name === 'Index') {
+      const columns = getConstraintColumns(args)
+      const options = getOptions(args[args.length - 1])
+      if (columns && (name === 'Unique' || options.unique === true)) {
+        entity.uniqueConstraints.push(columns)
+      }
+    }
+
+    // @TableInheritance({ column: { type: 'varchar', name: 'type' } })
+    if (name === 'TableInheritance') {
+      const [optionsNode] = args
+      const column = getOptions(getOptionNode(optionsNode, 'column'))
+      entity.inheritance = {
+        column: column.name || 'type',
+        type: column.type || 'varchar',
+        values: entity.abstract
+          ? []
+          : [{ entity: entity.name, value: entity.name }],
+      }
+    }
+  })
+
+  const primaryColumns = entity.columns
+    .filter((column) => column.primary)
+    .map((column) => column.name)
+  if (primaryColumns.length > 0) {
+    entity.uniqueConstraints.unshift(primaryColumns)
+  }
+  entity.columns
+    .filter((column) => column.unique)
+    .forEach((column) => entity.uniqueConstraints.push([column.name]))
+
+  return entity
+}
+
+/**
+ * Collect the metadata of the entities declared in a parsed file. Base and
+ * embedded classes are looked up in the file first, then in `classes`, the
+ * class index of the project.
+ */
+function collectEntities(j, root, file, classes = new Map()) {
+  const local = new Map(
+    collectClasses(j, root, file).map((info) => [info.name, info])
+  )
+  const lookup = (name) => local.get(name) || classes.get(name)
+
+  return [...local.values()]
+    .map((info) => toEntity(info, lookup))
+    .filter(Boolean)
+}
+
+/**
+ * Entity storing the rows of a single table inheritance child, or the
+ * entity itself.
+ */
+function getRootEntity(index, entity) {
+  const seen = new Set()
+  while (entity && entity.parent && !seen.has(entity.name)) {
+    seen.add(entity.name)
+    entity = index.get(entity.parent)
+  }
+  return entity
+}
+
+/**
+ * Collapse single table inheritance hierarchies of an entity index, in
+ * place: the entity with @TableInheritance gets the columns of its
+ * @ChildEntity classes, optional since other rows don't have them, and the
+ * discriminator value of each child.
+ */
+function linkTableInheritance(index) {
+  index.forEach((child) => {
+    if (!child.parent) return
+
+    const parent = getRootEntity(index, child)
+    if (!parent || parent === child || !parent.inheritance) return
+
+    const columns = new Map(parent.columns.map((c) => [c.name, c]))
+    child.columns.forEach((column) => {
+      if (columns.has(column.name)) return
+      columns.set(column.name, {
+        ...column,
+        nullable: true,
+        relation: column.relation && { ...column.relation, nullable: true },
+        childEntity: child.name,
+      })
+    })
+
+    const values = parent.inheritance.values.filter(
+      (value) => value.entity !== child.name
+    )
+    index.set(parent.name, {
+      ...parent,
+      columns: [...columns.values()],
+      inheritance: {
+        ...parent.inheritance,
+        values: [
+          ...values,
+          { entity: child.name, value: child.discriminatorValue },
+        ],
+      },
+    })
+  })
+  return index
+}
+
+// Recursively list the TypeScript sources below a directory
+function listSourceFiles(directory, files = []) {
+  let entries
+  try {
+    entries = fs.readdirSync(directory, { withFileTypes: true })
+  } catch (error) {
+    return files
+  }
+
+  entries.forEach((entry) => {
+    const entryPath = path.join(directory, entry.name)
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRECTORIES.includes(entry.name)) {
+        listSourceFiles(entryPath, files)
+      }
+    } else if (/\.tsx?$/.test(entry.name) && !entry.name.endsWith('.d.ts')) {
+      files.push(entryPath)
+    }
+  })
+
+  return files
+}
+
+function buildClassIndex(projectRoot) {
+  const index = new Map()
+  const j = jscodeshift.withParser('ts')
+
+  listSourceFiles(projectRoot).forEach((file) => {
+    const source = fs.readFileSync(file, 'utf8')
+    if (!/@Entity|@ChildEntity|Column\(/.test(source)) return
+
+    try {
+      collectClasses(j, j(source), file).forEach((info) => {
+        index.set(info.name, info)
+      })
+    } catch (error) {
+      // Files that cannot be parsed simply don't contribute classes
+    }
+  })
+
+  return index
+}
+
+/**
+ * Get the class index of the project: the classes of the files declaring
+ * entities or columns, built once per process like the entity index.
+ */
+function getClassIndex(options = {}) {
+  const projectRoot = path.resolve(options.projectRoot || process.cwd())
+
+  if (!classIndexCache.has(projectRoot)) {
+    classIndexCache.set(projectRoot, buildClassIndex(projectRoot))
+  }
+  return classIndexCache.get(projectRoot)
+}
+
+function buildEntityIndex(projectRoot) {
+  const index = new Map()
+  const classes = getClassIndex({ projectRoot })
+  const lookup = (name) => classes.get(name)
+
+  classes.forEach((info) => {
+    const entity = toEntity(info, lookup)
+    if (entity) index.set(entity.name, entity)
+  })
+
+  return linkTableInheritance(index)
+}
+
+/**
+ * Collect the TypeScript enums declared in a parsed file, with the value of
+ * each member: `{ name, file, members: [{ name, value }] }`. Members without
+ * initializer count up from the previous numeric value, like TypeScript does.
+ */
+function collectEnums(j, root, file) {
+  const enums = []
+
+  root.find(j.TSEnumDeclaration).forEach((path) => {
+    let next = 0
+    const members = path.node.members.map((member) => {
+      const name = member.id.name || member.id.value
+      let value = member.initializer ? getStaticValue(member.initializer) : next
+      if (
+        member.initializer &&
+        member.initializer.type === 'UnaryExpression' &&
+        member.initializer.operator === '-'
+      ) {
+        value = -getStaticValue(member.initializer.argument)
+      }
+      if (typeof value === 'number') next = value + 1
+      return { name, value }
+    })
+
+    enums.push({ name: path.node.id.name, file, members })
+  })
+
+  return enums
+}
+
+function buildEnumIndex(projectRoot) {
+  const index = new Map()
+  const j = jscodeshift.withParser('ts')
+
+  listSourceFiles(projectRoot).forEach((file) => {
+    const source = fs.readFileSync(file, 'utf8')
+    if (!/\benum\s+[A-Za-z_$]/.test(source)) return
+
+    try {
+      collectEnums(j, j(source), file).forEach((declaration) => {
+        index.set(declaration.name, declaration)
+      })
+    } catch (error) {
+      // Files that cannot be parsed simply don't contribute enums
+    }
+  })
+
+  return index
+}
+
+/**
+ * Get the TypeScript enum index of the project, built once per process like
+ * the entity index.
+ */
+function getEnumIndex(options = {}) {
+  const projectRoot = path.resolve(options.projectRoot || process.cwd())
+
+  if (!enumIndexCache.has(projectRoot)) {
+    enumIndexCache.set(projectRoot, buildEnumIndex(projectRoot))
+  }
+  return enumIndexCache.get(projectRoot)
+}
+
+// Entity of a `Repository<Entity>` type or `getRepository(Entity)` call
+function getTypeArgumentName(typeParameters) {
+  const [param] = (typeParameters && typeParameters.params) || []
+  return param && param.type === 'TSTypeReference' && param.typeName.name
+    ? param.typeName.name
+    : null
+}
+
+/**
+ * Collect the custom repositories declared in a parsed file:
+ *
+ *   @EntityRepository(User) class UserRepository extends Repository<User> {}
+ *   class UserRepository extends Repository<User> {}
+ *   const UserRepository = dataSource.getRepository(User).extend({ ... })
+ *
+ * Each repository is `{ name, entityName, methods, kind, file }`, with the
+ * names of the members it declares itself and a kind of 'class' or 'extend'.
+ */
+function collectCustomRepositories(j, root, file) {
+  const repositories = []
+
+  root.find(j.ClassDeclaration).forEach((path) => {
+    const classNode = path.node
+    if (!classNode.id) return
+
+    const entityRepository = (classNode.decorators || []).find(
+      (decorator) => getDecoratorName(decorator) === 'EntityRepository'
+    )
+    const [entityArg] = entityRepository
+      ? getDecoratorArgs(entityRepository)
+      : []
+    const superClass = classNode.superClass
+    const entityName =
+      (entityArg && entityArg.type === 'Identifier' && entityArg.name) ||
+      (superClass &&
+        superClass.type === 'Identifier' &&
+        superClass.name === 'Repository' &&
+        getTypeArgumentName(classNode.superTypeParameters))
+    if (!entityName) return
+
+    repositories.push({
+      name: classNode.id.name,
+      entityName,
+      methods: classNode.body.body
+        .filter((member) => member.key && !member.computed)
+        .map((member) => member.key.name),
+      kind: 'class',
+      file,
+    })
+  })
+
+  root.find(j.VariableDeclarator).forEach((path) => {
+    const { id, init } = path.node
+    if (
+      id.type !== 'Identifier' ||
+      !init ||
+      init.type !== 'CallExpression' ||
+      init.callee.type !== 'MemberExpression' ||
+      init.callee.property.name !== 'extend' ||
+      !init.arguments[0] ||
+      init.arguments[0].type !== 'ObjectExpression'
+    ) {
+      return
+    }
+
+    const getRepository = init.callee.object
+    const [entityArg] =
+      getRepository.type === 'CallExpression' ? getRepository.arguments : []
+    const calleeName =
+      getRepository.type === 'CallExpression' &&
+      (getRepository.callee.name ||
+        (getRepository.callee.property && getRepository.callee.property.name))
+    if (
+      calleeName !== 'getRepository' ||
+      !entityArg ||
+      entityArg.type !== 'Identifier'
+    ) {
+      return
+    }
+
+    repositories.push({
+      name: id.name,
+      entityName: entityArg.name,
+      methods: init.arguments[0].properties
+        .filter((property) => property.key && !property.computed)
+        .map((property) => property.key.name || property.key.value),
+      kind: 'extend',
+      file,
+    })
+  })
+
+  return repositories
+}
+
+function buildRepositoryIndex(projectRoot) {
+  const index = new Map()
+  const j = jscodeshift.withParser('ts')
+
+  listSourceFiles(projectRoot).forEach((file) => {
+    const source = fs.readFileSync(file, 'utf8')
+    if (!/Repository<|@EntityRepository|\.extend\(/.test(source)) return
+
+    try {
+      collectCustomRepositories(j, j(source), file).forEach((repository) => {
+        index.set(repository.name, repository)
+      })
+    } catch (error) {
+      // Files that cannot be parsed simply don't contribute repositories
+    }
+  })
+
+  return index
+}
+
+/**
+ * Get the custom repository index of the project, built once per process
+ * like the entity index.
+ */
+function getCustomRepositoryIndex(options = {}) {
+  const projectRoot = path.resolve(options.projectRoot || process.cwd())
+
+  if (!repositoryIndexCache.has(projectRoot)) {
+    repositoryIndexCache.set(projectRoot, buildRepositoryIndex(projectRoot))
+  }
+  return repositoryIndexCache.get(projectRoot)
+}
+
+/**
+ * Get the entity index of the project at `options.projectRoot` (defaults to
+ * the working directory). The index is built once per process.
+ */
+function getEntityIndex(options = {}) {
+  const projectRoot = path.resolve(options.projectRoot || process.cwd())
+
+  if (!indexCache.has(projectRoot)) {
+    indexCache.set(projectRoot, buildEntityIndex(projectRoot))
+  }
+  return indexCache.get(projectRoot)
+}
+
+/**
+ * Relation metadata (`{ type, target, toOne }`) of an entity property, or
+ * null when the property is not a relation.
+ */
+function getRelation(entity, propertyName) {
+  if (!entity) return null
+  const column = entity.columns.find((c) => c.name === propertyName)
+  return (column && column.relation) || null
+}
+
+/**
+ * Table of an entity: the name given to @Entity() or TypeORM's default.
+ */
+function getTableName(entity) {
+  return entity.tableName || toSnakeCase(entity.name)
+}
+
+/**
+ * Property of the `@DeleteDateColumn` of an entity, or null when its rows
+ * are never soft-deleted.
+ */
+function getDeleteDateColumn(entity) {
+  if (!entity) return null
+  const column = entity.columns.find((c) =>
+    c.decorators.includes('DeleteDateColumn')
+  )
+  return column ? column.name : null
+}
+
+/**
+ * Find the unique constraint of an entity made of exactly the given columns.
+ */
+function findUniqueConstraint(entity, columnNames) {
+  if (!entity || columnNames.length === 0) return null
+
+  const wanted = [...columnNames].sort().join(',')
+  return (
+    entity.uniqueConstraints.find(
+      (columns) => [...columns].sort().join(',') === wanted
+    ) || null
+  )
+}
+
+module.exports = {
+  collectCustomRepositories,
+  collectEntities,
+  collectEnums,
+  getClassIndex,
+  getConstraintColumns,
+  getCustomRepositoryIndex,
+  getDeleteDateColumn,
+  getEntityIndex,
+  getEnumIndex,
+  getOptionNode,
+  findUniqueConstraint,
+  getRelation,
+  getDecoratorName,
+  getDecoratorArgs,
+  getOptions,
+  getReturnedExpression,
+  getRootEntity,
+  getStaticValue,
+  getTableName,
+  linkTableInheritance,
+  listSourceFiles,
+  toSnakeCase,
+}
@@ -0,0 +1,735 @@
+/**
+ * TypeORM find options to Prisma query arguments
+ *
+ * Translates the options of repository calls (`where`, `relations`, `order`,
+ * `select`, `skip`, `take`, ...) into Prisma query arguments. The TypeORM find
+ * operators (`In`, `Not`, `MoreThan`, `ILike`, ...) are recognised when they are
+ * imported from `typeorm`, under their own or an aliased name, and replaced by
+ * the equivalent Prisma filter objects.
+ *
+ * Operators without a Prisma equivalent (e.g. `Raw`) are left in place with a
+ * TODO comment on the property using them, so that the code keeps failing the
+ * type-check until it has been reviewed.
+ */
+
+const {
+  countReferences,
+  getPropertyName,
+  isObjectProperty,
+  isStringLiteral,
+} = require('./ast-utils')
+
+// TypeORM find operators that can appear in `where` criteria
+const FIND_OPERATORS = [
+  'And',
+  'Any',
+  'ArrayContainedBy',
+  'ArrayContains',
+  'ArrayOverlap',
+  'Between',
+  'Equal',
+  'ILike',
+  'In',
+  'IsNull',
+  'JsonContains',
+  'LessThan',
+  'LessThanOrEqual',
+  'Like',
+  'MoreThan',
+  'MoreThanOrEqual',
+  'Not',
+  'Or',
+  'Raw',
+]
+
+// Find options that are not criteria. Any other key of a find options object
+// without `where` is a legacy (TypeORM 0.2) criteria property.
+const FIND_OPTION_KEYS = [
+  'where',
+  'relations',
+  'join',
+  'select',
+  'order',
+  'skip',
+  'take',
+  'withDeleted',
+  'cache',
+  'lock',
+  'loadEagerRelations',
+  'loadRelationIds',
+  'relationLoadStrategy',
+  'transaction',
+  'comment',
+]
+
+// Providers whose string filters support mode: 'insensitive'. The others
+// compare strings following the collation of the column.
+const INSENSITIVE_MODE_PROVIDERS = ['postgresql', 'mongodb']
+
+// Find options that Prisma has no argument for
+const UNSUPPORTED_OPTIONS = {
+  withDeleted:
+    'soft-deleted rows are not filtered by Prisma, remove any deletedAt filter to include them',
+  cache: 'Prisma has no query result cache, use an external cache if needed',
+  lock: 'Prisma has no row locking option, use $queryRaw with SELECT ... FOR UPDATE inside a $transaction',
+  loadEagerRelations:
+    'Prisma has no eager relations, use include for the relations to load',
+  loadRelationIds:
+    'Prisma cannot load relation ids only, use include or select the foreign key fields',
+  relationLoadStrategy:
+    'use the relationLoadStrategy preview feature of Prisma if you need it',
+  transaction: 'wrap the query in this.prisma.$transaction instead',
+  comment: 'Prisma does not support query comments',
+  join: 'translate the join option into include manually',
+}
+
+// Operators that map to a single Prisma filter key with the same argument
+const SIMPLE_FILTERS = {
+  LessThan: 'lt',
+  LessThanOrEqual: 'lte',
+  MoreThan: 'gt',
+  MoreThanOrEqual: 'gte',
+  In: 'in',
+  Any: 'in',
+  ArrayContains: 'hasEvery',
+  ArrayOverlap: 'hasSome',
+}
+
+// Prisma filters of to-many relations
+const RELATION_FILTERS = ['some', 'every', 'none']
+
+// Find operator usage that could not be translated, with the reason
+const UNSUPPORTED = {
+  Raw: 'TypeORM Raw() has no Prisma filter equivalent - rewrite this condition with a supported filter or $queryRaw',
+  ArrayContainedBy:
+    'TypeORM ArrayContainedBy() has no Prisma filter equivalent - rewrite this condition manually',
+  JsonContains:
+    'TypeORM JsonContains() must be rewritten as a Prisma Json filter (path/equals) manually',
+  Like: 'LIKE pattern cannot be expressed with contains/startsWith/endsWith - rewrite this condition manually',
+  Or: 'TypeORM Or() could not be hoisted into a Prisma OR clause - rewrite this condition manually',
+}
+
+// Map of local identifier names to the find operators imported from `typeorm`
+function getImportedFindOperators(j, root) {
+  const operators = new Map()
+
+  root
+    .find(j.ImportDeclaration, { source: { value: 'typeorm' } })
+    .forEach((path) => {
+      ;(path.node.specifiers || []).forEach((specifier) => {
+        if (
+          specifier.type === 'ImportSpecifier' &&
+          FIND_OPERATORS.includes(specifier.imported.name)
+        ) {
+          const localName = specifier.local
+            ? specifier.local.name
+            : specifier.imported.name
+          operators.set(localName, specifier.imported.name)
+        }
+      })
+    })
+
+  return operators
+}
+
+/**
+ * Create a translator for the find options and `where` criteria of the file
+ * `root`. `context.getRelation(entity, property)` gives the relation metadata
+ * of an entity property (see entity-index.js), telling to-many relations from
+ * to-one ones in nested criteria. `context.provider` is the Prisma provider of
+ * the project (postgresql by default), which decides whether `ILike` filters
+ * get `mode: 'insensitive'`.
+ *
+ * Returns `translateFindOptions(node, entity)` and
+ * `translateWhere(node, entity)`, which rewrite their argument in place (or
+ * return a replacement node),
+ * `translateLike(pattern, insensitive)` for LIKE patterns found elsewhere, and
+ * `pruneImports()`, which removes the find operators from the `typeorm` import
+ * once nothing references them anymore.
+ */
+function createFindOptionsTranslator(j, root, context = {}) {
+  const { getRelation = () => null, provider = 'postgresql' } = context
+  const operators = getImportedFindOperators(j, root)
+
+  function property(name, value) {
+    return j.property('init', j.identifier(name), value)
+  }
+
+  function getOperator(node) {
+    if (
+      node &&
+      node.type === 'CallExpression' &&
+      node.callee.type === 'Identifier' &&
+      operators.has(node.callee.name)
+    ) {
+      return operators.get(node.callee.name)
+    }
+    return null
+  }
+
+  function addTodo(target, message) {
+    const text = ` TODO: ${message}`
+    const comments = target.comments || []
+    if (!comments.some((comment) => comment.value === text)) {
+      target.comments = [...comments, j.commentLine(text, true, false)]
+    }
+  }
+
+  // Translate a LIKE pattern into contains/startsWith/endsWith/equals
+  function translateLike(pattern, insensitive) {
+    let key = null
+    let value = null
+
+    if (isStringLiteral(pattern)) {
+      const text = pattern.value
+      const startsWithWildcard = text.startsWith('%')
+      const endsWithWildcard = text.length > 1 && text.endsWith('%')
+      const inner = text.slice(
+        startsWithWildcard ? 1 : 0,
+        endsWithWildcard ? -1 : undefined
+      )
+
+      if (/[%_\\]/.test(inner)) return null
+
+      key = getLikeFilterKey(startsWithWildcard, endsWithWildcard)
+      value = j.stringLiteral(inner)
+    } else if (pattern.type === 'TemplateLiteral') {
+      const quasis = pattern.quasis.map((quasi) => quasi.value.cooked)
+      const last = quasis.length - 1
+      const startsWithWildcard = quasis[0].startsWith('%')
+      const endsWithWildcard = quasis[last].endsWith('%')
+
+      const stripped = quasis.map((text, index) => {
+        let result = text
+        if (index === 0 && startsWithWildcard) result = result.slice(1)
+        if (index === last && endsWithWildcard) result = result.slice(0, -1)
+        return result
+      })
+      if (stripped.some((text) => /[%_\\]/.test(text))) return null
+
+      key = getLikeFilterKey(startsWithWildcard, endsWithWildcard)
+      value =
+        pattern.expressions.length === 1 && stripped.every((text) => !text)
+          ? pattern.expressions[0]
+          : j.templateLiteral(
+              stripped.map((text, index) =>
+                j.templateElement(
+                  { raw: text.replace(/[`\\$]/g, '\\$&'), cooked: text },
+                  index === last
+                )
+              ),
+              pattern.expressions
+            )
+    } else {
+      return null
+    }
+
+    const filter = [property(key, value)]
+    if (insensitive && INSENSITIVE_MODE_PROVIDERS.includes(provider)) {
+      filter.push(property('mode', j.stringLiteral('insensitive')))
+    }
+    return j.objectExpression(filter)
+  }
+
+  function getLikeFilterKey(startsWithWildcard, endsWithWildcard) {
+    if (startsWithWildcard && endsWithWildcard) return 'contains'
+    if (startsWithWildcard) return 'endsWith'
+    if (endsWithWildcard) return 'startsWith'
+    return 'equals'
+  }
+
+  // Translate a find operator call into a Prisma filter value. Returns null
+  // when the operator cannot be expressed as a Prisma filter.
+  function translateOperator(call) {
+    const operator = getOperator(call)
+    const args = call.arguments
+
+    if (SIMPLE_FILTERS[operator]) {
+      return j.objectExpression([property(SIMPLE_FILTERS[operator], args[0])])
+    }
+
+    switch (operator) {
+      case 'Equal':
+        return args[0]
+
+      case 'IsNull':
+        return j.nullLiteral()
+
+      case 'Between':
+        return j.objectExpression([
+          property('gte', args[0]),
+          property('lte', args[1]),
+        ])
+
+      case 'Like':
+      case 'ILike':
+        return translateLike(args[0], operator === 'ILike')
+
+      case 'Not': {
+        const inner = args[0]
+        const innerOperator = getOperator(inner)
+
+        if (!innerOperator) {
+          return j.objectExpression([property('not', inner)])
+        }
+        if (innerOperator === 'In' || innerOperator === 'Any') {
+          return j.objectExpression([property('notIn', inner.arguments[0])])
+        }
+
+        const translated = translateOperator(inner)
+        return translated
+          ? j.objectExpression([property('not', translated)])
+          : null
+      }
+
+      case 'And': {
+        const merged = []
+        for (const arg of args) {
+          const translated = getOperator(arg) ? translateOperator(arg) : arg
+          if (!translated) return null
+
+          if (translated.type === 'ObjectExpression') {
+            merged.push(...translated.properties)
+          } else {
+            merged.push(property('equals', translated))
+          }
+        }
+        return j.objectExpression(merged)
+      }
+
+      default:
+        return null
+    }
+  }
+
+  // Translate the value of a criteria property of `entity`, in place where
+  // possible
+  function translateValue(prop, entity) {
+    const value = prop.value
+    const operator = getOperator(value)
+
+    if (operator) {
+      const translated = translateOperator(value)
+      if (translated) {
+        prop.value = translated
+      } else {
+        addTodo(
+          prop,
+          operator === 'ILike' ? UNSUPPORTED.Like : UNSUPPORTED[operator]
+        )
+      }
+    } else if (value.type === 'ObjectExpression') {
+      // Nested relation criteria, which Prisma wants in `some` for to-many
+      // relations: { posts: { some: { title } } }
+      const relation = entity
+        ? getRelation(entity, getPropertyName(prop))
+        : null
+      translateCriteria(value, relation && relation.target)
+      if (relation && !relation.toOne && !isRelationFilter(value)) {
+        prop.value = j.objectExpression([property('some', value)])
+      }
+    }
+  }
+
+  // Criteria already using Prisma's to-many relation filters
+  function isRelationFilter(criteria) {
+    return (
+      criteria.properties.length > 0 &&
+      criteria.properties.every((prop) =>
+        RELATION_FILTERS.includes(getPropertyName(prop))
+      )
+    )
+  }
+
+  // Translate a single criteria object of `entity` in place
+  function translateCriteria(criteria, entity) {
+    const orGroups = []
+
+    criteria.properties = criteria.properties.filter((prop) => {
+      const name = getPropertyName(prop)
+      if (!name) return true
+
+      if (getOperator(prop.value) === 'Or') {
+        // Or() on a single column becomes an OR clause on the parent criteria
+        const alternatives = prop.value.arguments.map((alternative) => {
+          const branch = property(name, alternative)
+          translateValue(branch, entity)
+          return j.objectExpression([branch])
+        })
+        orGroups.push(j.arrayExpression(alternatives))
+        return false
+      }
+
+      if (name === 'OR' || name === 'AND' || name === 'NOT') return true
+
+      translateValue(prop, entity)
+      return true
+    })
+
+    if (orGroups.length === 0) return criteria
+
+    const existingOr = criteria.properties.find(
+      (prop) => getPropertyName(prop) === 'OR'
+    )
+    const existingAnd = criteria.properties.find(
+      (prop) => getPropertyName(prop) === 'AND'
+    )
+
+    if (orGroups.length === 1 && !existingOr) {
+      criteria.properties.push(property('OR', orGroups[0]))
+      return criteria
+    }
+
+    // Several OR clauses have to be combined with AND
+    const clauses = orGroups.map((group) =>
+      j.objectExpression([property('OR', group)])
+    )
+    if (existingOr) {
+      criteria.properties.splice(criteria.properties.indexOf(existingOr), 1)
+      clauses.unshift(j.objectExpression([existingOr]))
+    }
+
+    if (!existingAnd) {
+      criteria.properties.push(property('AND', j.arrayExpression(clauses)))
+    } else if (existingAnd.value.type === 'ArrayExpression') {
+      existingAnd.value.elements.push(...clauses)
+    } else {
+      existingAnd.value = j.arrayExpression([existingAnd.value, ...clauses])
+    }
+
+    return criteria
+  }
+
+  /**
+   * Translate TypeORM `where` criteria of `entity` (when known) into a Prisma
+   * `where` argument. Arrays of criteria objects (TypeORM's OR form) become
+   * `{ OR: [...] }`.
+   */
+  function translateWhere(node, entity) {
+    if (!node) return node
+
+    if (node.type === 'ArrayExpression') {
+      node.elements.forEach((element) => {
+        if (element && element.type === 'ObjectExpression') {
+          translateCriteria(element, entity)
+        }
+      })
+      return j.objectExpression([property('OR', node)])
+    }
+
+    if (node.type === 'ObjectExpression') {
+      return translateCriteria(node, entity)
+    }
+
+    return node
+  }
+
+  // Build the nested include object for a list of (dotted) relation paths:
+  // ['profile', 'posts.comments'] → { profile: true, posts: { include: { comments: true } } }
+  function relationPathsToInclude(paths) {
+    const tree = new Map()
+
+    paths.forEach((relationPath) => {
+      let level = tree
+      relationPath.split('.').forEach((segment) => {
+        if (!level.has(segment)) level.set(segment, new Map())
+        level = level.get(segment)
+      })
+    })
+
+    function build(level) {
+      return j.objectExpression(
+        [...level.entries()].map(([name, children]) =>
+          property(
+            name,
+            children.size === 0
+              ? j.booleanLiteral(true)
+              : j.objectExpression([property('include', build(children))])
+          )
+        )
+      )
+    }
+
+    return build(tree)
+  }
+
+  // Translate the object form of relations: { posts: { comments: true } }
+  function relationObjectToInclude(relations) {
+    relations.properties.forEach((prop) => {
+      if (isObjectProperty(prop) && prop.value.type === 'ObjectExpression') {
+        relationObjectToInclude(prop.value)
+        prop.value = j.objectExpression([property('include', prop.value)])
+      }
+    })
+    return relations
+  }
+
+  // Translate the relations option into an include object, or return null
+  function translateRelations(relations) {
+    if (relations.type === 'ArrayExpression') {
+      if (!relations.elements.every((element) => isStringLiteral(element))) {
+        return null
+      }
+      return relationPathsToInclude(
+        relations.elements.map((element) => element.value)
+      )
+    }
+    if (relations.type === 'ObjectExpression') {
+      return relationObjectToInclude(relations)
+    }
+    return null
+  }
+
+  // Translate the select option into a Prisma select object, or return null
+  function translateSelect(select) {
+    if (select.type === 'ArrayExpression') {
+      if (!select.elements.every((element) => isStringLiteral(element))) {
+        return null
+      }
+      return j.objectExpression(
+        select.elements.map((element) =>
+          property(element.value, j.booleanLiteral(true))
+        )
+      )
+    }
+    if (select.type === 'ObjectExpression') {
+      // Nested relation selects: { profile: { name: true } }
+      select.properties.forEach((prop) => {
+        if (isObjectProperty(prop) && prop.value.type === 'ObjectExpression') {
+          translateSelect(prop.value)
+          prop.value = j.objectExpression([property('select', prop.value)])
+        }
+      })
+      return select
+    }
+    return null
+  }
+
+  // Normalise a TypeORM order direction, or return null when it is dynamic
+  function translateDirection(direction) {
+    if (isStringLiteral(direction)) {
+      const value = direction.value.toLowerCase()
+      return value === 'asc' || value === 'desc' ? j.stringLiteral(value) : null
+    }
+    if (direction.type === 'NumericLiteral' || direction.type === 'Literal') {
+      if (direction.value === 1) return j.stringLiteral('asc')
+      if (direction.value === -1) return j.stringLiteral('desc')
+    }
+    if (
+      direction.type === 'UnaryExpression' &&
+      direction.operator === '-' &&
+      direction.argument.value === 1
+    ) {
+      return j.stringLiteral('desc')
+    }
+    if (direction.type === 'ObjectExpression') {
+      // { direction: 'DESC', nulls: 'LAST' } → { sort: 'desc', nulls: 'last' }
+      const sort = direction.properties.find(
+        (prop) => getPropertyName(prop) === 'direction'
+      )
+      const nulls = direction.properties.find(
+        (prop) => getPropertyName(prop) === 'nulls'
+      )
+      const sortValue = sort && translateDirection(sort.value)
+      if (!sortValue) return null
+      if (!nulls) return sortValue
+
+      if (!isStringLiteral(nulls.value)) return null
+      return j.objectExpression([
+        property('sort', sortValue),
+        property('nulls', j.stringLiteral(nulls.value.value.toLowerCase())),
+      ])
+    }
+    return null
+  }
+
+  // Translate an order object of one level, returning null when a direction
+  // cannot be determined statically
+  function translateOrderLevel(order) {
+    for (const prop of order.properties) {
+      if (!getPropertyName(prop)) return null
+
+      const isNestedRelation =
+        prop.value.type === 'ObjectExpression' &&
+        !prop.value.properties.some((nested) =>
+          ['direction', 'nulls'].includes(getPropertyName(nested))
+        )
+
+      if (isNestedRelation) {
+        if (!translateOrderLevel(prop.value)) return null
+      } else {
+        const direction = translateDirection(prop.value)
+        if (!direction) return null
+        prop.value = direction
+      }
+    }
+    return order
+  }
+
+  // Translate the order option into orderBy. Prisma needs one field per
+  // object, so several fields become an array that keeps their precedence.
+  function translateOrder(order) {
+    if (order.type !== 'ObjectExpression' || !translateOrderLevel(order)) {
+      return null
+    }
+    if (order.properties.length <= 1) return order
+
+    return j.arrayExpression(
+      order.properties.map((prop) => j.objectExpression([prop]))
+    )
+  }
+
+  /**
+   * Translate a TypeORM find options object of `entity` into Prisma query
+   * arguments, in place. Returns the messages for options that need a manual
+   * review.
+   */
+  function translateFindOptions(options, entity) {
+    const review = []
+    if (!options || options.type !== 'ObjectExpression') return review
+
+    // Legacy criteria properties next to the options: findOne({ id: 1 })
+    const hasWhere = options.properties.some(
+      (prop) => getPropertyName(prop) === 'where'
+    )
+    const criteria = options.properties.filter(
+      (prop) =>
+        isObjectProperty(prop) &&
+        !FIND_OPTION_KEYS.includes(getPropertyName(prop))
+    )
+    if (!hasWhere && criteria.length > 0) {
+      options.properties = options.properties.filter(
+        (prop) => !criteria.includes(prop)
+      )
+      options.properties.unshift(
+        property('where', j.objectExpression(criteria))
+      )
+    }
+
+    let include = null
+    let select = null
+
+    options.properties = options.properties.filter((prop) => {
+      const name = getPropertyName(prop)
+
+      switch (name) {
+        case 'where':
+          prop.value = translateWhere(prop.value, entity)
+          return true
+
+        case 'relations': {
+          const translated = translateRelations(prop.value)
+          if (!translated) {
+            review.push(
+              'TODO: Translate the dynamic relations option into a Prisma include object'
+            )
+          }
+          prop.key = j.identifier('include')
+          prop.value = translated || prop.value
+          include = prop
+          return true
+        }
+
+        case 'select': {
+          const translated = translateSelect(prop.value)
+          if (!translated) {
+            review.push(
+              'TODO: Translate the dynamic select option into a Prisma select object'
+            )
+          }
+          prop.value = translated || prop.value
+          select = prop
+          return true
+        }
+
+        case 'order': {
+          const translated = translateOrder(prop.value)
+          if (!translated) {
+            review.push(
+              "TODO: Verify orderBy - Prisma expects 'asc' or 'desc' for every field, with one field per object"
+            )
+          }
+          prop.key = j.identifier('orderBy')
+          prop.value = translated || prop.value
+          return true
+        }
+
+        default:
+          if (UNSUPPORTED_OPTIONS[name]) {
+            review.push(
+              `TODO: TypeORM find option "${name}" was removed - ${UNSUPPORTED_OPTIONS[name]}`
+            )
+            return false
+          }
+          return true
+      }
+    })
+
+    // Prisma does not allow include next to select: select the relations too
+    if (
+      include &&
+      select &&
+      include.value.type === 'ObjectExpression' &&
+      select.value.type === 'ObjectExpression'
+    ) {
+      const selected = select.value.properties.map(getPropertyName)
+      select.value.properties.push(
+        ...include.value.properties.filter(
+          (prop) => !selected.includes(getPropertyName(prop))
+        )
+      )
+      options.properties = options.properties.filter((prop) => prop !== include)
+    }
+
+    return review
+  }
+
+  // Remove find operators that are no longer referenced from `typeorm`
+  // imports, and drop the import entirely if nothing else is imported
+  function pruneImports() {
+    let changed = false
+
+    root
+      .find(j.ImportDeclaration, { source: { value: 'typeorm' } })
+      .forEach((path) => {
+        const specifiers = path.node.specifiers || []
+        const remaining = specifiers.filter((specifier) => {
+          if (
+            specifier.type !== 'ImportSpecifier' ||
+            !FIND_OPERATORS.includes(specifier.imported.name)
+          ) {
+            return true
+          }
+          const localName = specifier.local
+            ? specifier.local.name
+            : specifier.imported.name
+          return countReferences(j, root, localName) > 0
+        })
+
+        if (remaining.length === specifiers.length) return
+        changed = true
+
+        if (remaining.length === 0) {
+          j(path).remove()
+        } else {
+          path.node.specifiers = remaining
+        }
+      })
+
+    return changed
+  }
+
+  return {
+    translateFindOptions,
+    translateWhere,
+    translateLike,
+    pruneImports,
+    operators,
+  }
+}
+
+module.exports = {
+  FIND_OPERATORS,
+  FIND_OPTION_KEYS,
+  createFindOptionsTranslator,
+}
@@ -0,0 +1,118 @@
+/**
+ * Prisma native type attributes
+ *
+ * Every Prisma scalar type has a default database type per provider, which
+ * is not always the one TypeORM creates: a `varchar(100)` column read back as
+ * a plain `String` would become `text` on PostgreSQL with the next
+ * migration. This module gives the `@db.*` attribute keeping the column type
+ * TypeORM declared, or null when Prisma's default already matches.
+ */
+
+// TypeORM column types and the native type of each Prisma provider, given
+// the column options (`length`, `precision`, `scale`)
+const NATIVE_TYPES = {
+  postgresql: {
+    varchar: ({ length }) => (length ? `VarChar(${length})` : 'VarChar'),
+    'character varying': ({ length }) =>
+      length ? `VarChar(${length})` : 'VarChar',
+    char: ({ length }) => `Char(${length || 1})`,
+    character: ({ length }) => `Char(${length || 1})`,
+    uuid: () => 'Uuid',
+    smallint: () => 'SmallInt',
+    int2: () => 'SmallInt',
+    real: () => 'Real',
+    float4: () => 'Real',
+    decimal: getDecimal,
+    numeric: getDecimal,
+    money: () => 'Money',
+    date: () => 'Date',
+    time: withPrecision('Time', 6),
+    timestamp: withPrecision('Timestamp', 6),
+    'timestamp without time zone': withPrecision('Timestamp', 6),
+    timestamptz: withPrecision('Timestamptz', 6),
+    'timestamp with time zone': withPrecision('Timestamptz', 6),
+    json: () => 'Json',
+    xml: () => 'Xml',
+    inet: () => 'Inet',
+  },
+  cockroachdb: {
+    varchar: ({ length }) => (length ? `String(${length})` : null),
+    char: ({ length }) => `Char(${length || 1})`,
+    uuid: () => 'Uuid',
+    smallint: () => 'Int2',
+    int: () => 'Int4',
+    integer: () => 'Int4',
+    real: () => 'Float4',
+    decimal: getDecimal,
+    numeric: getDecimal,
+    date: () => 'Date',
+    timestamp: withPrecision('Timestamp', 6),
+    timestamptz: withPrecision('Timestamptz', 6),
+  },
+  mysql: {
+    varchar: ({ length }) => `VarChar(${length || 255})`,
+    char: ({ length }) => `Char(${length || 1})`,
+    uuid: () => 'VarChar(36)',
+    text: () => 'Text',
+    tinytext: () => 'TinyText',
+    mediumtext: () => 'MediumText',
+    longtext: () => 'LongText',
+    tinyint: () => 'TinyInt',
+    smallint: () => 'SmallInt',
+    mediumint: () => 'MediumInt',
+    float: () => 'Float',
+    decimal: getDecimal,
+    numeric: getDecimal,
+    date: () => 'Date',
+    time: withPrecision('Time', 0),
+    datetime: withPrecision('DateTime', 0),
+    timestamp: withPrecision('Timestamp', 0),
+  },
+  sqlserver: {
+    varchar: ({ length }) => `VarChar(${length || 255})`,
+    nvarchar: ({ length }) => `NVarChar(${length || 255})`,
+    char: ({ length }) => `Char(${length || 1})`,
+    nchar: ({ length }) => `NChar(${length || 1})`,
+    text: () => 'Text',
+    ntext: () => 'NText',
+    uuid: () => 'UniqueIdentifier',
+    uniqueidentifier: () => 'UniqueIdentifier',
+    tinyint: () => 'TinyInt',
+    smallint: () => 'SmallInt',
+    decimal: getDecimal,
+    numeric: getDecimal,
+    date: () => 'Date',
+    datetime: () => 'DateTime',
+    datetime2: withPrecision('DateTime2', 7),
+    datetimeoffset: withPrecision('DateTimeOffset', 7),
+  },
+}
+
+// Date and time types with fractional seconds, `timestamp(3)`, defaulting to
+// the precision TypeORM creates them with
+function withPrecision(name, defaultPrecision) {
+  return ({ precision }) =>
+    `${name}(${precision === undefined ? defaultPrecision : precision})`
+}
+
+// decimal(10, 2) keeps its precision and scale, a bare decimal keeps Prisma's
+// default
+function getDecimal({ precision, scale }) {
+  return precision ? `Decimal(${precision}, ${scale || 0})` : null
+}
+
+/**
+ * Native type attribute of a TypeORM column type for a Prisma provider,
+ * `@db.VarChar(255)`, or null when the column needs none.
+ */
+function getNativeTypeAttribute(provider, type, options = {}) {
+  const types = NATIVE_TYPES[provider]
+  const nativeType =
+    types && typeof type === 'string' && types[type.toLowerCase()]
+  if (!nativeType) return null
+
+  const name = nativeType(options)
+  return name ? `@db.${name}` : null
+}
+
+module.exports = { getNativeTypeAttribute }
@@ -0,0 +1,103 @@
+/**
+ * Location of the Prisma service and module
+ *
+ * Migrated services import `PrismaService` and migrated modules import
+ * `PrismaModule`. Both live in one directory of the project, `src/prisma/` by
+ * default, so every file needs its own relative specifier to reach them.
+ * Projects that import through a tsconfig path alias (`@app/prisma`) get the
+ * alias instead, either given with `--prismaAlias` or found in the `paths` of
+ * the project's tsconfig.json.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const DEFAULT_PRISMA_DIR = 'src/prisma'
+
+const PRISMA_FILES = {
+  PrismaService: 'prisma.service',
+  PrismaModule: 'prisma.module',
+}
+
+// tsconfig path aliases already read in this process, keyed by project root
+const aliasCache = new Map()
+
+// tsconfig.json allows comments and trailing commas, JSON.parse does not
+function parseJsonWithComments(source) {
+  const withoutComments = source.replace(
+    /("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g,
+    (match, string) => string || ''
+  )
+  return JSON.parse(withoutComments.replace(/,(\s*[}\]])/g, '$1'))
+}
+
+// Path aliases of the project, as [alias, absolute target] pairs. Only exact
+// aliases are kept since `@app/prisma/*` style patterns need a file name.
+function readPathAliases(projectRoot) {
+  const aliases = []
+
+  let config
+  try {
+    config = parseJsonWithComments(
+      fs.readFileSync(path.join(projectRoot, 'tsconfig.json'), 'utf8')
+    )
+  } catch (error) {
+    return aliases
+  }
+
+  const compilerOptions = config.compilerOptions || {}
+  const baseUrl = path.resolve(projectRoot, compilerOptions.baseUrl || '.')
+  Object.entries(compilerOptions.paths || {}).forEach(([alias, targets]) => {
+    if (alias.includes('*')) return
+    ;(targets || []).forEach((target) => {
+      aliases.push([alias, path.resolve(baseUrl, target)])
+    })
+  })
+
+  return aliases
+}
+
+function getPathAliases(projectRoot) {
+  if (!aliasCache.has(projectRoot)) {
+    aliasCache.set(projectRoot, readPathAliases(projectRoot))
+  }
+  return aliasCache.get(projectRoot)
+}
+
+/**
+ * Absolute directory holding prisma.service.ts and prisma.module.ts, from
+ * `options.prismaDir` relative to the project root.
+ */
+function getPrismaDirectory(options = {}) {
+  const projectRoot = path.resolve(options.projectRoot || process.cwd())
+  return path.resolve(projectRoot, options.prismaDir || DEFAULT_PRISMA_DIR)
+}
+
+/**
+ * Module specifier a file uses to import `PrismaService` or `PrismaModule`.
+ */
+function getPrismaImportSource(filePath, name, options = {}) {
+  if (options.prismaAlias) return options.prismaAlias
+
+  const projectRoot = path.resolve(options.projectRoot || process.cwd())
+  const directory = getPrismaDirectory(options)
+  const alias = getPathAliases(projectRoot).find(([, target]) =>
+    [directory, path.join(directory, 'index.ts')].includes(target)
+  )
+  if (alias) return alias[0]
+
+  const target = path.join(directory, PRISMA_FILES[name])
+  let specifier = path
+    .relative(path.dirname(path.resolve(filePath)), target)
+    .split(path.sep)
+    .join('/')
+  if (!specifier.startsWith('.')) specifier = `./${specifier}`
+  return specifier
+}
+
+module.exports = {
+  DEFAULT_PRISMA_DIR,
+  PRISMA_FILES,
+  getPrismaDirectory,
+  getPrismaImportSource,
+}
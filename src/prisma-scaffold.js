@@ -0,0 +1,185 @@
+/**
+ * Prisma service and module scaffolding
+ *
+ * Migrated code imports `PrismaService` and `PrismaModule` from the Prisma
+ * directory of the project (see prisma-location.js). When these files don't
+ * exist yet, they are created from the templates below so that the migrated
+ * application compiles without hand-copied boilerplate.
+ *
+ * Entity listeners and subscribers of the project are moved to a Prisma
+ * Client extension in prisma.hooks.ts (see entity-hooks.js), which the
+ * service applies to itself.
+ *
+ * Files created by the codemod carry the generated marker. They are rewritten
+ * when the TypeORM connection options of the run change their settings (e.g.
+ * `logging`), while files written by hand are never touched.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const { renderHooksExtension } = require('./entity-hooks')
+const { GENERATED_MARKER } = require('./schema-writer')
+const { PRISMA_FILES, getPrismaDirectory } = require('./prisma-location')
+
+// Module of the Prisma Client extension running the entity hooks
+const HOOKS_FILE = 'prisma.hooks'
+
+// Log levels of the Prisma client
+const PRISMA_LOG_LEVELS = ['query', 'info', 'warn', 'error']
+
+// TypeORM `logging` levels and their Prisma counterparts
+const TYPEORM_LOG_LEVELS = {
+  query: 'query',
+  error: 'error',
+  warn: 'warn',
+  info: 'info',
+  log: 'info',
+  schema: 'info',
+  migration: 'info',
+}
+
+/**
+ * Prisma log levels for the `logging` option of a TypeORM connection:
+ * true, 'all' or a list of levels.
+ */
+function getLogLevels(logging) {
+  if (logging === true || logging === 'all') return [...PRISMA_LOG_LEVELS]
+  if (!Array.isArray(logging)) return []
+
+  const levels = new Set(
+    logging.map((level) => TYPEORM_LOG_LEVELS[level]).filter(Boolean)
+  )
+  return PRISMA_LOG_LEVELS.filter((level) => levels.has(level))
+}
+
+function renderService({ log, hooks }) {
+  const options =
+    log.length > 0
+      ? `{ log: [${log.map((level) => `'${level}'`).join(', ')}] }`
+      : ''
+  // The extended client stands in for the service, so that every query
+  // made through it runs the entity hooks
+  const extension = hooks
+    ? `
+    return this.$extends(entityHooks) as unknown as PrismaService`
+    : ''
+  const constructor =
+    options || hooks
+      ? `
+  constructor() {
+    super(${options})${extension}
+  }
+`
+      : ''
+
+  return `${GENERATED_MARKER}
+import { Injectable, OnModuleDestroy, OnModuleInit } from '@nestjs/common'
+import { PrismaClient } from '@prisma/client'
+${hooks ? `import { entityHooks } from './${HOOKS_FILE}'\n` : ''}
+@Injectable()
+export class PrismaService
+  extends PrismaClient
+  implements OnModuleInit, OnModuleDestroy
+{${constructor}
+  async onModuleInit() {
+    await this.$connect()
+  }
+
+  async onModuleDestroy() {
+    await this.$disconnect()
+  }
+}
+`
+}
+
+function renderModule({ global }) {
+  const imports = global ? 'Global, Module' : 'Module'
+
+  return `${GENERATED_MARKER}
+import { ${imports} } from '@nestjs/common'
+import { PrismaService } from './${PRISMA_FILES.PrismaService}'
+
+${global ? '@Global()\n' : ''}@Module({
+  providers: [PrismaService],
+  exports: [PrismaService],
+})
+export class PrismaModule {}
+`
+}
+
+function renderIndex() {
+  return `${GENERATED_MARKER}
+export * from './${PRISMA_FILES.PrismaService}'
+export * from './${PRISMA_FILES.PrismaModule}'
+`
+}
+
+// Create a file, or replace one created by a previous run. Several workers
+// may race for the same file, so creation must not overwrite.
+function writeScaffoldFile(file, content, replaceGenerated) {
+  try {
+    fs.writeFileSync(file, content, { flag: 'wx' })
+    return true
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error
+  }
+
+  if (!replaceGenerated) return false
+
+  const existing = fs.readFileSync(file, 'utf8')
+  if (!existing.startsWith(GENERATED_MARKER) || existing === content) {
+    return false
+  }
+  fs.writeFileSync(file, content)
+  return true
+}
+
+/**
+ * Create the Prisma service and module (and an index.ts for path aliases)
+ * in the Prisma directory. Returns the paths of the files written.
+ *
+ * Settings:
+ * - `global`: make PrismaModule @Global() (default true)
+ * - `log`: Prisma log levels
+ * - `barrel`: also create index.ts re-exporting both files
+ * - `hooks`: entity hooks of the project (see entity-hooks.js), moved to
+ *   prisma.hooks.ts when any of them can be
+ * - `replaceGenerated`: rewrite files created by a previous run
+ */
+function scaffoldPrismaFiles(options, settings = {}) {
+  const directory = getPrismaDirectory(options)
+  const extension =
+    settings.hooks && renderHooksExtension(settings.hooks, directory)
+  const config = {
+    global: settings.global !== false,
+    log: settings.log || [],
+    hooks: Boolean(extension),
+  }
+  const files = [
+    [`${PRISMA_FILES.PrismaService}.ts`, renderService(config)],
+    [`${PRISMA_FILES.PrismaModule}.ts`, renderModule(config)],
+  ]
+  if (settings.barrel) files.push(['index.ts', renderIndex()])
+
+  fs.mkdirSync(directory, { recursive: true })
+  const written = files
+    .map(([name, content]) => [path.join(directory, name), content])
+    .filter(([file, content]) =>
+      writeScaffoldFile(file, content, settings.replaceGenerated)
+    )
+    .map(([file]) => file)
+
+  // The hooks of the whole project are the same for every file of the run
+  const hooksFile = path.join(directory, `${HOOKS_FILE}.ts`)
+  if (extension && writeScaffoldFile(hooksFile, extension, true)) {
+    written.push(hooksFile)
+  }
+  return written
+}
+
+module.exports = {
+  HOOKS_FILE,
+  getLogLevels,
+  scaffoldPrismaFiles,
+}
@@ -0,0 +1,827 @@
+/**
+ * TypeORM QueryBuilder chains to Prisma queries
+ *
+ * A query builder chain such as
+ *
+ *   this.usersRepository
+ *     .createQueryBuilder('user')
+ *     .leftJoinAndSelect('user.profile', 'profile')
+ *     .where('user.isActive = :isActive', { isActive: true })
+ *     .orderBy('user.createdAt', 'DESC')
+ *     .getMany()
+ *
+ * is translated into the arguments of the equivalent Prisma query when every
+ * call of the chain can be proven to mean the same thing. Conditions are
+ * parsed from their SQL strings, which only works for the simple shapes
+ * `alias.column <op> :param`, `IN (:...ids)`, `IS [NOT] NULL` and `LIKE`,
+ * joined with AND/OR. Like TypeORM, reads of an entity with a
+ * `@DeleteDateColumn` leave soft-deleted rows out unless the chain calls
+ * `.withDeleted()`.
+ *
+ * Update, delete and insert chains ending with `.execute()` become
+ * updateMany, deleteMany and createMany calls.
+ *
+ * Anything else makes the whole chain unsupported, with a message naming the
+ * clause at fault, so that the caller can leave the query for manual review
+ * rather than emit a query that silently returns different rows.
+ */
+
+const { cloneNode, getPropertyName, isStringLiteral } = require('./ast-utils')
+const { getDeleteDateColumn, getRelation } = require('./entity-index')
+
+// Methods ending a select query, with the Prisma method they become
+const TERMINAL_METHODS = {
+  getMany: 'findMany',
+  getOne: 'findFirst',
+  getOneOrFail: 'findFirstOrThrow',
+  getCount: 'count',
+  getManyAndCount: 'findMany',
+}
+
+// First calls of write queries, with the Prisma method they become
+const WRITE_METHODS = {
+  update: 'updateMany',
+  delete: 'deleteMany',
+  insert: 'createMany',
+}
+
+const WHERE_METHODS = ['where', 'andWhere', 'orWhere']
+
+const JOIN_METHODS = [
+  'leftJoin',
+  'leftJoinAndSelect',
+  'innerJoin',
+  'innerJoinAndSelect',
+]
+
+const COMPARISON_FILTERS = {
+  '<': 'lt',
+  '<=': 'lte',
+  '>': 'gt',
+  '>=': 'gte',
+}
+
+// alias.column <operator> value, where the alias is optional
+const CONDITION_PATTERN =
+  /^(?:(\w+)\.)?(\w+)\s*(=|!=|<>|<=|>=|<|>|NOT\s+IN\b|IN\b|NOT\s+I?LIKE\b|I?LIKE\b|IS\s+NOT\b|IS\b)\s*(.+)$/i
+
+class UnsupportedQueryError extends Error {}
+
+function unsupported(message) {
+  throw new UnsupportedQueryError(message)
+}
+
+/**
+ * Collect the calls chained on the call at `path`:
+ * qb.where(...).getMany() → [{ name: 'where', args }, { name: 'getMany', args }]
+ *
+ * Returns the steps and the path of the outermost call of the chain.
+ */
+function getCallChain(path) {
+  const steps = []
+  let current = path
+
+  for (;;) {
+    const member = current.parent
+    const call = member && member.parent
+    if (
+      !call ||
+      member.node.type !== 'MemberExpression' ||
+      member.node.object !== current.node ||
+      member.node.computed ||
+      call.node.type !== 'CallExpression' ||
+      call.node.callee !== member.node
+    ) {
+      break
+    }
+
+    current = call
+    steps.push({ name: member.node.property.name, args: call.node.arguments })
+  }
+
+  return { steps, endPath: current }
+}
+
+// Text of a string literal, or of a template literal without expressions
+function getStaticString(node) {
+  if (!node) return null
+  if (isStringLiteral(node)) return node.value
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked
+  }
+  return null
+}
+
+/**
+ * Create a translator for the query builder chains of a file.
+ *
+ * `entityIndex` gives the relations of the queried entities, `translateWhere`
+ * and `translateLike` come from the find options translator.
+ */
+function createQueryBuilderTranslator(j, context) {
+  const { entityIndex, translateWhere, translateLike } = context
+
+  function property(name, value) {
+    return j.property('init', j.identifier(name), value)
+  }
+
+  // { a: { b: value } } for the path ['a', 'b']
+  function nest(path, value) {
+    return path.reduceRight(
+      (inner, name) => j.objectExpression([property(name, inner)]),
+      value
+    )
+  }
+
+  /**
+   * Parse the aliases, joins, parameters and clauses of a select chain.
+   */
+  function createQueryState(entityName, alias) {
+    const rootAlias = {
+      path: [],
+      entity: entityIndex.get(entityName) || null,
+      toOne: true,
+      loaded: true,
+    }
+    const aliases = new Map([[null, rootAlias]])
+    if (alias) aliases.set(alias, rootAlias)
+
+    return {
+      aliases,
+      rootAlias,
+      joinFilters: [],
+      softDeleteFilter: null,
+      withDeleted: false,
+      parameters: new Map(),
+      conditions: null,
+      selection: null,
+      orders: [],
+      skip: null,
+      take: null,
+    }
+  }
+
+  // Register the named parameters of an object expression
+  function addParameters(state, node) {
+    if (!node) return
+    if (node.type !== 'ObjectExpression') {
+      unsupported('query parameters that are not an object literal')
+    }
+    node.properties.forEach((prop) => {
+      const name = getPropertyName(prop)
+      if (!name) unsupported('computed query parameter names')
+      state.parameters.set(name, prop.value)
+    })
+  }
+
+  function getAlias(state, name) {
+    if (!state.aliases.has(name)) {
+      unsupported(`unknown query builder alias \`${name}\``)
+    }
+    return state.aliases.get(name)
+  }
+
+  // leftJoinAndSelect('user.profile', 'profile') and the other joins
+  function addJoin(state, method, args) {
+    const [target, aliasNode, condition] = args
+    const relationPath = getStaticString(target)
+    const alias = getStaticString(aliasNode)
+    if (!relationPath || !alias || !relationPath.includes('.')) {
+      unsupported(`\`.${method}()\` on something else than an alias.relation`)
+    }
+    if (condition) unsupported(`\`.${method}()\` with a join condition`)
+
+    const [parentName, relationName] = relationPath.split('.')
+    const parent = getAlias(state, parentName)
+    const relation = getRelation(parent.entity, relationName)
+
+    const joined = {
+      path: [...parent.path, relationName],
+      entity: relation ? entityIndex.get(relation.target) || null : null,
+      toOne: parent.toOne && Boolean(relation && relation.toOne),
+      loaded: method.endsWith('AndSelect'),
+    }
+    state.aliases.set(alias, joined)
+
+    // An inner join only keeps the rows that have a related record
+    if (method.startsWith('inner')) {
+      if (!relation) {
+        unsupported(
+          `\`.${method}('${relationPath}')\` on a relation of unknown type`
+        )
+      }
+      if (!parent.toOne) {
+        unsupported(`\`.${method}()\` below a to-many relation`)
+      }
+      state.joinFilters.push({
+        type: 'leaf',
+        where: nest(
+          joined.path,
+          j.objectExpression([
+            relation.toOne
+              ? property('isNot', j.nullLiteral())
+              : property('some', j.objectExpression([])),
+          ])
+        ),
+      })
+    }
+  }
+
+  function getParameter(state, name) {
+    if (!state.parameters.has(name)) {
+      unsupported(`query parameter \`:${name}\` that is not set in the chain`)
+    }
+    return cloneNode(state.parameters.get(name))
+  }
+
+  // Value of a condition: :param, (:...param), a literal or NULL
+  function parseValue(state, text) {
+    let match = text.match(/^\(\s*:(?:\.\.\.)?(\w+)\s*\)$|^:(?:\.\.\.)?(\w+)$/)
+    if (match) return getParameter(state, match[1] || match[2])
+
+    if (/^null$/i.test(text)) return j.nullLiteral()
+    if (/^(true|false)$/i.test(text)) {
+      return j.booleanLiteral(text.toLowerCase() === 'true')
+    }
+    if (/^-?\d+(\.\d+)?$/.test(text)) return j.numericLiteral(Number(text))
+    match = text.match(/^'((?:[^']|'')*)'$/)
+    if (match) return j.stringLiteral(match[1].replace(/''/g, "'"))
+
+    return unsupported(`condition value \`${text}\``)
+  }
+
+  // Prisma filter for `alias.column <operator> value`
+  function parseComparison(state, text) {
+    const match = text.trim().match(CONDITION_PATTERN)
+    if (!match) unsupported(`condition \`${text.trim()}\``)
+
+    const [, aliasName, column, rawOperator, rawValue] = match
+    const operator = rawOperator.toUpperCase().replace(/\s+/g, ' ')
+    const alias = getAlias(state, aliasName || null)
+    if (!alias.toOne) {
+      unsupported(
+        `condition on the to-many relation \`${alias.path.join('.')}\``
+      )
+    }
+
+    const value = rawValue.trim()
+    let filter
+    if (operator === 'IS' || operator === 'IS NOT') {
+      if (!/^null$/i.test(value)) unsupported(`condition \`${text.trim()}\``)
+      filter =
+        operator === 'IS'
+          ? j.nullLiteral()
+          : j.objectExpression([property('not', j.nullLiteral())])
+    } else if (operator.endsWith('LIKE')) {
+      const pattern = parseValue(state, value)
+      filter = translateLike(pattern, operator.includes('ILIKE'))
+      if (!filter)
+        unsupported(`LIKE pattern \`${value}\` that is not a literal`)
+      if (operator.startsWith('NOT')) {
+        filter = j.objectExpression([property('not', filter)])
+      }
+    } else if (operator === 'IN' || operator === 'NOT IN') {
+      filter = j.objectExpression([
+        property(operator === 'IN' ? 'in' : 'notIn', parseValue(state, value)),
+      ])
+    } else if (operator === '=') {
+      filter = parseValue(state, value)
+    } else if (operator === '!=' || operator === '<>') {
+      filter = j.objectExpression([property('not', parseValue(state, value))])
+    } else {
+      filter = j.objectExpression([
+        property(COMPARISON_FILTERS[operator], parseValue(state, value)),
+      ])
+    }
+
+    return { type: 'leaf', where: nest([...alias.path, column], filter) }
+  }
+
+  // Condition tree of a where string: comparisons joined with AND/OR, with
+  // AND binding tighter. Parentheses other than IN lists are not supported.
+  function parseConditionString(state, text) {
+    const withoutLists = text.replace(/\(\s*:(?:\.\.\.)?\w+\s*\)/g, '')
+    if (/[()]/.test(withoutLists)) {
+      unsupported(`condition with parentheses \`${text}\``)
+    }
+
+    const alternatives = text.split(/\s+OR\s+/i).map((alternative) => ({
+      type: 'and',
+      children: alternative
+        .split(/\s+AND\s+/i)
+        .map((comparison) => parseComparison(state, comparison)),
+    }))
+    return alternatives.length === 1
+      ? alternatives[0]
+      : { type: 'or', children: alternatives }
+  }
+
+  function parseCondition(state, method, args) {
+    const [condition, parameters] = args
+    addParameters(state, parameters)
+
+    const text = getStaticString(condition)
+    if (text !== null) return parseConditionString(state, text)
+
+    if (condition && condition.type === 'ObjectExpression') {
+      const entity = state.rootAlias.entity
+      return {
+        type: 'leaf',
+        where: translateWhere(cloneNode(condition), entity && entity.name),
+      }
+    }
+    return unsupported(
+      `\`.${method}()\` with a Brackets, function or computed condition`
+    )
+  }
+
+  // Prisma where object of a condition tree
+  function toWhere(node) {
+    if (node.type === 'leaf') return node.where
+
+    const children = node.children.map(toWhere)
+    if (children.length === 1) return children[0]
+    if (node.type === 'or') {
+      return j.objectExpression([property('OR', j.arrayExpression(children))])
+    }
+
+    // AND of objects with distinct keys can be a single object
+    const keys = children.flatMap((child) =>
+      child.properties.map((prop) => getPropertyName(prop))
+    )
+    if (new Set(keys).size === keys.length && !keys.includes(null)) {
+      return j.objectExpression(children.flatMap((child) => child.properties))
+    }
+    return j.objectExpression([property('AND', j.arrayExpression(children))])
+  }
+
+  function getWhere(state) {
+    const filters = [...state.joinFilters]
+    if (state.conditions) filters.push(state.conditions)
+    if (state.softDeleteFilter) filters.push(state.softDeleteFilter)
+    if (filters.length === 0) return null
+    return toWhere({ type: 'and', children: filters })
+  }
+
+  // Entries of select()/addSelect(): 'user', 'user.email' or a list of them
+  function getSelection(method, arg) {
+    const entries = arg && arg.type === 'ArrayExpression' ? arg.elements : [arg]
+    return entries.map((entry) => {
+      const text = getStaticString(entry)
+      if (!text || !/^\w+(\.\w+)?$/.test(text)) {
+        unsupported(`\`.${method}()\` of a computed expression`)
+      }
+      return text
+    })
+  }
+
+  // Sort direction: 'ASC'/'DESC' literals or a variable holding one
+  function getDirection(node) {
+    if (!node) return j.stringLiteral('asc')
+
+    const text = getStaticString(node)
+    if (text !== null) {
+      if (!/^(asc|desc)$/i.test(text)) {
+        unsupported(`sort direction \`${text}\``)
+      }
+      return j.stringLiteral(text.toLowerCase())
+    }
+
+    return j.conditionalExpression(
+      j.binaryExpression('===', node, j.stringLiteral('DESC')),
+      j.stringLiteral('desc'),
+      j.stringLiteral('asc')
+    )
+  }
+
+  function getNulls(node) {
+    if (!node) return null
+
+    const text = getStaticString(node)
+    const match = text && text.match(/^NULLS\s+(FIRST|LAST)$/i)
+    if (!match) unsupported('a non-literal NULLS FIRST/LAST option')
+    return j.stringLiteral(match[1].toLowerCase())
+  }
+
+  function addOrder(state, sort, direction, nulls) {
+    const match = sort.match(/^(?:(\w+)\.)?(\w+)$/)
+    if (!match) unsupported(`ordering by \`${sort}\``)
+
+    const alias = getAlias(state, match[1] || null)
+    if (!alias.toOne) {
+      unsupported(
+        `ordering by the to-many relation \`${alias.path.join('.')}\``
+      )
+    }
+
+    const nullsValue = getNulls(nulls)
+    const value = nullsValue
+      ? j.objectExpression([
+          property('sort', getDirection(direction)),
+          property('nulls', nullsValue),
+        ])
+      : getDirection(direction)
+    state.orders.push(nest([...alias.path, match[2]], value))
+  }
+
+  // orderBy('user.name', 'DESC', 'NULLS LAST') or orderBy({ 'user.name': 'DESC' })
+  function addOrderBy(state, method, args) {
+    const [sort, direction, nulls] = args
+    const text = getStaticString(sort)
+    if (text !== null) {
+      addOrder(state, text, direction, nulls)
+      return
+    }
+    if (sort && sort.type === 'ObjectExpression') {
+      sort.properties.forEach((prop) => {
+        const name = getPropertyName(prop)
+        if (!name) unsupported(`\`.${method}()\` with computed keys`)
+        if (prop.value.type === 'ObjectExpression') {
+          addOrder(
+            state,
+            name,
+            getPropertyValue(prop.value, 'order'),
+            getPropertyValue(prop.value, 'nulls')
+          )
+        } else {
+          addOrder(state, name, prop.value)
+        }
+      })
+      return
+    }
+    unsupported(`\`.${method}()\` with a computed sort`)
+  }
+
+  function getPropertyValue(node, name) {
+    const prop = node.properties.find((p) => getPropertyName(p) === name)
+    return prop ? prop.value : null
+  }
+
+  // Apply one call of the chain to the query state
+  function applyStep(state, { name, args }) {
+    switch (name) {
+      case 'where':
+        state.conditions = parseCondition(state, name, args)
+        break
+      case 'andWhere':
+      case 'orWhere': {
+        const condition = parseCondition(state, name, args)
+        state.conditions = state.conditions
+          ? {
+              type: name === 'andWhere' ? 'and' : 'or',
+              children: [state.conditions, condition],
+            }
+          : condition
+        break
+      }
+      case 'setParameter': {
+        const key = getStaticString(args[0])
+        if (key === null) unsupported('`.setParameter()` with a computed name')
+        state.parameters.set(key, args[1])
+        break
+      }
+      case 'setParameters':
+        addParameters(state, args[0])
+        break
+      case 'select':
+        state.selection = args.length > 0 ? getSelection(name, args[0]) : null
+        break
+      case 'addSelect':
+        state.selection = [
+          ...(state.selection || []),
+          ...getSelection(name, args[0]),
+        ]
+        break
+      case 'orderBy':
+        state.orders = []
+        if (args.length > 0) addOrderBy(state, name, args)
+        break
+      case 'addOrderBy':
+        addOrderBy(state, name, args)
+        break
+      case 'withDeleted':
+        state.withDeleted = true
+        break
+      case 'skip':
+      case 'offset':
+        state.skip = args[0] || null
+        break
+      case 'take':
+      case 'limit':
+        state.take = args[0] || null
+        break
+      default:
+        if (JOIN_METHODS.includes(name)) {
+          addJoin(state, name, args)
+          break
+        }
+        unsupported(`\`.${name}()\` has no Prisma Client equivalent`)
+    }
+  }
+
+  // Loaded relations of the query, as a tree of { whole, fields, children }
+  function getSelectionTree(state) {
+    const nodes = new Map()
+    const getNode = (path) => {
+      const key = path.join('.')
+      if (!nodes.has(key)) {
+        nodes.set(key, { whole: false, fields: [], children: new Map() })
+        if (path.length > 0) {
+          getNode(path.slice(0, -1)).children.set(
+            path[path.length - 1],
+            nodes.get(key)
+          )
+        }
+      }
+      return nodes.get(key)
+    }
+
+    const root = getNode([])
+    if (!state.selection) {
+      root.whole = true
+      state.aliases.forEach((alias) => {
+        if (alias.loaded && alias.path.length > 0) {
+          getNode(alias.path).whole = true
+        }
+      })
+      return root
+    }
+
+    state.selection.forEach((entry) => {
+      const [aliasName, field] = entry.split('.')
+      const alias = getAlias(state, aliasName)
+      if (field) {
+        getNode(alias.path).fields.push(field)
+      } else {
+        getNode(alias.path).whole = true
+      }
+    })
+    if (root.fields.length === 0) root.whole = true
+    return root
+  }
+
+  // include/select argument entries of a selection tree node's relations
+  function renderRelations(node) {
+    return [...node.children].map(([name, child]) =>
+      property(name, renderRelation(child))
+    )
+  }
+
+  function renderRelation(node) {
+    if (node.whole && node.children.size === 0) return j.booleanLiteral(true)
+    if (node.whole) {
+      return j.objectExpression([
+        property('include', j.objectExpression(renderRelations(node))),
+      ])
+    }
+    return j.objectExpression([property('select', renderSelect(node))])
+  }
+
+  function renderSelect(node) {
+    return j.objectExpression([
+      ...node.fields.map((field) => property(field, j.booleanLiteral(true))),
+      ...renderRelations(node),
+    ])
+  }
+
+  /**
+   * Translate a select query builder chain on the repository of
+   * `entityName`, created with `createQueryBuilder(alias)`.
+   *
+   * Returns `{ method, query, countQuery }` with the Prisma method and its
+   * argument (null when empty); `countQuery` is set for getManyAndCount. When
+   * the chain cannot be translated, returns `{ unsupported }` with a message
+   * naming the clause at fault.
+   */
+  function translateSelectChain(entityName, alias, steps) {
+    const terminal = steps[steps.length - 1]
+    if (!terminal || !TERMINAL_METHODS[terminal.name]) {
+      return {
+        unsupported: terminal
+          ? `query builder ending with \`.${terminal.name}()\` has no Prisma Client equivalent`
+          : 'query builder that is not executed in the same expression',
+      }
+    }
+
+    return withUnsupportedHandling(() => {
+      const state = createQueryState(entityName, alias)
+      collectParameters(state, steps)
+      steps.slice(0, -1).forEach((step) => applyStep(state, step))
+
+      // Like TypeORM, leave soft-deleted rows out unless withDeleted()
+      const column = getDeleteDateColumn(state.rootAlias.entity)
+      if (column && !state.withDeleted) {
+        state.softDeleteFilter = {
+          type: 'leaf',
+          where: j.objectExpression([property(column, j.nullLiteral())]),
+        }
+      }
+      return buildQuery(state, terminal.name)
+    })
+  }
+
+  // Run a translation, turning an unsupported clause into a result
+  function withUnsupportedHandling(translate) {
+    try {
+      return translate()
+    } catch (error) {
+      if (error instanceof UnsupportedQueryError) {
+        return { unsupported: `query builder ${error.message}` }
+      }
+      throw error
+    }
+  }
+
+  // Parameters may be set after the condition using them, so they are all
+  // collected before the conditions are parsed
+  function collectParameters(state, steps) {
+    steps.forEach(({ name, args }) => {
+      if (WHERE_METHODS.includes(name)) {
+        addParameters(state, args[1])
+      } else if (name === 'setParameters') {
+        addParameters(state, args[0])
+      } else if (name === 'setParameter' && getStaticString(args[0])) {
+        state.parameters.set(getStaticString(args[0]), args[1])
+      }
+    })
+  }
+
+  // Entity class passed to update(User), from(User) or into(User)
+  function getEntityArgument(method, node) {
+    if (!node) return null
+    if (node.type !== 'Identifier') {
+      unsupported(`\`.${method}()\` on a table name instead of an entity class`)
+    }
+    return node.name
+  }
+
+  // set({ count: () => 'count + 1' }) → data: { count: { increment: 1 } }
+  function translateSetValues(node) {
+    if (!node || node.type !== 'ObjectExpression') {
+      unsupported('`.set()` without an object literal')
+    }
+
+    node.properties.forEach((prop) => {
+      const name = getPropertyName(prop)
+      const value = prop.value
+      if (
+        value.type !== 'ArrowFunctionExpression' &&
+        value.type !== 'FunctionExpression'
+      ) {
+        return
+      }
+
+      const expression = getStaticString(value.body)
+      const match =
+        expression &&
+        expression.match(/^\s*["`]?(\w+)["`]?\s*([+-])\s*(\d+(?:\.\d+)?)\s*$/)
+      if (!match || match[1] !== name) {
+        unsupported(`\`.set()\` of \`${name}\` to a raw SQL expression`)
+      }
+      prop.value = j.objectExpression([
+        property(
+          match[2] === '+' ? 'increment' : 'decrement',
+          j.numericLiteral(Number(match[3]))
+        ),
+      ])
+    })
+    return node
+  }
+
+  /**
+   * Translate an update, delete or insert query builder chain on the
+   * repository of `entityName`:
+   *
+   *   .update(User).set({...}).where(...).execute() → updateMany({ where, data })
+   *   .delete().from(User).where(...).execute()     → deleteMany({ where })
+   *   .insert().into(User).values([...]).orIgnore() → createMany({ data, skipDuplicates: true })
+   *
+   * Returns `{ method, query, entityName }`, or `{ unsupported }` like
+   * translateSelectChain.
+   */
+  function translateWriteChain(entityName, alias, steps) {
+    const [kind] = steps
+    const terminal = steps[steps.length - 1]
+    if (!terminal || terminal.name !== 'execute') {
+      return {
+        unsupported: `\`.${kind.name}()\` query builder that is not executed with \`.execute()\` in the same expression`,
+      }
+    }
+
+    return withUnsupportedHandling(() => {
+      let targetEntity =
+        kind.name === 'update'
+          ? getEntityArgument(kind.name, kind.args[0])
+          : null
+      const state = createQueryState(targetEntity || entityName, alias)
+      // update(User, { ... }) is a shorthand for update(User).set({ ... })
+      const write = {
+        data:
+          kind.name === 'update' && kind.args[1]
+            ? translateSetValues(kind.args[1])
+            : null,
+        skipDuplicates: false,
+      }
+      collectParameters(state, steps)
+
+      steps.slice(1, -1).forEach((step) => {
+        const { name, args } = step
+        if (kind.name === 'update' && name === 'set') {
+          write.data = translateSetValues(args[0])
+        } else if (kind.name === 'delete' && name === 'from') {
+          targetEntity = getEntityArgument(name, args[0]) || targetEntity
+          state.rootAlias.entity = entityIndex.get(targetEntity) || null
+          const fromAlias = getStaticString(args[1])
+          if (fromAlias) state.aliases.set(fromAlias, state.rootAlias)
+        } else if (kind.name === 'insert' && name === 'into') {
+          targetEntity = getEntityArgument(name, args[0]) || targetEntity
+        } else if (kind.name === 'insert' && name === 'values') {
+          write.data = args[0]
+        } else if (kind.name === 'insert' && name === 'orIgnore') {
+          write.skipDuplicates = true
+        } else if (
+          kind.name !== 'insert' &&
+          (WHERE_METHODS.includes(name) ||
+            ['setParameter', 'setParameters'].includes(name))
+        ) {
+          applyStep(state, step)
+        } else if (name === 'orUpdate') {
+          unsupported('`.orUpdate()`: use the upsert method of the model')
+        } else {
+          unsupported(
+            `\`.${name}()\` has no Prisma Client equivalent in a \`.${kind.name}()\` query`
+          )
+        }
+      })
+
+      const args = []
+      const where = getWhere(state)
+      if (where) args.push(property('where', where))
+
+      if (kind.name === 'update' || kind.name === 'insert') {
+        if (!write.data) {
+          unsupported(
+            `\`.${kind.name}()\` without ${
+              kind.name === 'update' ? '`.set()`' : '`.values()`'
+            }`
+          )
+        }
+        args.push(property('data', write.data))
+      }
+      if (write.skipDuplicates) {
+        args.push(property('skipDuplicates', j.booleanLiteral(true)))
+      }
+
+      return {
+        method: WRITE_METHODS[kind.name],
+        query: args.length > 0 ? j.objectExpression(args) : null,
+        entityName: targetEntity || entityName,
+      }
+    })
+  }
+
+  function buildQuery(state, terminal) {
+    const where = getWhere(state)
+    const countQuery = where
+      ? j.objectExpression([property('where', cloneNode(where))])
+      : null
+
+    if (terminal === 'getCount') {
+      return { method: 'count', query: countQuery, countQuery: null }
+    }
+
+    const args = []
+    if (where) args.push(property('where', where))
+
+    const tree = getSelectionTree(state)
+    if (!tree.whole) {
+      args.push(property('select', renderSelect(tree)))
+    } else if (tree.children.size > 0) {
+      args.push(property('include', j.objectExpression(renderRelations(tree))))
+    }
+
+    if (state.orders.length === 1) {
+      args.push(property('orderBy', state.orders[0]))
+    } else if (state.orders.length > 1) {
+      args.push(property('orderBy', j.arrayExpression(state.orders)))
+    }
+    if (state.skip) args.push(property('skip', state.skip))
+    if (state.take) args.push(property('take', state.take))
+
+    return {
+      method: TERMINAL_METHODS[terminal],
+      query: args.length > 0 ? j.objectExpression(args) : null,
+      countQuery: terminal === 'getManyAndCount' ? countQuery : null,
+    }
+  }
+
+  return { translateSelectChain, translateWriteChain }
+}
+
+module.exports = {
+  TERMINAL_METHODS,
+  WRITE_METHODS,
+  createQueryBuilderTranslator,
+  getCallChain,
+  getStaticString,
+}
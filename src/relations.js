@@ -0,0 +1,563 @@
+/**
+ * Relation fields of the generated Prisma models
+ *
+ * A TypeORM relation may be declared on one entity only, and its foreign key
+ * or join table follows from the decorators of the owning side. Prisma wants
+ * both sides of every relation under the same relation name, the foreign key
+ * fields on the owning side, and a model of its own for join tables it does
+ * not manage itself.
+ *
+ * Relations are resolved from the entity index rather than the file at hand,
+ * so that the two models of a relation agree whichever of their files is
+ * transformed first. Relations declared on one side only get a back-relation
+ * field on the other model.
+ */
+
+const { getRootEntity, getTableName, toSnakeCase } = require('./entity-index')
+
+// TypeORM referential actions and their Prisma counterparts
+const REFERENTIAL_ACTIONS = {
+  CASCADE: 'Cascade',
+  'SET NULL': 'SetNull',
+  RESTRICT: 'Restrict',
+  'NO ACTION': 'NoAction',
+  'SET DEFAULT': 'SetDefault',
+  DEFAULT: 'SetDefault',
+}
+
+// Relation type of the other side of a relation
+const COUNTERPART_TYPES = {
+  OneToOne: 'OneToOne',
+  ManyToOne: 'OneToMany',
+  OneToMany: 'ManyToOne',
+  ManyToMany: 'ManyToMany',
+}
+
+// Decorator option marking the owning side of relations that can be owned by
+// either side
+const OWNING_SIDE_OPTIONS = {
+  OneToOne: 'joinColumns',
+  ManyToMany: 'joinTable',
+}
+
+function capitalize(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1)
+}
+
+function lowerFirst(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1)
+}
+
+function pluralize(name) {
+  if (/[^aeiou]y$/.test(name)) return `${name.slice(0, -1)}ies`
+  if (/(s|x|z|ch|sh)$/.test(name)) return `${name}es`
+  return `${name}s`
+}
+
+// camelCase of TypeORM's naming strategy: author_id → authorId
+function toCamelCase(name) {
+  return name.replace(/^([A-Z])|[\s_-]+(\w)/g, (match, first, next) =>
+    next ? next.toUpperCase() : first.toLowerCase()
+  )
+}
+
+// Prisma field for a database column, which needs @map when they differ
+function toFieldName(columnName) {
+  return toCamelCase(columnName).replace(/\W/g, '_')
+}
+
+function getReferentialActions(relation, defaults = {}) {
+  return ['onDelete', 'onUpdate']
+    .map((option) => {
+      const action =
+        REFERENTIAL_ACTIONS[String(relation[option] || '').toUpperCase()] ||
+        defaults[option]
+      return action ? `, ${option}: ${action}` : ''
+    })
+    .join('')
+}
+
+function getPrimaryColumns(entity) {
+  return entity.columns.filter((column) => column.primary)
+}
+
+/**
+ * Create the relation resolver of a set of entities (see entity-index.js).
+ * `getScalarType(column)` gives the Prisma type of a column, used for the
+ * foreign keys referencing it, and `options.getNativeType(column)` its `@db.*`
+ * attribute, if any. `options.getSchemaAttribute(schema)` gives the
+ * `@@schema` of a join model in a database schema, if any. With
+ * `options.snakeCase`, default column names follow a snake_case naming
+ * strategy instead of TypeORM's default one.
+ */
+function createRelationResolver(entityIndex, getScalarType, options = {}) {
+  const getNativeType = options.getNativeType || (() => null)
+  const getSchemaAttribute = options.getSchemaAttribute || (() => null)
+
+  // Default name of foreign key and join table columns: author_id → authorId,
+  // or author_id with a snake_case naming strategy
+  const toColumnName = options.snakeCase ? toSnakeCase : toCamelCase
+
+  // Database column name of an entity property
+  function getColumnName(column) {
+    if (column.columnName) return column.columnName
+    return options.snakeCase ? toSnakeCase(column.name) : column.name
+  }
+
+  // Relation of each relation property, shared by the properties of both sides
+  const relations = new Map()
+
+  // Back-relation fields of each model, by entity name
+  const backRelations = new Map()
+
+  function getRelationColumns(entity) {
+    return entity.columns.filter((column) => column.relation)
+  }
+
+  // Entity a relation leads to. Entities outside the index are assumed to
+  // have an integer `id` primary key.
+  function getTarget(relation) {
+    if (!relation.target) return null
+
+    // Child entities of single table inheritance live in their parent's model
+    const entity = entityIndex.get(relation.target)
+    if (entity) return getRootEntity(entityIndex, entity) || entity
+    return {
+      name: relation.target,
+      tableName: null,
+      columns: [{ name: 'id', primary: true, type: 'int', relation: null }],
+      unknown: true,
+    }
+  }
+
+  // Property declaring the other side of a relation, if any
+  function findCounterpart(entity, column, target) {
+    const candidates = getRelationColumns(target).filter(
+      (candidate) =>
+        candidate !== column &&
+        candidate.relation.target === entity.name &&
+        candidate.relation.type === COUNTERPART_TYPES[column.relation.type]
+    )
+    const { inverse } = column.relation
+    if (inverse) {
+      const named = candidates.find((candidate) => candidate.name === inverse)
+      if (named) return named
+    }
+
+    const pointing = candidates.filter(
+      (candidate) => candidate.relation.inverse === column.name
+    )
+    return pointing.length === 1 ? pointing[0] : null
+  }
+
+  function isOwningSide(entity, column, target, counterpart) {
+    const { type } = column.relation
+    if (type === 'ManyToOne') return true
+    if (type === 'OneToMany') return false
+
+    const option = OWNING_SIDE_OPTIONS[type]
+    if (column.relation[option]) return true
+    if (!counterpart) return true
+    if (counterpart.relation[option]) return false
+
+    // Neither side is marked: the first one by name owns the relation
+    return (
+      `${entity.name}.${column.name}` <= `${target.name}.${counterpart.name}`
+    )
+  }
+
+  // Relation of a relation property: `{ name, owner, inverse, target }`,
+  // where owner and inverse are `{ entity, column }` and target is the entity
+  // the owning side leads to
+  function getRelation(entity, column) {
+    if (relations.has(column)) return relations.get(column)
+
+    const target = getTarget(column.relation)
+    const counterpart = target && findCounterpart(entity, column, target)
+    let relation
+
+    if (!target) {
+      relation = null
+    } else if (isOwningSide(entity, column, target, counterpart)) {
+      relation = {
+        name: `${entity.name}${capitalize(column.name)}`,
+        owner: { entity, column },
+        inverse: counterpart ? { entity: target, column: counterpart } : null,
+        target,
+      }
+    } else if (counterpart) {
+      relation = getRelation(target, counterpart)
+    } else {
+      // A OneToMany relation without ManyToOne side has no foreign key
+      relation = {
+        name: `${entity.name}${capitalize(column.name)}`,
+        owner: null,
+        inverse: { entity, column },
+        target,
+      }
+    }
+
+    relations.set(column, relation)
+    return relation
+  }
+
+  // Foreign keys of the owning side of a to-one relation, reusing the
+  // columns the entity declares for them: `{ field, columnName, references,
+  // type, existing }`
+  function getForeignKeys(relation) {
+    const { owner, target } = relation
+    const primaryColumns = getPrimaryColumns(target)
+    let joinColumns = owner.column.relation.joinColumns || [{}]
+    if (
+      joinColumns.length === 1 &&
+      !joinColumns[0].referencedColumnName &&
+      primaryColumns.length > 1
+    ) {
+      joinColumns = primaryColumns.map((column) => ({
+        referencedColumnName: column.name,
+      }))
+    }
+
+    return joinColumns.map((joinColumn) => {
+      const referenced = joinColumn.referencedColumnName
+        ? target.columns.find((c) => c.name === joinColumn.referencedColumnName)
+        : primaryColumns[0]
+      const references =
+        joinColumn.referencedColumnName || (referenced ? referenced.name : 'id')
+      const columnName =
+        joinColumn.name ||
+        toColumnName(
+          `${owner.column.name}_${referenced ? getColumnName(referenced) : references}`
+        )
+      const existing = owner.entity.columns.find(
+        (column) => !column.relation && getColumnName(column) === columnName
+      )
+
+      return {
+        field: existing ? existing.name : toFieldName(columnName),
+        columnName,
+        references,
+        type: referenced ? getScalarType(referenced) : 'Int',
+        nativeType: referenced ? getNativeType(referenced) : null,
+        existing,
+      }
+    })
+  }
+
+  // Join table of a ManyToMany relation, or null when it is the implicit
+  // table Prisma manages itself (`_RelationName`)
+  function getJoinTable(relation) {
+    const { owner, target } = relation
+    const joinTable = owner.column.relation.joinTable || {}
+    const tableName =
+      joinTable.name ||
+      toSnakeCase(
+        `${getTableName(owner.entity)}_${owner.column.name}_${getTableName(target)}`
+      )
+    if (tableName === `_${relation.name}`) return null
+
+    const getJoinKey = (entity, options = {}) => {
+      const referenced = options.referencedColumnName
+        ? entity.columns.find((c) => c.name === options.referencedColumnName)
+        : getPrimaryColumns(entity)[0]
+      const references =
+        options.referencedColumnName || (referenced ? referenced.name : 'id')
+      const columnName =
+        options.name ||
+        toColumnName(
+          `${getTableName(entity)}_${referenced ? getColumnName(referenced) : references}`
+        )
+      return {
+        columnName,
+        references,
+        type: referenced ? getScalarType(referenced) : 'Int',
+        nativeType: referenced ? getNativeType(referenced) : null,
+      }
+    }
+    const ownerKey = getJoinKey(owner.entity, joinTable.joinColumn)
+    const targetKey = getJoinKey(target, joinTable.inverseJoinColumn)
+    if (ownerKey.columnName === targetKey.columnName) {
+      ownerKey.columnName += '_1'
+      targetKey.columnName += '_2'
+    }
+    ownerKey.field = toFieldName(ownerKey.columnName)
+    targetKey.field = toFieldName(targetKey.columnName)
+
+    let ownerField = lowerFirst(owner.entity.name)
+    let targetField = lowerFirst(target.name)
+    if (ownerField === targetField) {
+      targetField += capitalize(owner.column.name)
+    }
+    ownerField = ownerField === ownerKey.field ? `${ownerField}Ref` : ownerField
+    targetField =
+      targetField === targetKey.field ? `${targetField}Ref` : targetField
+
+    return {
+      tableName,
+      schema: joinTable.schema || null,
+      modelName: capitalize(toCamelCase(tableName)),
+      ownerKey: { ...ownerKey, relationField: ownerField },
+      targetKey: { ...targetKey, relationField: targetField },
+    }
+  }
+
+  // Relation name of the inverse side of an explicit join table, which is a
+  // relation of its own in Prisma
+  function getInverseJoinName(relation) {
+    const inverseField = relation.inverse
+      ? relation.inverse.column.name
+      : getBackRelationField(relation)
+    return `${relation.target.name}${capitalize(inverseField)}`
+  }
+
+  function getMappedField(key, optional) {
+    const map = key.field !== key.columnName ? ` @map("${key.columnName}")` : ''
+    const nativeType = key.nativeType ? ` ${key.nativeType}` : ''
+    return `${key.field} ${key.type}${optional ? '?' : ''}${map}${nativeType}`
+  }
+
+  // Lines of the owning side of a relation
+  function getOwningFields(relation) {
+    const { owner, target } = relation
+    const { column } = owner
+    const options = column.relation
+
+    if (options.type === 'ManyToMany') {
+      const joinTable = getJoinTable(relation)
+      return [
+        `${column.name} ${joinTable ? joinTable.modelName : target.name}[] @relation("${relation.name}")`,
+      ]
+    }
+
+    const foreignKeys = getForeignKeys(relation)
+    const optional = foreignKeys.every((key) =>
+      key.existing ? key.existing.nullable : options.nullable
+    )
+    const fields = foreignKeys.map((key) => key.field).join(', ')
+    const references = foreignKeys.map((key) => key.references).join(', ')
+    const lines = [
+      `${column.name} ${target.name}${optional ? '?' : ''} @relation("${relation.name}", fields: [${fields}], references: [${references}]${getReferentialActions(options)})`,
+    ]
+
+    // A one-to-one foreign key identifies a single record
+    const unique = options.type === 'OneToOne' && foreignKeys.length === 1
+    foreignKeys
+      .filter((key) => !key.existing)
+      .forEach((key) => {
+        lines.push(
+          `${getMappedField(key, optional)}${unique ? ' @unique' : ''}`
+        )
+      })
+    if (target.unknown) {
+      lines.unshift(
+        `// TODO: Entity ${target.name} was not found, verify the type of the foreign key`
+      )
+    }
+    return lines
+  }
+
+  // Line of the inverse side of a relation, for a declared or added property
+  function getInverseField(relation, fieldName) {
+    const { owner } = relation
+    const type = owner.column.relation.type
+
+    if (type === 'ManyToOne') {
+      return `${fieldName} ${owner.entity.name}[] @relation("${relation.name}")`
+    }
+    if (type === 'OneToOne') {
+      return `${fieldName} ${owner.entity.name}? @relation("${relation.name}")`
+    }
+
+    const joinTable = getJoinTable(relation)
+    return joinTable
+      ? `${fieldName} ${joinTable.modelName}[] @relation("${getInverseJoinName(relation)}")`
+      : `${fieldName} ${owner.entity.name}[] @relation("${relation.name}")`
+  }
+
+  /**
+   * Foreign key fields of a relation property on its owning side, or null
+   * for other properties.
+   */
+  function getForeignKeyFields(entityName, propertyName) {
+    const entity = entityIndex.get(entityName)
+    const column = entity && entity.columns.find((c) => c.name === propertyName)
+    if (!column || !column.relation || !column.relation.toOne) return null
+
+    const relation = getRelation(entity, column)
+    if (!relation || !relation.owner || relation.owner.column !== column) {
+      return null
+    }
+    return getForeignKeys(relation).map((key) => key.field)
+  }
+
+  /**
+   * Schema lines of a relation property of an entity: the relation field and
+   * the foreign key fields it adds, if any.
+   */
+  function getRelationFields(entityName, propertyName) {
+    const entity = entityIndex.get(entityName)
+    const column = entity && entity.columns.find((c) => c.name === propertyName)
+    if (!column || !column.relation) return []
+
+    const relation = getRelation(entity, column)
+    if (!relation) {
+      return [
+        `// TODO: Add the ${column.relation.type} relation ${propertyName} - its target entity could not be determined`,
+      ]
+    }
+    if (!relation.owner) {
+      return [
+        `// TODO: ${propertyName} has no ManyToOne side on ${relation.target.name} - add the foreign key to ${relation.target.name}`,
+        `${propertyName} ${relation.target.name}[]`,
+      ]
+    }
+    return relation.owner.column === column
+      ? getOwningFields(relation)
+      : [getInverseField(relation, propertyName)]
+  }
+
+  // Relations leading to an entity that are declared on the owning side only,
+  // with the name of the field they get on the entity
+  function getBackRelations(entity) {
+    if (backRelations.has(entity.name)) return backRelations.get(entity.name)
+
+    const taken = new Set(entity.columns.map((column) => column.name))
+    const added = []
+    entityIndex.forEach((other) => {
+      // Relations of child entities belong to the model of their parent
+      if (getRootEntity(entityIndex, other) !== other) return
+
+      getRelationColumns(other).forEach((column) => {
+        const target = getTarget(column.relation)
+        if (!target || target.name !== entity.name) return
+
+        const relation = getRelation(other, column)
+        if (!relation || relation.inverse || !relation.owner) return
+        if (relation.owner.column !== column) return
+
+        const many = column.relation.type !== 'OneToOne'
+        const name = (base) => (many ? pluralize(base) : base)
+        let field = name(lowerFirst(other.name))
+        if (taken.has(field)) {
+          field = name(`${lowerFirst(other.name)}${capitalize(column.name)}`)
+        }
+        taken.add(field)
+        added.push({ relation, field })
+      })
+    })
+
+    backRelations.set(entity.name, added)
+    return added
+  }
+
+  function getBackRelationField(relation) {
+    const backRelation = getBackRelations(relation.target).find(
+      (candidate) => candidate.relation === relation
+    )
+    return backRelation
+      ? backRelation.field
+      : lowerFirst(relation.owner.entity.name)
+  }
+
+  /**
+   * Schema lines an entity's model needs beyond its own properties: the
+   * back-relation fields of relations declared on the other side only, and
+   * the @@unique attributes of one-to-one foreign keys declared as columns.
+   */
+  function getModelAdditions(entityName) {
+    const entity = entityIndex.get(entityName)
+    if (!entity) return { fields: [], attributes: [] }
+
+    const fields = getBackRelations(entity).map(({ relation, field }) =>
+      getInverseField(relation, field)
+    )
+
+    const attributes = []
+    getRelationColumns(entity).forEach((column) => {
+      const relation = getRelation(entity, column)
+      if (
+        !relation ||
+        !relation.owner ||
+        relation.owner.column !== column ||
+        column.relation.type !== 'OneToOne'
+      ) {
+        return
+      }
+
+      const foreignKeys = getForeignKeys(relation)
+      const declared = foreignKeys.every((key) => key.existing)
+      if (
+        foreignKeys.length > 1 ||
+        (declared && !foreignKeys[0].existing.unique)
+      ) {
+        attributes.push(
+          `@@unique([${foreignKeys.map((key) => key.field).join(', ')}])`
+        )
+      }
+    })
+
+    return { fields, attributes }
+  }
+
+  /**
+   * Models of the explicit join tables of the ManyToMany relations owned by
+   * an entity, by model name.
+   */
+  function getJoinModels(entityName) {
+    const entity = entityIndex.get(entityName)
+    const models = new Map()
+    if (!entity) return models
+
+    getRelationColumns(entity).forEach((column) => {
+      if (column.relation.type !== 'ManyToMany') return
+
+      const relation = getRelation(entity, column)
+      if (!relation || !relation.owner || relation.owner.column !== column) {
+        return
+      }
+      const joinTable = getJoinTable(relation)
+      if (!joinTable) return
+
+      const { ownerKey, targetKey } = joinTable
+      const ownerActions = getReferentialActions(column.relation, {
+        onDelete: 'Cascade',
+      })
+      const targetActions = getReferentialActions(
+        relation.inverse ? relation.inverse.column.relation : {},
+        { onDelete: 'Cascade' }
+      )
+      const schemaAttribute = getSchemaAttribute(
+        joinTable.schema || entity.schema
+      )
+      models.set(
+        joinTable.modelName,
+        [
+          `model ${joinTable.modelName} {`,
+          `  ${ownerKey.relationField} ${entity.name} @relation("${relation.name}", fields: [${ownerKey.field}], references: [${ownerKey.references}]${ownerActions})`,
+          `  ${getMappedField(ownerKey)}`,
+          `  ${targetKey.relationField} ${relation.target.name} @relation("${getInverseJoinName(relation)}", fields: [${targetKey.field}], references: [${targetKey.references}]${targetActions})`,
+          `  ${getMappedField(targetKey)}`,
+          '',
+          `  @@id([${ownerKey.field}, ${targetKey.field}])`,
+          `  @@map("${joinTable.tableName}")`,
+          ...(schemaAttribute ? [`  ${schemaAttribute}`] : []),
+          '}',
+          '',
+        ].join('\n')
+      )
+    })
+
+    return models
+  }
+
+  return {
+    getForeignKeyFields,
+    getJoinModels,
+    getModelAdditions,
+    getRelationFields,
+  }
+}
+
+module.exports = {
+  createRelationResolver,
+}
@@ -0,0 +1,503 @@
+/**
+ * Prisma schema assembly
+ *
+ * Collects the models and enums generated from TypeORM entities and turns them
+ * into a single formatted `schema.prisma`. jscodeshift calls the transform once
+ * per file (possibly from several worker processes), so every call merges its
+ * fragments into the schema file on disk instead of keeping them in memory.
+ *
+ * When the target file already exists (e.g. created by `npx prisma db pull`),
+ * introspected blocks are kept as they are. Blocks generated by this codemod
+ * carry a marker comment so that later runs can replace them, and entity fields
+ * missing from an introspected model are added as review comments only.
+ * Introspected models are matched on their table, and the generated relation
+ * fields pointing to them are renamed accordingly.
+ *
+ * Dry runs merge into an in-memory copy of the schema file instead, which is
+ * printed once as a diff at the end of the run.
+ *
+ * The provider of the `datasource db` block follows the TypeORM connection
+ * options when the run found them (see connection-options.js), unless the
+ * schema already names one of its own. Entities in
+ * database schemas of their own add those schemas to the datasource, along
+ * with the `multiSchema` preview feature of the client generator.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { createTwoFilesPatch } = require('diff')
+
+const GENERATED_MARKER = '// Generated by typeorm-to-prisma'
+const MISSING_FIELD_PREFIX =
+  '// typeorm-to-prisma: entity field not in database:'
+
+const SCHEMA_PREAMBLE = `// This is your Prisma schema file,
+// learn more about it in the docs: https://pris.ly/d/prisma-schema
+`
+
+const PROVIDER_PLACEHOLDER = '// Change to your actual database provider'
+
+const DEFAULT_HEADER = `generator client {
+  provider = "prisma-client-js"
+}
+
+datasource db {
+  provider = "postgresql" ${PROVIDER_PLACEHOLDER}
+  url      = env("DATABASE_URL")
+}
+`
+
+const BLOCK_START =
+  /^\s*(model|enum|type|view|generator|datasource)\s+(\w+)\s*\{\s*$/
+
+// Split a schema source into its top-level blocks. Comment lines preceding a
+// block are kept with it so they survive a rewrite.
+function parseSchema(source) {
+  const schema = { preamble: [], blocks: [] }
+  let pendingComments = []
+  let current = null
+
+  source.split(/\r?\n/).forEach((line) => {
+    if (current) {
+      if (/^\s*\}\s*$/.test(line)) {
+        schema.blocks.push(current)
+        current = null
+      } else {
+        current.body.push(line.trim())
+      }
+      return
+    }
+
+    const match = line.match(BLOCK_START)
+    if (match) {
+      current = {
+        kind: match[1],
+        name: match[2],
+        comments: pendingComments,
+        body: [],
+      }
+      pendingComments = []
+      return
+    }
+
+    if (line.trim().startsWith('//')) {
+      pendingComments.push(line.trim())
+    } else if (line.trim() === '' && schema.blocks.length === 0 && !current) {
+      // Comments at the very top of the file are the preamble
+      schema.preamble.push(...pendingComments)
+      pendingComments = []
+    }
+  })
+
+  // Keep dangling comments at the end of the file with the last block
+  if (pendingComments.length > 0 && schema.blocks.length > 0) {
+    schema.blocks[schema.blocks.length - 1].trailing = pendingComments
+  }
+
+  return schema
+}
+
+// Parse a field line (`name Type @attr`) of a model, type or view block
+function parseField(line) {
+  if (!line || line.startsWith('//') || line.startsWith('@@')) return null
+
+  const match = line.match(/^(\w+)\s+(\S+)\s*(.*)$/)
+  if (!match) return null
+
+  const columnMatch = match[3].match(/@map\("([^"]+)"\)/)
+  return {
+    name: match[1],
+    type: match[2],
+    attributes: match[3],
+    column: columnMatch ? columnMatch[1] : match[1],
+  }
+}
+
+// Table name of a model: its @@map value or, for introspected models, its name
+function getTableName(block) {
+  for (const line of block.body) {
+    const match = line.match(/^@@map\("([^"]+)"\)/)
+    if (match) return match[1]
+  }
+  return block.name
+}
+
+function isGenerated(block) {
+  return block.comments.includes(GENERATED_MARKER)
+}
+
+function findMatchingBlock(blocks, block) {
+  const byName = blocks.find(
+    (existing) => existing.kind === block.kind && existing.name === block.name
+  )
+  if (byName || block.kind !== 'model') return byName
+
+  const tableName = getTableName(block)
+  return blocks.find(
+    (existing) =>
+      existing.kind === 'model' && getTableName(existing) === tableName
+  )
+}
+
+// Add comments for entity fields that an introspected model does not have
+function annotateMissingFields(existing, generated) {
+  const knownColumns = new Set()
+  existing.body.forEach((line) => {
+    const field = parseField(line)
+    if (field) {
+      knownColumns.add(field.name)
+      knownColumns.add(field.column)
+    }
+  })
+
+  generated.body.forEach((line) => {
+    const field = parseField(line)
+    if (
+      !field ||
+      knownColumns.has(field.name) ||
+      knownColumns.has(field.column)
+    ) {
+      return
+    }
+
+    const annotation = `${MISSING_FIELD_PREFIX} ${line}`
+    if (!existing.body.includes(annotation)) {
+      existing.body.push(annotation)
+    }
+  })
+}
+
+// Introspected models standing in for generated ones, from the generated
+// model name to the introspected one. Models are matched on their table: the
+// @@map of the generated blocks, or `tables` for the entities of other files
+// that relation fields point to.
+function getModelRenames(blocks, generatedBlocks, tables = new Map()) {
+  const renames = new Map()
+  const candidates = [
+    ...generatedBlocks
+      .filter((block) => block.kind === 'model')
+      .map((block) => [block.name, getTableName(block)]),
+    ...tables,
+  ]
+
+  candidates.forEach(([name, tableName]) => {
+    if (renames.has(name)) return
+    if (blocks.some((block) => block.kind === 'model' && block.name === name)) {
+      return
+    }
+    const introspected = blocks.find(
+      (block) =>
+        block.kind === 'model' &&
+        !isGenerated(block) &&
+        getTableName(block) === tableName
+    )
+    if (introspected) renames.set(name, introspected.name)
+  })
+  return renames
+}
+
+// Point the relation fields of a generated block to the introspected models
+function renameFieldTypes(block, renames) {
+  if (renames.size === 0 || block.kind === 'enum') return block
+
+  block.body = block.body.map((line) => {
+    const field = parseField(line)
+    const match = field && field.type.match(/^(\w+)(.*)$/)
+    if (!match || !renames.has(match[1])) return line
+    return `${field.name} ${renames.get(match[1])}${match[2]} ${field.attributes}`.trim()
+  })
+  return block
+}
+
+// Merge generated blocks into an existing schema, in place. `tables` maps
+// the entities of the project to their tables.
+function mergeBlocks(schema, generatedBlocks, tables) {
+  const renames = getModelRenames(schema.blocks, generatedBlocks, tables)
+
+  generatedBlocks.forEach((block) => {
+    renameFieldTypes(block, renames)
+
+    const existing = findMatchingBlock(schema.blocks, block)
+
+    if (!existing) {
+      schema.blocks.push(block)
+    } else if (isGenerated(existing)) {
+      schema.blocks[schema.blocks.indexOf(existing)] = block
+    } else if (block.kind === 'model') {
+      annotateMissingFields(existing, block)
+    }
+  })
+
+  return schema
+}
+
+// Pad a block's lines into aligned columns, the way `prisma format` does
+function formatBlockBody(block) {
+  if (block.kind === 'generator' || block.kind === 'datasource') {
+    const entries = block.body.map((line) => line.match(/^(\w+)\s*=\s*(.*)$/))
+    const width = Math.max(
+      0,
+      ...entries.filter(Boolean).map((e) => e[1].length)
+    )
+
+    return block.body.map((line, index) => {
+      const entry = entries[index]
+      if (!entry) return line ? `  ${line}` : ''
+      return `  ${entry[1].padEnd(width)} = ${entry[2]}`
+    })
+  }
+
+  const fields = block.body.map((line) =>
+    block.kind === 'enum' ? null : parseField(line)
+  )
+  const nameWidth = Math.max(
+    0,
+    ...fields.filter(Boolean).map((f) => f.name.length)
+  )
+  const typeWidth = Math.max(
+    0,
+    ...fields.filter((f) => f && f.attributes).map((f) => f.type.length)
+  )
+
+  return block.body.map((line, index) => {
+    const field = fields[index]
+    if (!line) return ''
+    if (!field) return `  ${line}`
+    if (!field.attributes) {
+      return `  ${field.name.padEnd(nameWidth)} ${field.type}`
+    }
+    const type = field.type.padEnd(typeWidth)
+    return `  ${field.name.padEnd(nameWidth)} ${type} ${field.attributes}`
+  })
+}
+
+function printSchema(schema) {
+  const parts = []
+
+  if (schema.preamble.length > 0) {
+    parts.push(schema.preamble.join('\n') + '\n')
+  }
+
+  schema.blocks.forEach((block) => {
+    // Collapse runs of blank lines inside a block
+    const body = block.body.filter(
+      (line, index) =>
+        line !== '' || (index > 0 && block.body[index - 1] !== '')
+    )
+    while (body.length > 0 && body[body.length - 1] === '') body.pop()
+
+    const lines = [
+      ...block.comments,
+      `${block.kind} ${block.name} {`,
+      ...formatBlockBody({ ...block, body }),
+      '}',
+      ...(block.trailing || []),
+    ]
+    parts.push(lines.join('\n') + '\n')
+  })
+
+  return parts.join('\n')
+}
+
+// Turn the model and enum definitions of one transform run into blocks
+function toGeneratedBlocks({ models = new Map(), enums = new Set() }) {
+  const definitions = [...enums, ...models.values()]
+  const blocks = []
+
+  definitions.forEach((definition) => {
+    parseSchema(definition).blocks.forEach((block) => {
+      block.comments = [
+        ...block.comments.filter((comment) => comment !== GENERATED_MARKER),
+        GENERATED_MARKER,
+      ]
+      blocks.push(block)
+    })
+  })
+
+  return blocks
+}
+
+// Set the provider of the datasource block to the one of the TypeORM
+// connection, dropping the placeholder comment of the default header. The
+// provider of an introspected datasource is kept.
+function applyDatasource(schema, datasource) {
+  if (!datasource || !datasource.provider) return schema
+
+  schema.blocks
+    .filter((block) => block.kind === 'datasource')
+    .forEach((block) => {
+      block.body = block.body.map((line) =>
+        /^provider\s*=/.test(line) && line.includes(PROVIDER_PLACEHOLDER)
+          ? `provider = "${datasource.provider}"`
+          : line
+      )
+    })
+  return schema
+}
+
+// String list of a `key = ["a", "b"]` line of a generator or datasource block
+function readList(block, key) {
+  const line = block.body.find((entry) =>
+    new RegExp(`^${key}\\s*=`).test(entry)
+  )
+  if (!line) return []
+  return (line.match(/"[^"]*"/g) || []).map((value) => value.slice(1, -1))
+}
+
+function writeList(block, key, values) {
+  const line = `${key} = [${values.map((value) => `"${value}"`).join(', ')}]`
+  const index = block.body.findIndex((entry) =>
+    new RegExp(`^${key}\\s*=`).test(entry)
+  )
+  if (index >= 0) {
+    block.body[index] = line
+  } else {
+    const last = block.body.length
+    block.body.splice(block.body[last - 1] === '' ? last - 1 : last, 0, line)
+  }
+}
+
+// Declare the database schemas of the models in the datasource block and
+// enable the multiSchema preview feature they need
+function applySchemas(schema, schemas) {
+  if (!schemas || schemas.size === 0) return schema
+
+  schema.blocks.forEach((block) => {
+    if (block.kind === 'generator' && block.name === 'client') {
+      const features = readList(block, 'previewFeatures')
+      if (!features.includes('multiSchema')) {
+        writeList(block, 'previewFeatures', [...features, 'multiSchema'])
+      }
+    } else if (block.kind === 'datasource') {
+      const names = readList(block, 'schemas')
+      writeList(block, 'schemas', [
+        ...names,
+        ...[...schemas].filter((name) => !names.includes(name)),
+      ])
+    }
+  })
+  return schema
+}
+
+// Build a complete, formatted schema from scratch
+function buildSchema(fragments) {
+  return mergeSchemaSource(null, fragments)
+}
+
+// Merge fragments into the existing schema file, creating it if needed
+function mergeSchemaSource(existingSource, fragments) {
+  const schema = parseSchema(
+    existingSource || SCHEMA_PREAMBLE + '\n' + DEFAULT_HEADER
+  )
+  applyDatasource(schema, fragments.datasource)
+  applySchemas(schema, fragments.schemas)
+  return printSchema(
+    mergeBlocks(schema, toGeneratedBlocks(fragments), fragments.tables)
+  )
+}
+
+// Block the current thread for a moment while another worker holds the lock
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms)
+}
+
+function withFileLock(file, callback) {
+  const lockFile = `${file}.lock`
+  const staleAfter = 10000
+
+  for (;;) {
+    try {
+      fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' })
+      break
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error
+
+      // A crashed worker may leave its lock behind
+      try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > staleAfter) {
+          fs.unlinkSync(lockFile)
+        }
+      } catch (statError) {
+        if (statError.code !== 'ENOENT') throw statError
+      }
+      sleep(25)
+    }
+  }
+
+  try {
+    return callback()
+  } finally {
+    fs.unlinkSync(lockFile)
+  }
+}
+
+// Merge the fragments of one file into the schema file at `schemaOut`
+function writeSchema(schemaOut, fragments) {
+  const file = path.resolve(schemaOut)
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+
+  withFileLock(file, () => {
+    const existingSource = fs.existsSync(file)
+      ? fs.readFileSync(file, 'utf8')
+      : null
+    fs.writeFileSync(file, mergeSchemaSource(existingSource, fragments))
+  })
+}
+
+// Schema files merged during a dry run, by path: `{ original, merged }`
+const schemaPreviews = new Map()
+
+/**
+ * Merge the fragments of one file into an in-memory copy of the schema file
+ * at `schemaOut`, for dry runs. The merged schemas are printed as a diff when
+ * the process exits, unless `takeSchemaPreviews` took them before.
+ */
+function previewSchema(schemaOut, fragments) {
+  const file = path.resolve(schemaOut)
+  if (schemaPreviews.size === 0) {
+    process.once('exit', () => printSchemaPreviews(takeSchemaPreviews()))
+  }
+  if (!schemaPreviews.has(file)) {
+    const original = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : ''
+    schemaPreviews.set(file, { original, merged: original })
+  }
+
+  const preview = schemaPreviews.get(file)
+  preview.merged = mergeSchemaSource(preview.merged || null, fragments)
+}
+
+/**
+ * The schema files merged by `previewSchema` so far, as
+ * `[{ file, original, merged }]`. They are not printed at exit anymore.
+ */
+function takeSchemaPreviews() {
+  const previews = [...schemaPreviews].map(([file, preview]) => ({
+    file,
+    ...preview,
+  }))
+  schemaPreviews.clear()
+  return previews
+}
+
+// Print merged schema files as unified diffs against the files on disk
+function printSchemaPreviews(previews) {
+  previews.forEach(({ file, original, merged }) => {
+    const name = path.relative(process.cwd(), file)
+    process.stdout.write(
+      createTwoFilesPatch(name, name, original, merged, 'original', 'migrated')
+    )
+  })
+}
+
+module.exports = {
+  GENERATED_MARKER,
+  parseSchema,
+  parseField,
+  printSchema,
+  buildSchema,
+  mergeSchemaSource,
+  previewSchema,
+  printSchemaPreviews,
+  takeSchemaPreviews,
+  writeSchema,
+}
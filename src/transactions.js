@@ -0,0 +1,449 @@
+/**
+ * TypeORM transactions to Prisma interactive transactions
+ *
+ * A transaction started on a data source or entity manager
+ *
+ *   await this.dataSource.transaction('SERIALIZABLE', async (manager) => {
+ *     await manager.save(User, user)
+ *   })
+ *
+ * becomes an interactive transaction of the Prisma client
+ *
+ *   await this.prisma.$transaction(async (tx) => {
+ *     await tx.save(User, user)
+ *   }, { isolationLevel: 'Serializable' })
+ *
+ * The EntityManager calls made on `tx` are left to the caller, which maps
+ * them to the model delegates of the transaction client.
+ *
+ * The manual QueryRunner pattern (connect and startTransaction, then
+ * commitTransaction at the end of a try block, rollbackTransaction in its
+ * catch block and release in its finally block) is collapsed into the same
+ * interactive transaction, since Prisma commits when the callback resolves
+ * and rolls back when it throws.
+ */
+
+const { isObjectProperty, isStringLiteral } = require('./ast-utils')
+
+// TypeORM isolation levels and the matching Prisma TransactionIsolationLevel
+const ISOLATION_LEVELS = {
+  'READ UNCOMMITTED': 'ReadUncommitted',
+  'READ COMMITTED': 'ReadCommitted',
+  'REPEATABLE READ': 'RepeatableRead',
+  SERIALIZABLE: 'Serializable',
+}
+
+// Name of the transaction client parameter, when it is free
+const TRANSACTION_CLIENT = 'tx'
+
+// QueryRunner calls that the interactive transaction takes care of
+const RUNNER_LIFECYCLE_METHODS = [
+  'connect',
+  'startTransaction',
+  'commitTransaction',
+  'rollbackTransaction',
+  'release',
+]
+
+const MANUAL_RUNNER =
+  'TODO: Replace this QueryRunner with this.prisma.$transaction(async (tx) => { ... })'
+
+function isFunction(node) {
+  return (
+    node.type === 'ArrowFunctionExpression' ||
+    node.type === 'FunctionExpression'
+  )
+}
+
+/**
+ * Create the transaction translator of a file.
+ *
+ * `context.isConnection(path, node)` tells whether an expression is a
+ * TypeORM DataSource, Connection or EntityManager, and
+ * `context.createClient()` builds the expression of the Prisma client
+ * (`this.prisma`).
+ */
+function createTransactionTranslator(j, root, context) {
+  // Transaction callbacks, with the name of their client parameter
+  const transactionCallbacks = new WeakMap()
+
+  // { isolationLevel: 'Serializable' } for a TypeORM isolation level
+  function getTransactionOptions(levelNode, messages) {
+    if (!levelNode) return null
+
+    let level = levelNode
+    if (isStringLiteral(levelNode) && ISOLATION_LEVELS[levelNode.value]) {
+      level = j.stringLiteral(ISOLATION_LEVELS[levelNode.value])
+    } else {
+      messages.push(
+        'TODO: Use a Prisma.TransactionIsolationLevel value for this isolation level'
+      )
+    }
+    return j.objectExpression([
+      j.property('init', j.identifier('isolationLevel'), level),
+    ])
+  }
+
+  // Whether a function uses a name, to avoid shadowing it with the client
+  function isNameUsed(functionPath, name) {
+    return j(functionPath).find(j.Identifier, { name }).size() > 0
+  }
+
+  // Rename the variable `from` declared by a function, leaving member and
+  // property names alone
+  function renameVariable(functionPath, from, to) {
+    j(functionPath)
+      .find(j.Identifier, { name: from })
+      .filter((path) => {
+        const scope = path.scope && path.scope.lookup(from)
+        return Boolean(scope) && scope.node === functionPath.node
+      })
+      .forEach((path) => {
+        const parent = path.parent.node
+        if (
+          parent.type === 'MemberExpression' &&
+          parent.property === path.node &&
+          !parent.computed
+        ) {
+          return
+        }
+        if (isObjectProperty(parent) && parent.key === path.node) {
+          // { manager } → { manager: tx }
+          if (parent.shorthand) {
+            parent.shorthand = false
+            parent.value = j.identifier(to)
+          }
+          return
+        }
+        path.node.name = to
+      })
+  }
+
+  // Turn the entity manager parameter of a transaction callback into the
+  // transaction client. Returns the name of the client, or null.
+  function convertCallback(callbackPath) {
+    const [param] = callbackPath.node.params
+    if (!param || param.type !== 'Identifier') return null
+
+    const name = isNameUsed(callbackPath, TRANSACTION_CLIENT)
+      ? param.name
+      : TRANSACTION_CLIENT
+    param.typeAnnotation = null
+    renameVariable(callbackPath, param.name, name)
+    // The bindings of the callback were scanned under the old name
+    callbackPath.scope.scan(true)
+    transactionCallbacks.set(callbackPath.node, name)
+    return name
+  }
+
+  function createTransactionCall(callback, options) {
+    return j.callExpression(
+      j.memberExpression(context.createClient(), j.identifier('$transaction')),
+      options ? [callback, options] : [callback]
+    )
+  }
+
+  /**
+   * Rewrite `dataSource.transaction([isolationLevel,] callback)` and
+   * `manager.transaction(...)` into `this.prisma.$transaction(callback,
+   * options)`. Returns the review messages of the call, or null when it is
+   * not a TypeORM transaction.
+   */
+  function transformTransactionCall(callPath) {
+    const call = callPath.node
+    const { callee } = call
+    if (
+      callee.type !== 'MemberExpression' ||
+      callee.computed ||
+      callee.property.name !== 'transaction' ||
+      call.arguments.length === 0 ||
+      call.arguments.length > 2 ||
+      !isFunction(call.arguments[call.arguments.length - 1]) ||
+      !context.isConnection(callPath, callee.object)
+    ) {
+      return null
+    }
+
+    const messages = []
+    const options = getTransactionOptions(
+      call.arguments.length === 2 ? call.arguments[0] : null,
+      messages
+    )
+    const transaction = createTransactionCall(
+      call.arguments[call.arguments.length - 1],
+      options
+    )
+    call.callee = transaction.callee
+    call.arguments = transaction.arguments
+    convertCallback(callPath.get('arguments', 0))
+    return messages
+  }
+
+  // `await runner.method(...)` statement: { method, args }
+  function getRunnerCall(statement, runnerName) {
+    if (!statement || statement.type !== 'ExpressionStatement') return null
+
+    let expression = statement.expression
+    if (expression.type === 'AwaitExpression') expression = expression.argument
+    if (
+      expression.type !== 'CallExpression' ||
+      expression.callee.type !== 'MemberExpression' ||
+      expression.callee.computed ||
+      expression.callee.object.type !== 'Identifier' ||
+      expression.callee.object.name !== runnerName
+    ) {
+      return null
+    }
+    return {
+      method: expression.callee.property.name,
+      args: expression.arguments,
+    }
+  }
+
+  function isLifecycleCall(statement, runnerName) {
+    const runnerCall = getRunnerCall(statement, runnerName)
+    return (
+      Boolean(runnerCall) &&
+      RUNNER_LIFECYCLE_METHODS.includes(runnerCall.method)
+    )
+  }
+
+  // Uses of the query runner other than `runner.manager` and `runner.query()`,
+  // which the transaction client replaces
+  function hasOtherRunnerUses(nodes, runnerName) {
+    return nodes.some(
+      (node) =>
+        j(node)
+          .find(j.Identifier, { name: runnerName })
+          .filter((path) => {
+            const parent = path.parent.node
+            if (parent.type !== 'MemberExpression' || parent.computed) {
+              return true
+            }
+            if (parent.property === path.node) return false
+            return !['manager', 'query'].includes(parent.property.name)
+          })
+          .size() > 0
+    )
+  }
+
+  // Whether statements return from their function, outside nested functions
+  function hasReturn(statements) {
+    return statements.some(
+      (statement) =>
+        j(statement)
+          .find(j.ReturnStatement)
+          .filter((path) => {
+            for (let p = path.parent; p; p = p.parent) {
+              if (p.node === statement) return true
+              if (isFunction(p.node) || p.node.type === 'FunctionDeclaration') {
+                return false
+              }
+            }
+            return true
+          })
+          .size() > 0 || statement.type === 'ReturnStatement'
+    )
+  }
+
+  // catch (error) { throw error } only rethrows what $transaction throws
+  function isRethrow(param, statements) {
+    const [statement] = statements
+    return (
+      statements.length === 1 &&
+      statement.type === 'ThrowStatement' &&
+      Boolean(param) &&
+      param.type === 'Identifier' &&
+      statement.argument.type === 'Identifier' &&
+      statement.argument.name === param.name
+    )
+  }
+
+  // Collapse one `const runner = dataSource.createQueryRunner()` and the
+  // statements following it. Returns a review message when it cannot.
+  function collapseQueryRunner(declaratorPath) {
+    const runnerName = declaratorPath.node.id.name
+    const declarationPath = declaratorPath.parent
+    const blockPath = declarationPath.parent
+    if (
+      declarationPath.node.declarations.length !== 1 ||
+      !blockPath ||
+      !Array.isArray(blockPath.node.body)
+    ) {
+      return MANUAL_RUNNER
+    }
+
+    // connect() and startTransaction() up to the try statement
+    const statements = blockPath.node.body
+    const start = statements.indexOf(declarationPath.node)
+    let index = start + 1
+    let levelNode = null
+    let started = false
+    for (; index < statements.length; index++) {
+      const runnerCall = getRunnerCall(statements[index], runnerName)
+      if (
+        !runnerCall ||
+        !['connect', 'startTransaction'].includes(runnerCall.method)
+      ) {
+        break
+      }
+      if (runnerCall.method === 'startTransaction') {
+        started = true
+        levelNode = runnerCall.args[0] || null
+      }
+    }
+
+    const tryStatement = statements[index]
+    const commit =
+      tryStatement &&
+      tryStatement.type === 'TryStatement' &&
+      tryStatement.block.body.find(
+        (statement) =>
+          (getRunnerCall(statement, runnerName) || {}).method ===
+          'commitTransaction'
+      )
+    if (!started || !commit) {
+      return `${MANUAL_RUNNER} - the transaction is not started and committed in a try block`
+    }
+
+    const body = tryStatement.block.body.filter(
+      (statement) => !isLifecycleCall(statement, runnerName)
+    )
+    const handler = tryStatement.handler
+    const handlerBody = handler
+      ? handler.body.body.filter(
+          (statement) => !isLifecycleCall(statement, runnerName)
+        )
+      : []
+    const finalizerBody = tryStatement.finalizer
+      ? tryStatement.finalizer.body.filter(
+          (statement) => !isLifecycleCall(statement, runnerName)
+        )
+      : []
+    if (
+      hasOtherRunnerUses(
+        [
+          ...body,
+          ...handlerBody,
+          ...finalizerBody,
+          ...statements.slice(index + 1),
+        ],
+        runnerName
+      )
+    ) {
+      return `${MANUAL_RUNNER} - it is used for more than its manager and queries`
+    }
+
+    // runner.manager.save(...) → tx.save(...), runner.query(...) → tx.query(...)
+    const clientName = body.some(
+      (statement) =>
+        j(statement).find(j.Identifier, { name: TRANSACTION_CLIENT }).size() > 0
+    )
+      ? runnerName
+      : TRANSACTION_CLIENT
+    const callback = j.arrowFunctionExpression(
+      [j.identifier(clientName)],
+      j.blockStatement(body)
+    )
+    callback.async = true
+    j(callback)
+      .find(j.MemberExpression, {
+        object: { type: 'Identifier', name: runnerName },
+      })
+      .forEach((path) => {
+        if (path.node.property.name === 'manager') {
+          path.replace(j.identifier(clientName))
+        } else {
+          path.node.object = j.identifier(clientName)
+        }
+      })
+    transactionCallbacks.set(callback, clientName)
+
+    const messages = []
+    const transaction = createTransactionCall(
+      callback,
+      getTransactionOptions(levelNode, messages)
+    )
+
+    // Errors are rethrown by $transaction once it has rolled back
+    const keepHandler =
+      Boolean(handler) && !isRethrow(handler.param, handlerBody)
+    const keepTry = keepHandler || finalizerBody.length > 0
+    const transactionStatement = hasReturn(body)
+      ? j.returnStatement(
+          keepTry ? j.awaitExpression(transaction) : transaction
+        )
+      : j.expressionStatement(j.awaitExpression(transaction))
+
+    const collapsed = keepTry
+      ? j.tryStatement(
+          j.blockStatement([transactionStatement]),
+          keepHandler
+            ? j.catchClause(handler.param, null, j.blockStatement(handlerBody))
+            : null,
+          finalizerBody.length > 0 ? j.blockStatement(finalizerBody) : null
+        )
+      : transactionStatement
+    collapsed.comments = [
+      ...(declarationPath.node.comments || []),
+      ...messages.map((message) => j.commentLine(` ${message}`)),
+    ]
+    statements.splice(start, index - start + 1, collapsed)
+    return null
+  }
+
+  /**
+   * Collapse the QueryRunner transactions of the file into interactive
+   * transactions. Returns `{ collapsed, messages }`: the number of runners
+   * replaced, and the review messages of the ones left for manual migration
+   * as `{ path, message }`.
+   */
+  function collapseQueryRunners() {
+    const result = { collapsed: 0, messages: [] }
+
+    root
+      .find(j.VariableDeclarator, {
+        id: { type: 'Identifier' },
+        init: {
+          type: 'CallExpression',
+          callee: {
+            type: 'MemberExpression',
+            property: { name: 'createQueryRunner' },
+          },
+        },
+      })
+      .forEach((declaratorPath) => {
+        const message = collapseQueryRunner(declaratorPath)
+        if (message) {
+          result.messages.push({ path: declaratorPath, message })
+        } else {
+          result.collapsed++
+        }
+      })
+
+    return result
+  }
+
+  /**
+   * Name of the transaction client an expression refers to, or null when it
+   * is not the client parameter of a transaction callback.
+   */
+  function getTransactionClient(path, node) {
+    if (!node || node.type !== 'Identifier') return null
+
+    const scope = path.scope && path.scope.lookup(node.name)
+    const clientName = scope && transactionCallbacks.get(scope.node)
+    return clientName === node.name ? clientName : null
+  }
+
+  return {
+    collapseQueryRunners,
+    getTransactionClient,
+    transformTransactionCall,
+  }
+}
+
+module.exports = {
+  ISOLATION_LEVELS,
+  createTransactionTranslator,
+}
@@ -9,6 +9,19 @@
  * Usage:
  * npx jscodeshift -t typeorm-to-prisma.js --extensions=ts --parser=ts path/to/your/src
  *
+ * Options:
+ * --schemaOut=prisma/schema.prisma  Merge the Prisma models generated from all entities
+ *                                   of the run into this schema file (created if missing)
+ * --only=entities,services,modules  Run only the selected transformations
+ * --projectRoot=.                   Directory scanned for the entities queried by services
+ * --prismaDir=src/prisma            Directory of prisma.service.ts and prisma.module.ts,
+ *                                   relative to the project root
+ * --prismaAlias=@app/prisma         Import PrismaService and PrismaModule from this path
+ *                                   alias instead of a relative path
+ * --prismaGlobal=false              Don't make the scaffolded PrismaModule @Global()
+ * --prismaLog=query,error           Log levels of the scaffolded PrismaService (defaults
+ *                                   to the `logging` option of TypeOrmModule.forRoot)
+ *
  * Note: This codemod handles common patterns but manual adjustments might be needed for complex cases.
  *
  * Important: Before running this codemod, you should:
@@ -19,6 +32,66 @@
  * 5. Generate Prisma Client: npx prisma generate
  */
 
+const path = require('path')
+
+const { buildSchema, previewSchema, writeSchema } = require('./schema-writer')
+const { createFindOptionsTranslator } = require('./find-options')
+const {
+  WRITE_METHODS,
+  createQueryBuilderTranslator,
+  getCallChain,
+  getStaticString,
+} = require('./query-builder')
+const {
+  cloneNode,
+  countReferences,
+  getPropertyName,
+  isObjectProperty,
+  isStringLiteral,
+} = require('./ast-utils')
+const { createTransactionTranslator } = require('./transactions')
+const { PRISMA_FILES, getPrismaImportSource } = require('./prisma-location')
+const {
+  HOOKS_FILE,
+  getLogLevels,
+  scaffoldPrismaFiles,
+} = require('./prisma-scaffold')
+const {
+  DROPPED_OPTIONS,
+  findConnectionOptions,
+  getDatasource,
+  getProjectProvider,
+  readConnectionOptions,
+  readOrmConfigJson,
+  writeEnvFile,
+} = require('./connection-options')
+const {
+  collectCustomRepositories,
+  collectEntities,
+  collectEnums,
+  getClassIndex,
+  getConstraintColumns,
+  getCustomRepositoryIndex,
+  getDecoratorArgs,
+  getDecoratorName,
+  getDeleteDateColumn,
+  getEntityIndex,
+  getEnumIndex,
+  findUniqueConstraint,
+  getOptionNode,
+  getOptions,
+  getRelation,
+  getReturnedExpression,
+  getRootEntity,
+  getStaticValue,
+  getTableName,
+  linkTableInheritance,
+  toSnakeCase,
+} = require('./entity-index')
+const { getNativeTypeAttribute } = require('./native-types')
+const { getHookIndex, getHookProblems, isMovedHook } = require('./entity-hooks')
+const { createRelationResolver } = require('./relations')
+
 const typeormToPrismaTypeMap = {
   // TypeORM to Prisma type mappings
   string: 'String',
@@ -30,23 +103,130 @@ const typeormToPrismaTypeMap = {
   text: 'String',
   int: 'Int',
   integer: 'Int',
+  int2: 'Int',
+  int4: 'Int',
+  tinyint: 'Int',
   smallint: 'Int',
+  mediumint: 'Int',
   bigint: 'BigInt',
+  int8: 'BigInt',
   float: 'Float',
+  float4: 'Float',
+  float8: 'Float',
+  real: 'Float',
   double: 'Float',
+  'double precision': 'Float',
   decimal: 'Decimal',
+  numeric: 'Decimal',
+  money: 'Decimal',
   boolean: 'Boolean',
+  bool: 'Boolean',
   date: 'DateTime',
+  time: 'DateTime',
   datetime: 'DateTime',
+  datetime2: 'DateTime',
   timestamp: 'DateTime',
-  enum: 'Enum',
+  timestamptz: 'DateTime',
+  'timestamp with time zone': 'DateTime',
+  'timestamp without time zone': 'DateTime',
   json: 'Json',
   jsonb: 'Json',
   uuid: 'String',
   'simple-array': 'String[]',
   'simple-json': 'Json',
+  bytea: 'Bytes',
+  blob: 'Bytes',
+}
+
+// SQL defaults meaning the current time, which Prisma writes as now()
+const CURRENT_TIMESTAMP = /^(CURRENT_TIMESTAMP|LOCALTIMESTAMP|now)(\(\d*\))?$/i
+
+// Prisma types whose defaults are written as numbers
+const NUMERIC_TYPES = ['Int', 'BigInt', 'Float', 'Decimal']
+
+// TypeORM repository aggregate methods and the matching Prisma aggregate
+const AGGREGATE_FUNCTIONS = {
+  sum: '_sum',
+  average: '_avg',
+  minimum: '_min',
+  maximum: '_max',
 }
 
+// Types and injection decorators of TypeORM data sources and entity managers
+const CONNECTION_TYPES = ['DataSource', 'Connection', 'EntityManager']
+const CONNECTION_DECORATORS = [
+  'InjectDataSource',
+  'InjectConnection',
+  'InjectEntityManager',
+]
+
+// EntityManager methods taking the entity class first: manager.find(User, options)
+const ENTITY_MANAGER_METHODS = [
+  'average',
+  'clear',
+  'count',
+  'countBy',
+  'create',
+  'createQueryBuilder',
+  'decrement',
+  'delete',
+  'exists',
+  'existsBy',
+  'find',
+  'findAndCount',
+  'findAndCountBy',
+  'findBy',
+  'findOne',
+  'findOneBy',
+  'findOneByOrFail',
+  'findOneOrFail',
+  'increment',
+  'insert',
+  'maximum',
+  'merge',
+  'minimum',
+  'preload',
+  'restore',
+  'softDelete',
+  'sum',
+  'update',
+  'upsert',
+]
+
+// Repository reads that TypeORM limits to rows that are not soft-deleted
+const SOFT_DELETE_FILTERED_METHODS = [
+  'average',
+  'count',
+  'countBy',
+  'exist',
+  'exists',
+  'existsBy',
+  'find',
+  'findAndCount',
+  'findAndCountBy',
+  'findBy',
+  'findOne',
+  'findOneBy',
+  'findOneByOrFail',
+  'findOneOrFail',
+  'maximum',
+  'minimum',
+  'sum',
+]
+
+// Repository reads taking criteria instead of find options: findBy({ id })
+const CRITERIA_METHODS = [
+  'countBy',
+  'existsBy',
+  'findAndCountBy',
+  'findBy',
+  'findOneBy',
+  'findOneByOrFail',
+]
+
+// EntityManager methods where the entity class is optional: manager.save(user)
+const ENTITY_MANAGER_SAVE_METHODS = ['save', 'remove', 'softRemove', 'recover']
+
 // Map of TypeORM decorators to corresponding Prisma schema features
 const decoratorMap = {
   PrimaryGeneratedColumn: 'id',
@@ -63,6 +243,11 @@ const decoratorMap = {
   JoinTable: 'join',
 }
 
+// Prisma model delegates are the model names in lowerCamelCase: UserProfile → userProfile
+function getDelegateName(modelName) {
+  return modelName.charAt(0).toLowerCase() + modelName.slice(1)
+}
+
 module.exports = function (fileInfo, api, options) {
   const j = api.jscodeshift
   const root = j(fileInfo.source)
@@ -73,15 +258,104 @@ module.exports = function (fileInfo, api, options) {
     services: false,
   }
 
+  // Entities of the whole project, with the ones of this file taking precedence
+  const entityIndex = new Map(getEntityIndex(options))
+  collectEntities(j, root, fileInfo.path, getClassIndex(options)).forEach(
+    (entity) => {
+      entityIndex.set(entity.name, entity)
+    }
+  )
+  linkTableInheritance(entityIndex)
+
+  // TypeScript enums of the whole project, with the ones of this file taking
+  // precedence
+  const enumIndex = new Map(getEnumIndex(options))
+  collectEnums(j, root, fileInfo.path).forEach((declaration) => {
+    enumIndex.set(declaration.name, declaration)
+  })
+
+  // Custom repositories of the whole project, with the ones of this file
+  // taking precedence, and the custom repository classes of this file
+  const customRepositories = new Map(getCustomRepositoryIndex(options))
+  collectCustomRepositories(j, root, fileInfo.path).forEach((repository) => {
+    customRepositories.set(repository.name, repository)
+  })
+  const customRepositoryClasses = new Map()
+  root.find(j.ClassDeclaration).forEach((classPath) => {
+    const repository =
+      classPath.node.id && customRepositories.get(classPath.node.id.name)
+    if (
+      repository &&
+      repository.kind === 'class' &&
+      repository.file === fileInfo.path
+    ) {
+      customRepositoryClasses.set(classPath.node, repository)
+    }
+  })
+
+  // Injected repositories of each class, collected by transformRepositoryUsage
+  let repositoryProperties = new Map()
+
+  // Injected custom repositories of each class, from property name to
+  // custom repository
+  let customRepositoryProperties = new Map()
+
+  // Local variables holding a repository, per declaring function
+  let repositoryVariables = new Map()
+
+  // Entity of every repository call, resolved before the call is rewritten
+  const resolvedEntities = new WeakMap()
+
+  // Injected data sources and entity managers of each class, by name
+  let connectionProperties = new Map()
+
+  // Transactions of the file, set up by transformRepositoryUsage
+  let transactionTranslator = null
+
+  // Whether transformRepositoryUsage ran on the file
+  let servicesMigrated = false
+
+  // EntityManager calls rewritten as repository calls, and the transaction
+  // client of the calls made inside an interactive transaction
+  const managerCalls = new WeakSet()
+  const prismaClients = new WeakMap()
+
+  // Settings of the scaffolded PrismaService taken from the TypeORM connection
+  const prismaSettings = {}
+
+  // A global PrismaModule only needs to be imported by the root module
+  const prismaGlobal = String(options.prismaGlobal) !== 'false'
+
+  // Prisma datasource ({ provider, url }) of the TypeORM connection, if found
+  let datasource = null
+
+  // Column names follow the property names, or snake_case with a naming
+  // strategy like typeorm-naming-strategies' SnakeNamingStrategy
+  const snakeCase = options.namingStrategy === 'snake_case'
+
+  // Once an entity lives in a database schema of its own, every model and
+  // enum needs @@schema
+  const usesSchemas = [...entityIndex.values()].some((entity) => entity.schema)
+
   // Track generated Prisma schema parts to be assembled later
-  const prismaSchemaFragments = []
   const prismaEnums = new Set()
   const prismaModels = new Map()
+  const prismaSchemas = new Set()
 
   // Note: This function is kept for reference, but in a real migration process
   // you should use `npx prisma db pull` to introspect your database instead.
   // This function can help you understand how TypeORM entities map to Prisma models.
   function transformEntityClasses() {
+    const relationResolver = createRelationResolver(
+      entityIndex,
+      getColumnScalarType,
+      {
+        getNativeType: getColumnNativeType,
+        getSchemaAttribute,
+        snakeCase,
+      }
+    )
+
     // Add a comment to indicate entity transformation is informational only
     console.log(
       'NOTE: Entity transformation is provided for reference only.\n' +
@@ -108,234 +382,236 @@ module.exports = function (fileInfo, api, options) {
             decorator.expression.callee.name === 'Entity'
           ) {
             isEntity = true
-            // Extract entity options like table name
-            if (decorator.expression.arguments.length > 0) {
-              // Assuming first argument might be table name or options object
-              const arg = decorator.expression.arguments[0]
+            // Extract entity options like table name and schema, from
+            // @Entity('name'), @Entity({ name }) or @Entity('name', { schema })
+            decorator.expression.arguments.forEach((arg) => {
               if (arg.type === 'StringLiteral') {
                 entityOptions.name = arg.value
               } else if (arg.type === 'ObjectExpression') {
                 arg.properties.forEach((prop) => {
-                  if (prop.key.name === 'name') {
-                    entityOptions.name = prop.value.value
+                  if (['name', 'schema'].includes(prop.key.name)) {
+                    entityOptions[prop.key.name] = prop.value.value
                   }
                 })
               }
-            }
+            })
           }
         })
 
+      // Child entities of single table inheritance are stored in the model
+      // of the entity with @TableInheritance
+      const childEntity = entityIndex.get(className)
+      if (!isEntity && childEntity && childEntity.parent) {
+        const parent = getRootEntity(entityIndex, childEntity)
+        if (parent && parent.inheritance) {
+          addComment(
+            path,
+            ` The TypeORM child entity below is stored in the ${parent.name} model of the Prisma schema, in the rows whose ${parent.inheritance.column} is ${childEntity.discriminatorValue}.`
+          )
+          fileChanged.entities = true
+        }
+        return
+      }
+
       if (!isEntity) return
 
       // Start building the Prisma model definition
       let modelName = className
-      let tableName = entityOptions.name || className.toLowerCase()
+      let tableName = entityOptions.name || toSnakeCase(className)
 
       let modelDefinition = `model ${modelName} {\n`
 
-      // Process all class properties to find decorated fields
-      j(path)
-        .find(j.ClassProperty)
-        .forEach((propPath) => {
-          const property = propPath.node
-          const propertyName = property.key.name
-
-          // Skip properties without decorators
-          if (!property.decorators || property.decorators.length === 0) return
-
-          // Analyze each decorator on this property
-          property.decorators.forEach((decorator) => {
-            if (decorator.expression.type !== 'CallExpression') return
-
-            const decoratorName = decorator.expression.callee.name
-            const decoratorArgs = decorator.expression.arguments
-
-            // Handle different TypeORM decorators
-            switch (decoratorName) {
-              case 'PrimaryGeneratedColumn':
-                // Handle ID column
-                let idType = 'Int'
-                let idOptions = ''
-
-                if (decoratorArgs.length > 0) {
-                  // Get ID type (uuid, increment, etc.)
-                  const firstArg = decoratorArgs[0]
-                  if (firstArg.type === 'StringLiteral') {
-                    if (firstArg.value === 'uuid') {
-                      idType = 'String'
-                      idOptions = '@id @default(uuid())'
-                    } else if (firstArg.value === 'increment') {
-                      idType = 'Int'
-                      idOptions = '@id @default(autoincrement())'
-                    }
-                  }
-                } else {
-                  // Default to autoincrement integer
-                  idOptions = '@id @default(autoincrement())'
-                }
-
-                modelDefinition += `  ${propertyName} ${idType} ${idOptions}\n`
-                break
-
-              case 'PrimaryColumn':
-                // Handle primary column
-                let primaryType = extractTypeFromProperty(property)
-                modelDefinition += `  ${propertyName} ${primaryType} @id\n`
-                break
-
-              case 'Column':
-                // Handle regular column
-                let columnType = 'String'
-                let columnOptions = []
-
-                // Extract type and options from Column decorator
-                if (decoratorArgs.length > 0) {
-                  const typeArg = decoratorArgs[0]
-
-                  // Type can be string or object config
-                  if (typeArg.type === 'StringLiteral') {
-                    columnType = mapTypeOrmTypeToPrisma(typeArg.value)
-                  } else if (typeArg.type === 'ObjectExpression') {
-                    // Handle column options object
-                    typeArg.properties.forEach((prop) => {
-                      switch (prop.key.name) {
-                        case 'type':
-                          if (prop.value.type === 'StringLiteral') {
-                            columnType = mapTypeOrmTypeToPrisma(
-                              prop.value.value
-                            )
-                          }
-                          break
-                        case 'nullable':
-                          if (prop.value.value === true) {
-                            columnOptions.push('?')
-                          }
-                          break
-                        case 'default':
-                          let defaultValue = ''
-                          if (prop.value.type === 'StringLiteral') {
-                            defaultValue = `"${prop.value.value}"`
-                          } else if (
-                            ['NumericLiteral', 'BooleanLiteral'].includes(
-                              prop.value.type
-                            )
-                          ) {
-                            defaultValue = prop.value.value
-                          } else if (
-                            prop.value.type === 'CallExpression' &&
-                            prop.value.callee.name === 'Date'
-                          ) {
-                            defaultValue = 'now()'
-                          }
-
-                          if (defaultValue) {
-                            columnOptions.push(`@default(${defaultValue})`)
-                          }
-                          break
-                        case 'unique':
-                          if (prop.value.value === true) {
-                            columnOptions.push('@unique')
-                          }
-                          break
-                      }
-                    })
-                  }
-                } else {
-                  // Infer type from TypeScript type annotation if present
-                  columnType = extractTypeFromProperty(property)
-                }
+      // Several primary columns make a composite id, declared on the model
+      const entity = entityIndex.get(className)
+      const primaryColumns = entity
+        ? entity.columns.filter((column) => column.primary)
+        : []
+      const compositeId = primaryColumns.length > 1
+
+      // Process the columns of the entity: its own, the ones inherited
+      // from base classes, embedded ones and those of its child entities
+      const columns = entity ? entity.columns : []
+      columns.forEach((column) => {
+        const property = column.member
+        const propertyName = column.name
+
+        // The discriminator column is typed with an enum of the entities
+        if (isDiscriminatorColumn(entity, column)) return
+
+        // On MongoDB, embedded classes are composite types
+        if (column.embeddedIn && getProvider() === 'mongodb') {
+          getCompositeTypeFields(columns, column).forEach((line) => {
+            modelDefinition += `  ${line}\n`
+          })
+          return
+        }
 
-                // Build the field definition
-                modelDefinition += `  ${propertyName} ${columnType}${
-                  columnOptions.length ? ' ' + columnOptions.join(' ') : ''
-                }\n`
-                break
-
-              case 'CreateDateColumn':
-                modelDefinition += `  ${propertyName} DateTime @default(now())\n`
-                break
-
-              case 'UpdateDateColumn':
-                modelDefinition += `  ${propertyName} DateTime @updatedAt\n`
-                break
-
-              case 'DeleteDateColumn':
-                modelDefinition += `  ${propertyName} DateTime? @map("deleted_at")\n`
-                break
-
-              case 'OneToOne':
-              case 'ManyToOne':
-              case 'OneToMany':
-              case 'ManyToMany':
-                // Extract relation target type
-                let targetType = ''
-                let fieldName = propertyName
-
-                if (decoratorArgs.length > 0) {
-                  // First argument is often a function returning the target type
-                  // E.g., () => User or type => User
-                  const firstArg = decoratorArgs[0]
-
-                  if (
-                    firstArg.type === 'ArrowFunctionExpression' &&
-                    firstArg.body.type === 'Identifier'
-                  ) {
-                    targetType = firstArg.body.name
-                  }
-                } else if (property.typeAnnotation) {
-                  // Try to extract from type annotation
-                  const typeAnnotation = property.typeAnnotation.typeAnnotation
-                  if (typeAnnotation.type === 'TSTypeReference') {
-                    targetType = typeAnnotation.typeName.name
-                  }
-                }
+        // Analyze each decorator on this property
+        property.decorators.forEach((decorator) => {
+          if (decorator.expression.type !== 'CallExpression') return
+
+          const decoratorName = decorator.expression.callee.name
+          const decoratorArgs = decorator.expression.arguments
+
+          // Handle different TypeORM decorators
+          switch (decoratorName) {
+            case 'PrimaryGeneratedColumn':
+            case 'PrimaryColumn':
+            case 'Column':
+            case 'CreateDateColumn':
+            case 'UpdateDateColumn':
+            case 'DeleteDateColumn': {
+              // Enum columns are typed with an enum block of their own
+              const lines =
+                decoratorName === 'Column' && isEnumColumn(decoratorArgs)
+                  ? getEnumFields(
+                      className,
+                      tableName,
+                      column,
+                      decoratorArgs,
+                      entityOptions.schema
+                    )
+                  : getColumnFields(
+                      column,
+                      decoratorName,
+                      decoratorArgs,
+                      compositeId
+                    )
+              lines.forEach((line) => {
+                modelDefinition += `  ${line}\n`
+              })
+              break
+            }
 
-                // If we couldn't determine target type, use a placeholder
-                if (!targetType) {
-                  targetType = 'Unknown'
-                }
+            case 'OneToOne':
+            case 'ManyToOne':
+            case 'OneToMany':
+            case 'ManyToMany':
+              // Both sides, foreign keys and join tables come from the
+              // entity index, see relations.js
+              relationResolver
+                .getRelationFields(className, propertyName)
+                .forEach((line) => {
+                  modelDefinition += `  ${line}\n`
+                })
+              break
+          }
+        })
+      })
 
-                // Handle different relation types
-                switch (decoratorName) {
-                  case 'OneToOne':
-                    modelDefinition += `  ${fieldName} ${targetType}? @relation("${className}To${targetType}")\n`
-                    break
-                  case 'ManyToOne':
-                    modelDefinition += `  ${fieldName} ${targetType} @relation("${fieldName}Relation")\n`
-                    // Add the foreign key field
-                    modelDefinition += `  ${fieldName}Id Int\n`
-                    break
-                  case 'OneToMany':
-                    // This becomes the "many" side of a relation
-                    // In Prisma, this is often represented by an array field
-                    modelDefinition += `  ${fieldName} ${targetType}[] @relation("${fieldName}Relation")\n`
-                    break
-                  case 'ManyToMany':
-                    // ManyToMany relations in Prisma often require explicit join tables
-                    modelDefinition += `  ${fieldName} ${targetType}[] @relation("${className}To${targetType}")\n`
-                    break
-                }
-                break
-            }
-          })
+      // Single table inheritance stores the entity of each row in a
+      // discriminator column
+      if (entity && entity.inheritance) {
+        getDiscriminatorFields(entity, entityOptions.schema).forEach((line) => {
+          modelDefinition += `  ${line}\n`
         })
+      }
+
+      // Back-relations of relations declared on the other entity only
+      const additions = relationResolver.getModelAdditions(className)
+      additions.fields.forEach((line) => {
+        modelDefinition += `  ${line}\n`
+      })
+      relationResolver.getJoinModels(className).forEach((definition, name) => {
+        prismaModels.set(name, definition)
+      })
 
       // Close model definition
-      modelDefinition += `\n  @@map("${tableName}")\n}\n`
+      modelDefinition += '\n'
+      if (compositeId) {
+        modelDefinition += `  @@id([${primaryColumns
+          .map((column) => column.name)
+          .join(', ')}])\n`
+      }
+      additions.attributes.forEach((line) => {
+        modelDefinition += `  ${line}\n`
+      })
+      getConstraintAttributes(
+        classNode,
+        columns,
+        modelDefinition,
+        relationResolver
+      ).forEach((line) => {
+        modelDefinition += `  ${line}\n`
+      })
+      modelDefinition += `  @@map("${tableName}")\n`
+      const schemaAttribute = getSchemaAttribute(entityOptions.schema)
+      if (schemaAttribute) modelDefinition += `  ${schemaAttribute}\n`
+      modelDefinition += '}\n'
 
       // Store this model definition to be added to the schema later
       prismaModels.set(className, modelDefinition)
 
       // Add comment before the entity class to indicate it should be replaced
-      j(path).insertBefore(
-        j.commentLine(
-          ' The TypeORM entity below should be replaced with the Prisma Client. Use the Prisma schema generated by `npx prisma db pull` instead.'
-        )
+      addComment(
+        path,
+        ' The TypeORM entity below should be replaced with the Prisma Client. Use the Prisma schema generated by `npx prisma db pull` instead.'
       )
 
       // Mark file as changed
       fileChanged.entities = true
     })
+
+    markEntityHooks()
+  }
+
+  // Point the entity listeners and subscribers of this file to the Prisma
+  // Client extension they were moved to, and report those left behind
+  function markEntityHooks() {
+    getHookIndex(options)
+      .hooks.filter((hook) => hook.file === path.resolve(fileInfo.path))
+      .forEach((hook) => {
+        const methods = root
+          .find(j.ClassDeclaration, { id: { name: hook.className } })
+          .find(j.ClassMethod, { key: { name: hook.method } })
+        if (methods.size() === 0) return
+
+        // Hooks of classes no entity extends run nowhere
+        const methodPath = methods.paths()[0]
+        if (isMovedHook(hook)) {
+          addComment(
+            methodPath,
+            ` NOTE: this hook runs in the entityHooks Prisma Client extension of ${HOOKS_FILE}.ts now`
+          )
+          fileChanged.entities = true
+        } else if (
+          hook.entities.length === 0 &&
+          !(hook.kind === 'subscriber' && !hook.target)
+        ) {
+          return
+        }
+
+        const problems = getHookProblems(hook)
+        if (problems.length === 0) return
+        const message = `could not move the ${hook.className}.${hook.method}() hook to the Prisma Client extension: ${problems.join('; ')}`
+        addComment(methodPath, ` TODO: ${message}`)
+        if (api.report) api.report(message)
+        fileChanged.entities = true
+      })
+  }
+
+  // Attach a line comment to the statement containing `path`. Comments cannot
+  // be inserted as statements of their own next to other nodes.
+  function addComment(path, text, type = 'line') {
+    let statementPath = path
+    while (
+      statementPath.parent &&
+      !['Program', 'BlockStatement', 'ClassBody'].includes(
+        statementPath.parent.node.type
+      )
+    ) {
+      statementPath = statementPath.parent
+    }
+
+    const node = statementPath.node
+    const alreadyPresent = (node.comments || []).some(
+      (comment) => comment.value === text
+    )
+    if (!alreadyPresent) {
+      const comment =
+        type === 'block' ? j.commentBlock(text) : j.commentLine(text)
+      node.comments = [...(node.comments || []), comment]
+    }
   }
 
   // Helper function to map TypeORM types to Prisma types
@@ -343,11 +619,586 @@ module.exports = function (fileInfo, api, options) {
     return typeormToPrismaTypeMap[typeormType.toLowerCase()] || 'String'
   }
 
+  // Prisma provider whose native types the generated columns keep: the
+  // --provider option, or the one of the project's TypeORM connection
+  function getProvider() {
+    return (
+      options.provider ||
+      getProjectProvider(path.resolve(options.projectRoot || process.cwd())) ||
+      'postgresql'
+    )
+  }
+
+  // Database column of a property: the `name` option or the name given by
+  // the naming strategy
+  function getColumnName(propertyName, name) {
+    if (typeof name === 'string') return name
+    return snakeCase ? toSnakeCase(propertyName) : propertyName
+  }
+
+  // @map of a column stored under another name than its property
+  function getMapAttribute(propertyName, name) {
+    const columnName = getColumnName(propertyName, name)
+    return columnName !== propertyName ? `@map("${columnName}")` : null
+  }
+
+  // Default value as a Prisma literal, quoting strings unless the field
+  // holds numbers or booleans
+  function toPrismaLiteral(value, fieldType) {
+    const scalarType = fieldType.replace('[]', '')
+    if (Array.isArray(value)) {
+      return `[${value.map((item) => toPrismaLiteral(item, scalarType)).join(', ')}]`
+    }
+    if (typeof value !== 'string') return String(value)
+    if (NUMERIC_TYPES.includes(scalarType) && /^-?\d+(\.\d+)?$/.test(value)) {
+      return value
+    }
+    if (scalarType === 'Boolean' && /^(true|false)$/.test(value)) return value
+    return JSON.stringify(value)
+  }
+
+  // @default() of a column `default` option: a literal, now() for the
+  // current time or the SQL expression returned by a function default.
+  // Returns null for defaults computed in JavaScript.
+  function getDefaultAttribute(node, fieldType) {
+    const value = getStaticValue(node)
+    if (value !== undefined) {
+      return `@default(${toPrismaLiteral(value, fieldType)})`
+    }
+
+    // default: () => 'CURRENT_TIMESTAMP', () => 'gen_random_uuid()'
+    if (['ArrowFunctionExpression', 'FunctionExpression'].includes(node.type)) {
+      const sql = getStaticValue(getReturnedExpression(node))
+      if (typeof sql === 'string') {
+        return CURRENT_TIMESTAMP.test(sql.trim())
+          ? '@default(now())'
+          : `@default(dbgenerated(${JSON.stringify(sql)}))`
+      }
+    }
+
+    // default: new Date(), Date.now()
+    const callee = node.callee
+    if (
+      callee &&
+      (callee.name === 'Date' ||
+        (callee.type === 'MemberExpression' && callee.object.name === 'Date'))
+    ) {
+      return '@default(now())'
+    }
+    return null
+  }
+
+  // Field lines of a column: its comment, notes and the field itself,
+  // `fullName String? @map("full_name") @db.VarChar(100)`
+  function getColumnFields(column, decoratorName, args, compositeId) {
+    const property = column.member
+    const propertyName = column.name
+    const optionsNode = args.find((arg) => arg.type === 'ObjectExpression')
+    const options = getOptions(optionsNode)
+    const firstArg = getStaticValue(args[0])
+    const lines = []
+    const attributes = []
+
+    // @Column('varchar', { length: 100 }) or @Column({ type: 'varchar' }).
+    // The first argument of @PrimaryGeneratedColumn() is its strategy.
+    let columnType = typeof firstArg === 'string' ? firstArg : options.type
+    let fieldType
+    let nullable = column.nullable
+
+    switch (decoratorName) {
+      case 'PrimaryGeneratedColumn':
+        columnType = options.type || (firstArg === 'uuid' ? 'uuid' : 'int')
+        fieldType = mapTypeOrmTypeToPrisma(columnType)
+        if (!compositeId) attributes.push('@id')
+        attributes.push(
+          firstArg === 'uuid' ? '@default(uuid())' : '@default(autoincrement())'
+        )
+        nullable = false
+        break
+      case 'CreateDateColumn':
+        fieldType = 'DateTime'
+        attributes.push('@default(now())')
+        break
+      case 'UpdateDateColumn':
+        fieldType = 'DateTime'
+        attributes.push('@updatedAt')
+        break
+      case 'DeleteDateColumn':
+        fieldType = 'DateTime'
+        nullable = true
+        break
+      default: {
+        if (typeof columnType !== 'string') {
+          // A length makes a string column a varchar of its own size
+          columnType = options.length ? 'varchar' : null
+        }
+        fieldType = columnType
+          ? mapTypeOrmTypeToPrisma(columnType)
+          : extractTypeFromProperty(property)
+        if (decoratorName === 'PrimaryColumn' || options.primary === true) {
+          if (!compositeId) attributes.push('@id')
+          nullable = false
+        }
+
+        const defaultNode = getOptionNode(optionsNode, 'default')
+        if (defaultNode && defaultNode.type !== 'NullLiteral') {
+          const defaultAttribute = getDefaultAttribute(defaultNode, fieldType)
+          if (defaultAttribute) {
+            attributes.push(defaultAttribute)
+          } else {
+            lines.push(
+              `// TODO: The default of ${propertyName} is computed in JavaScript - set it when creating records or add it with @default()`
+            )
+          }
+        }
+        if (options.unique === true && !attributes.includes('@id')) {
+          attributes.push('@unique')
+        }
+        // onUpdate: 'CURRENT_TIMESTAMP' keeps a last modification time
+        if (CURRENT_TIMESTAMP.test(options.onUpdate || '')) {
+          attributes.push('@updatedAt')
+        }
+      }
+    }
+
+    // Scalar lists cannot be optional
+    if (options.array === true && !fieldType.endsWith('[]')) fieldType += '[]'
+    if (nullable && !fieldType.endsWith('[]')) fieldType += '?'
+
+    const map = getMapAttribute(propertyName, column.columnName)
+    if (map) attributes.push(map)
+    const nativeType = getNativeTypeAttribute(getProvider(), columnType, {
+      length: options.length,
+      precision: options.precision,
+      scale: options.scale,
+    })
+    if (nativeType) attributes.push(nativeType)
+
+    // The column comment becomes a documentation comment of the field
+    if (typeof options.comment === 'string') {
+      lines.unshift(
+        ...options.comment.split('\n').map((line) => `/// ${line.trim()}`)
+      )
+    }
+    if (options.select === false) {
+      lines.push(
+        `// NOTE: TypeORM does not select ${propertyName} unless asked to - leave it out of queries with the \`omit\` option of Prisma Client`
+      )
+    }
+    lines.push([propertyName, fieldType, ...attributes].join(' '))
+    return lines
+  }
+
+  // @@schema of a model or enum when the project uses several database
+  // schemas. Entities without one live in the default schema.
+  function getSchemaAttribute(schema) {
+    if (!usesSchemas) return null
+
+    const name = schema || (getProvider() === 'sqlserver' ? 'dbo' : 'public')
+    prismaSchemas.add(name)
+    return `@@schema("${name}")`
+  }
+
+  // Model attributes of the indexes and unique constraints declared with
+  // @Index and @Unique on an entity class or the properties of its columns,
+  // and comments keeping the SQL of @Check and @Exclusion constraints, which
+  // Prisma cannot declare
+  function getConstraintAttributes(
+    classNode,
+    columns,
+    modelDefinition,
+    resolver
+  ) {
+    const className = classNode.id.name
+    const lines = []
+
+    // Relation properties are indexed by their foreign keys
+    const toFields = (names) =>
+      names.flatMap(
+        (name) => resolver.getForeignKeyFields(className, name) || [name]
+      )
+
+    const addConstraint = (decoratorName, args, propertyName) => {
+      const [firstArg, secondArg] = args.map(getStaticValue)
+      const options = getOptions(
+        args.find((arg) => arg.type === 'ObjectExpression')
+      )
+
+      if (decoratorName === 'Check' || decoratorName === 'Exclusion') {
+        const name = typeof secondArg === 'string' ? firstArg : null
+        const expression = typeof secondArg === 'string' ? secondArg : firstArg
+        const sql =
+          decoratorName === 'Check'
+            ? `CHECK (${expression})`
+            : `EXCLUDE ${expression}`
+        lines.push(
+          `// TODO: Prisma does not support ${decoratorName.toLowerCase()} constraints - keep ${
+            name || 'this constraint'
+          } in a migration: ${sql}`
+        )
+        return
+      }
+
+      const name = typeof firstArg === 'string' ? firstArg : null
+      const columns = propertyName ? [propertyName] : getConstraintColumns(args)
+      if (!columns) {
+        lines.push(
+          `// TODO: Declare the @${decoratorName} constraint${
+            name ? ` ${name}` : ''
+          } of ${className} - its columns could not be read`
+        )
+        return
+      }
+
+      const fields = toFields(columns)
+      const unique = decoratorName === 'Unique' || options.unique === true
+      const uniqueField = new RegExp(`^  ${fields[0]} .*@(unique|id)\\b`, 'm')
+      if (unique && fields.length === 1 && uniqueField.test(modelDefinition)) {
+        return
+      }
+
+      const attribute = `@@${unique ? 'unique' : 'index'}([${fields.join(
+        ', '
+      )}]${name ? `, map: "${name}"` : ''})`
+      if (lines.includes(attribute)) return
+      if (typeof options.where === 'string') {
+        lines.push(
+          `// TODO: Prisma does not support partial indexes - add the condition to the index in a migration: WHERE ${options.where}`
+        )
+      }
+      lines.push(attribute)
+    }
+
+    const classDecorators = classNode.decorators || []
+    classDecorators.forEach((decorator) => {
+      const decoratorName = getDecoratorName(decorator)
+      if (['Index', 'Unique', 'Check', 'Exclusion'].includes(decoratorName)) {
+        addConstraint(decoratorName, getDecoratorArgs(decorator))
+      }
+    })
+    columns.forEach((column) => {
+      column.member.decorators.forEach((decorator) => {
+        const decoratorName = getDecoratorName(decorator)
+        if (['Index', 'Unique'].includes(decoratorName)) {
+          addConstraint(decoratorName, getDecoratorArgs(decorator), column.name)
+        }
+      })
+    })
+
+    return lines
+  }
+
+  // Whether a column of an entity with @TableInheritance is the
+  // discriminator column, which the entity may declare itself
+  function isDiscriminatorColumn(entity, column) {
+    return Boolean(
+      entity &&
+      entity.inheritance &&
+      !column.relation &&
+      getColumnName(column.name, column.columnName) ===
+        entity.inheritance.column
+    )
+  }
+
+  // Field lines of the discriminator column of a single table inheritance
+  // hierarchy, typed with an enum of the entities stored in its table
+  function getDiscriminatorFields(entity, schema) {
+    const { column: columnName, type, values } = entity.inheritance
+    const fieldName = getDiscriminatorFieldName(entity)
+    const enumName = `${entity.name}${
+      fieldName.charAt(0).toUpperCase() + fieldName.slice(1)
+    }`
+
+    const schemaAttribute = getSchemaAttribute(schema)
+    prismaEnums.add(
+      [
+        `enum ${enumName} {`,
+        ...values
+          .map(({ value }) => toEnumValue(value, value))
+          .map(
+            ({ name, value }) =>
+              `  ${name}${name !== value ? ` @map("${value}")` : ''}`
+          ),
+        ...(schemaAttribute ? ['', `  ${schemaAttribute}`] : []),
+        '}',
+        '',
+      ].join('\n')
+    )
+
+    const map = getMapAttribute(fieldName, columnName)
+    return [
+      `// NOTE: TypeORM filled ${fieldName} with the entity class of each row - set it when creating records. The ${type} column becomes an enum with the next migration.`,
+      `${fieldName} ${enumName}${map ? ` ${map}` : ''}`,
+    ]
+  }
+
+  // Field of the discriminator column: the declared property, or the column
+  // name in camelCase
+  function getDiscriminatorFieldName(entity) {
+    const declared = entity.columns.find((column) =>
+      isDiscriminatorColumn(entity, column)
+    )
+    return declared
+      ? declared.name
+      : entity.inheritance.column.replace(/[\W_]+(\w)/g, (match, letter) =>
+          letter.toUpperCase()
+        )
+  }
+
+  // Model, discriminator field and value of the rows of a single table
+  // inheritance child entity, which live in the model of its parent:
+  // Photo → { model: 'Content', field: 'kind', value: 'Photo' }
+  function getChildEntityDiscriminator(entityName) {
+    const entity = entityIndex.get(entityName)
+    const parent = entity && getRootEntity(entityIndex, entity)
+    if (!parent || parent === entity || !parent.inheritance) return null
+
+    const { discriminatorValue } = entity
+    return {
+      model: parent.name,
+      field: getDiscriminatorFieldName(parent),
+      value: toEnumValue(discriminatorValue, discriminatorValue).name,
+    }
+  }
+
+  // Delegate name of the model storing an entity: user, or content for a
+  // child entity stored in the Content model
+  function getModelDelegateName(entityName) {
+    const discriminator = getChildEntityDiscriminator(entityName)
+    return getDelegateName(discriminator ? discriminator.model : entityName)
+  }
+
+  // Field of an embedded class on MongoDB, which is a composite type of the
+  // schema, for the first of the columns it embeds
+  function getCompositeTypeFields(columns, column) {
+    const { property, target } = column.embeddedIn
+    const embedded = columns.filter(
+      (c) => c.embeddedIn && c.embeddedIn.property === property
+    )
+    if (embedded[0] !== column) return []
+
+    const lines = []
+    embedded.forEach(({ embeddedIn }) => {
+      const typeColumn = embeddedIn.column
+      typeColumn.member.decorators.forEach((decorator) => {
+        const decoratorName = getDecoratorName(decorator)
+        const args = getDecoratorArgs(decorator)
+        if (!/Column$/.test(decoratorName || '')) return
+
+        lines.push(
+          ...(decoratorName === 'Column' && isEnumColumn(args)
+            ? getEnumFields(target, toSnakeCase(target), typeColumn, args)
+            : getColumnFields(typeColumn, decoratorName, args, true))
+        )
+      })
+    })
+    prismaModels.set(
+      target,
+      [`type ${target} {`, ...lines.map((line) => `  ${line}`), '}', ''].join(
+        '\n'
+      )
+    )
+    return [`${property} ${target}`]
+  }
+
+  // Whether a @Column() declares an enum: { type: 'enum', enum: UserRole }
+  function isEnumColumn(args) {
+    const optionsNode = args.find((arg) => arg.type === 'ObjectExpression')
+    const typeArg = getStaticValue(args[0])
+    const type =
+      typeof typeArg === 'string' ? typeArg : getOptions(optionsNode).type
+    return (
+      Boolean(getOptionNode(optionsNode, 'enum')) && (!type || type === 'enum')
+    )
+  }
+
+  // Prisma enum value for a TypeScript member or database value, which needs
+  // @map when the value is not a valid identifier: 'in-progress' → in_progress
+  function toEnumValue(name, value) {
+    let valueName = String(name).replace(/\W/g, '_')
+    if (!/^[A-Za-z]/.test(valueName)) valueName = `V${valueName}`
+    return { name: valueName, key: name, value }
+  }
+
+  // Field lines of an enum column, `role UserRole @default(USER)`, adding its
+  // enum block to the schema. The block is mapped to the database enum type,
+  // `enumName` or TypeORM's default `<table>_<column>_enum`.
+  function getEnumFields(modelName, tableName, column, args, schema) {
+    const propertyName = column.name
+    const optionsNode = args.find((arg) => arg.type === 'ObjectExpression')
+    const options = getOptions(optionsNode)
+    const enumNode = getOptionNode(optionsNode, 'enum')
+    const suffix = options.array === true ? '[]' : column.nullable ? '?' : ''
+    const databaseName =
+      options.enumName || getDefaultEnumDatabaseName(tableName, column)
+
+    let enumName
+    let values
+    if (enumNode.type === 'Identifier') {
+      const declaration = enumIndex.get(enumNode.name)
+      if (!declaration) {
+        return [
+          `// TODO: Enum ${enumNode.name} was not found - declare it as a Prisma enum and use it as the type of ${propertyName}`,
+          `${propertyName} String${suffix}`,
+        ]
+      }
+      if (declaration.members.some((m) => typeof m.value !== 'string')) {
+        return getNumericEnumFields(declaration, column, optionsNode, suffix)
+      }
+
+      // One Prisma enum per database enum type the TypeScript enum is
+      // stored in, named after the type when there are several
+      const databaseNames = getEnumDatabaseNames(declaration.name)
+      databaseNames.add(databaseName)
+      enumName =
+        databaseNames.size > 1 ? toEnumTypeName(databaseName) : declaration.name
+      values = declaration.members.map((m) => toEnumValue(m.name, m.value))
+    } else {
+      const strings = getStaticValue(enumNode)
+      if (
+        !Array.isArray(strings) ||
+        !strings.every((value) => typeof value === 'string')
+      ) {
+        return [
+          `// TODO: Declare the values of ${propertyName} as a Prisma enum`,
+          `${propertyName} String${suffix}`,
+        ]
+      }
+      enumName = options.enumName
+        ? toEnumTypeName(options.enumName)
+        : `${modelName}${
+            propertyName.charAt(0).toUpperCase() + propertyName.slice(1)
+          }`
+      values = strings.map((value) => toEnumValue(value, value))
+    }
+
+    const schemaAttribute = getSchemaAttribute(schema)
+    prismaEnums.add(
+      [
+        `enum ${enumName} {`,
+        ...values.map(
+          ({ name, value }) =>
+            `  ${name}${name !== value ? ` @map("${value}")` : ''}`
+        ),
+        '',
+        `  @@map("${databaseName}")`,
+        ...(schemaAttribute ? [`  ${schemaAttribute}`] : []),
+        '}',
+        '',
+      ].join('\n')
+    )
+
+    // default: UserRole.USER or default: 'user'
+    const defaultNode = getOptionNode(optionsNode, 'default')
+    const defaultValue =
+      defaultNode &&
+      values.find((value) =>
+        defaultNode.type === 'MemberExpression'
+          ? (defaultNode.property.name || defaultNode.property.value) ===
+            value.key
+          : getStaticValue(defaultNode) === value.value
+      )
+    const map = getMapAttribute(propertyName, column.columnName)
+    return [
+      `${propertyName} ${enumName}${suffix}${
+        defaultValue ? ` @default(${defaultValue.name})` : ''
+      }${map ? ` ${map}` : ''}`,
+    ]
+  }
+
+  // Int field of a numeric enum column, with the value of its default member:
+  // default: Level.LOW → @default(0)
+  function getNumericEnumFields(declaration, column, optionsNode, suffix) {
+    const propertyName = column.name
+    const defaultNode = getOptionNode(optionsNode, 'default')
+    const member =
+      defaultNode &&
+      defaultNode.type === 'MemberExpression' &&
+      declaration.members.find(
+        (m) =>
+          m.name === (defaultNode.property.name || defaultNode.property.value)
+      )
+    const defaultValue = member ? member.value : getStaticValue(defaultNode)
+    const map = getMapAttribute(propertyName, column.columnName)
+    return [
+      `// TODO: Prisma enums only hold strings - ${propertyName} keeps the integer values of enum ${declaration.name}`,
+      `${propertyName} Int${suffix}${
+        typeof defaultValue === 'number' ? ` @default(${defaultValue})` : ''
+      }${map ? ` ${map}` : ''}`,
+    ]
+  }
+
+  // TypeORM's name of the database enum type of a column without enumName
+  function getDefaultEnumDatabaseName(tableName, column) {
+    return `${tableName}_${getColumnName(column.name, column.columnName).toLowerCase()}_enum`
+  }
+
+  // Database enum types a TypeScript enum is stored in across the entities
+  // of the project. TypeORM creates one per column unless they share an
+  // enumName.
+  function getEnumDatabaseNames(name) {
+    const databaseNames = new Set()
+    entityIndex.forEach((entity) => {
+      // Child entities are stored in the table of their parent
+      if (entity.parent && entityIndex.has(entity.parent)) return
+
+      entity.columns
+        .filter((column) => column.enum === name)
+        .forEach((column) =>
+          databaseNames.add(
+            column.enumName ||
+              getDefaultEnumDatabaseName(getTableName(entity), column)
+          )
+        )
+    })
+    return databaseNames
+  }
+
+  // Prisma enum named after a database enum type: member_status → MemberStatus
+  function toEnumTypeName(databaseName) {
+    return databaseName.replace(/(?:^|[\W_]+)(\w)/g, (match, letter) =>
+      letter.toUpperCase()
+    )
+  }
+
+  // Prisma type of a column of the entity index, for the foreign keys
+  // referencing it
+  function getColumnScalarType(column) {
+    if (column.type) return mapTypeOrmTypeToPrisma(column.type)
+    return (
+      { string: 'String', number: 'Int', boolean: 'Boolean', Date: 'DateTime' }[
+        column.tsType
+      ] || 'String'
+    )
+  }
+
+  // Native type attribute of a column of the entity index, for the foreign
+  // keys referencing it
+  function getColumnNativeType(column) {
+    const type = column.type || (column.length ? 'varchar' : null)
+    return getNativeTypeAttribute(getProvider(), type, {
+      length: column.length || undefined,
+      precision: column.precision || undefined,
+      scale: column.scale || undefined,
+    })
+  }
+
   // Extract type from property TypeScript annotation
   function extractTypeFromProperty(property) {
     if (!property.typeAnnotation) return 'String'
 
-    const typeAnnotation = property.typeAnnotation.typeAnnotation
+    let typeAnnotation = property.typeAnnotation.typeAnnotation
+
+    // string | null, and the element type of array columns: string[]
+    if (typeAnnotation.type === 'TSUnionType') {
+      const types = typeAnnotation.types.filter(
+        (type) => !['TSNullKeyword', 'TSUndefinedKeyword'].includes(type.type)
+      )
+      if (types.length === 1) typeAnnotation = types[0]
+    }
+    if (typeAnnotation.type === 'TSArrayType') {
+      typeAnnotation = typeAnnotation.elementType
+    }
 
     if (typeAnnotation.type === 'TSStringKeyword') {
       return 'String'
@@ -378,140 +1229,123 @@ module.exports = function (fileInfo, api, options) {
 
   // Transform TypeORM repository usage to Prisma client usage
   function transformRepositoryUsage() {
-    // Replace repository injection in constructors
-    root.find(j.ClassDeclaration).forEach((classPath) => {
-      // Find constructor
-      j(classPath)
-        .find(j.MethodDefinition, { kind: 'constructor' })
-        .forEach((constructorPath) => {
-          // Find repository parameter injections
-          const params = constructorPath.node.value.params
-          let hasRepositoryParam = false
-
-          params.forEach((param, index) => {
-            if (
-              param.type === 'TSParameterProperty' &&
-              param.parameter.type === 'Identifier' &&
-              param.parameter.typeAnnotation &&
-              param.parameter.typeAnnotation.typeAnnotation.type ===
-                'TSTypeReference'
-            ) {
-              const typeRef = param.parameter.typeAnnotation.typeAnnotation
-              const typeName = typeRef.typeName.name
-
-              // Check if this is a Repository injection
-              if (typeName === 'Repository') {
-                hasRepositoryParam = true
-
-                // Get the entity type from generic param
-                let entityType = 'Unknown'
-                if (
-                  typeRef.typeParameters &&
-                  typeRef.typeParameters.params &&
-                  typeRef.typeParameters.params.length > 0
-                ) {
-                  const typeParam = typeRef.typeParameters.params[0]
-                  if (typeParam.type === 'TSTypeReference') {
-                    entityType = typeParam.typeName.name
-                  }
-                }
-
-                // Replace repository parameter with prisma client parameter
-                params[index] = j.identifier('private prisma')
-                params[index].typeAnnotation = j.tsTypeAnnotation(
-                  j.tsTypeReference(j.identifier('PrismaService'))
-                )
-              }
-            }
-          })
-
-          if (hasRepositoryParam) {
-            fileChanged.services = true
-          }
-        })
+    convertExtendedRepositories()
+    repositoryProperties = collectRepositoryProperties()
+    customRepositoryProperties = collectCustomRepositoryProperties()
+    connectionProperties = collectConnectionProperties()
+    transformTransactions()
+    repositoryVariables = collectRepositoryVariables()
+    const findOptionsTranslator = createFindOptionsTranslator(j, root, {
+      getRelation: (entityName, propertyName) =>
+        getRelation(entityIndex.get(entityName), propertyName),
+      provider: getProvider(),
+    })
+    const queryBuilderTranslator = createQueryBuilderTranslator(j, {
+      entityIndex,
+      translateWhere: findOptionsTranslator.translateWhere,
+      translateLike: findOptionsTranslator.translateLike,
     })
 
     // Transform repository method calls to prisma client calls
     root.find(j.CallExpression).forEach((callPath) => {
       const call = callPath.node
       const callee = call.callee
+      normalizeManagerCall(callPath)
 
       // Check if it's a method call on a repository
-      if (
-        callee.type === 'MemberExpression' &&
-        callee.object.type === 'MemberExpression' &&
-        callee.object.property.name === 'repository'
-      ) {
+      if (isRepositoryCall(callPath)) {
+        resolvedEntities.set(call, resolveRepositoryEntity(callPath))
+        if (!prismaClients.has(call) && getRepositoryClient(callPath)) {
+          prismaClients.set(call, getRepositoryClient(callPath))
+        }
+
         // Get repository method name and transform to Prisma equivalent
         const methodName = callee.property.name
 
+        if (SOFT_DELETE_FILTERED_METHODS.includes(methodName)) {
+          excludeSoftDeleted(callPath, methodName)
+        }
+        selectChildEntityRows(callPath, methodName)
+
         // Replace with corresponding Prisma client method
         switch (methodName) {
           case 'find':
             // this.repository.find() → this.prisma.model.findMany()
-            callee.object = j.memberExpression(
-              j.memberExpression(j.thisExpression(), j.identifier('prisma')),
-              j.identifier(getModelNameFromContext(callPath) || 'model')
-            )
+            callee.object = getModelDelegate(callPath)
             callee.property = j.identifier('findMany')
+
+            // Translate where, relations, order, select, ... into Prisma arguments
+            transformFindOptions(findOptionsTranslator, callPath)
             break
 
           case 'findOne':
-            // this.repository.findOne() → this.prisma.model.findUnique()
-            callee.object = j.memberExpression(
-              j.memberExpression(j.thisExpression(), j.identifier('prisma')),
-              j.identifier(getModelNameFromContext(callPath) || 'model')
-            )
-            callee.property = j.identifier('findUnique')
+          case 'findOneOrFail':
+            // this.repository.findOne() → this.prisma.model.findUnique() or findFirst()
+            // this.repository.findOneOrFail() → this.prisma.model.findUniqueOrThrow() or findFirstOrThrow()
+            callee.object = getModelDelegate(callPath)
 
             // Transform arguments - findOne({ where: { id } }) → findUnique({ where: { id } })
-            transformFindOneArguments(call.arguments)
+            transformFindOptions(findOptionsTranslator, callPath)
+            callee.property = j.identifier(
+              getFindOneMethod(callPath, methodName === 'findOneOrFail')
+            )
             break
 
           case 'findOneBy':
+          case 'findOneByOrFail':
             // this.repository.findOneBy({ id }) → this.prisma.model.findUnique({ where: { id } })
-            callee.object = j.memberExpression(
-              j.memberExpression(j.thisExpression(), j.identifier('prisma')),
-              j.identifier(getModelNameFromContext(callPath) || 'model')
-            )
-            callee.property = j.identifier('findUnique')
+            callee.object = getModelDelegate(callPath)
 
             // Wrap the criteria object in a where property
             if (call.arguments.length > 0) {
               call.arguments[0] = j.objectExpression([
-                j.property('init', j.identifier('where'), call.arguments[0]),
+                j.property(
+                  'init',
+                  j.identifier('where'),
+                  findOptionsTranslator.translateWhere(
+                    call.arguments[0],
+                    getModelNameFromContext(callPath)
+                  )
+                ),
               ])
             }
+            callee.property = j.identifier(
+              getFindOneMethod(callPath, methodName === 'findOneByOrFail')
+            )
             break
 
           case 'findBy':
+          case 'countBy':
             // this.repository.findBy({ isActive: true }) → this.prisma.model.findMany({ where: { isActive: true } })
-            callee.object = j.memberExpression(
-              j.memberExpression(j.thisExpression(), j.identifier('prisma')),
-              j.identifier(getModelNameFromContext(callPath) || 'model')
+            // this.repository.countBy({ isActive: true }) → this.prisma.model.count({ where: { isActive: true } })
+            callee.object = getModelDelegate(callPath)
+            callee.property = j.identifier(
+              methodName === 'countBy' ? 'count' : 'findMany'
             )
-            callee.property = j.identifier('findMany')
 
             // Wrap the criteria object in a where property
             if (call.arguments.length > 0) {
               call.arguments[0] = j.objectExpression([
-                j.property('init', j.identifier('where'), call.arguments[0]),
+                j.property(
+                  'init',
+                  j.identifier('where'),
+                  findOptionsTranslator.translateWhere(
+                    call.arguments[0],
+                    getModelNameFromContext(callPath)
+                  )
+                ),
               ])
             }
             break
 
           case 'save':
             // this.repository.save(entity) → this.prisma.model.create/update()
-            callee.object = j.memberExpression(
-              j.memberExpression(j.thisExpression(), j.identifier('prisma')),
-              j.identifier(getModelNameFromContext(callPath) || 'model')
-            )
+            callee.object = getModelDelegate(callPath)
 
             // Add comment about potential manual review - save could be create or update
-            j(callPath).insertBefore(
-              j.commentLine(
-                ' NOTE: TypeORM `save` could be either create or update. Verify correct behavior.'
-              )
+            addComment(
+              callPath,
+              ' NOTE: TypeORM `save` could be either create or update. Verify correct behavior.'
             )
 
             // Determine if this is a create or update operation based on context
@@ -523,8 +1357,9 @@ module.exports = function (fileInfo, api, options) {
             ) {
               const objProperties = call.arguments[0].properties
               for (const prop of objProperties) {
+                // Spread elements and computed keys cannot be the id
                 if (
-                  prop.key.name === 'id' &&
+                  getPropertyName(prop) === 'id' &&
                   prop.value.type !== 'NullLiteral' &&
                   prop.value.value !== undefined
                 ) {
@@ -543,7 +1378,7 @@ module.exports = function (fileInfo, api, options) {
 
               // Find and extract the id property
               const idPropIndex = dataObj.properties.findIndex(
-                (p) => p.key.name === 'id'
+                (p) => getPropertyName(p) === 'id'
               )
               if (idPropIndex !== -1) {
                 idValue = dataObj.properties[idPropIndex].value
@@ -565,11 +1400,9 @@ module.exports = function (fileInfo, api, options) {
               // If no ID, it's a create operation
               callee.property = j.identifier('create')
 
-              // If only one argument and it's an object, wrap it in data property
-              if (
-                call.arguments.length === 1 &&
-                call.arguments[0].type === 'ObjectExpression'
-              ) {
+              // Wrap the saved object or variable in a data property:
+              // save(user) → create({ data: user })
+              if (call.arguments.length === 1) {
                 call.arguments[0] = j.objectExpression([
                   j.property('init', j.identifier('data'), call.arguments[0]),
                 ])
@@ -577,280 +1410,2323 @@ module.exports = function (fileInfo, api, options) {
             }
             break
 
-          case 'update':
+          case 'update': {
             // this.repository.update(id, data) → this.prisma.model.update({ where: { id }, data })
-            callee.object = j.memberExpression(
-              j.memberExpression(j.thisExpression(), j.identifier('prisma')),
-              j.identifier(getModelNameFromContext(callPath) || 'model')
-            )
-            callee.property = j.identifier('update')
+            // this.repository.update({ isActive: true }, data) → this.prisma.model.updateMany({ where: { isActive: true }, data })
+            const [criteria, data] = call.arguments
+            const isMany = isManyCriteria(callPath, criteria)
+            callee.object = getModelDelegate(callPath)
+            callee.property = j.identifier(isMany ? 'updateMany' : 'update')
 
-            // Transform arguments from (id, data) to { where: { id }, data }
             if (call.arguments.length >= 2) {
-              const idArg = call.arguments[0]
-              const dataArg = call.arguments[1]
-
               call.arguments = [
-                j.objectExpression([
-                  j.property(
-                    'init',
-                    j.identifier('where'),
-                    j.objectExpression([
-                      j.property('init', j.identifier('id'), idArg),
-                    ])
+                createObject({
+                  where: findOptionsTranslator.translateWhere(
+                    getCriteriaWhere(callPath, criteria),
+                    getModelNameFromContext(callPath)
                   ),
-                  j.property('init', j.identifier('data'), dataArg),
-                ]),
+                  data,
+                }),
               ]
             }
+            if (isMany) renameAffectedReads(callPath)
             break
+          }
 
           case 'delete':
-          case 'remove':
+          case 'remove': {
             // this.repository.delete(id) → this.prisma.model.delete({ where: { id } })
-            callee.object = j.memberExpression(
-              j.memberExpression(j.thisExpression(), j.identifier('prisma')),
-              j.identifier(getModelNameFromContext(callPath) || 'model')
-            )
-            callee.property = j.identifier('delete')
+            // this.repository.delete([1, 2]) → this.prisma.model.deleteMany({ where: { id: { in: [1, 2] } } })
+            const isMany =
+              methodName === 'delete' &&
+              isManyCriteria(callPath, call.arguments[0])
+            callee.object = getModelDelegate(callPath)
+            callee.property = j.identifier(isMany ? 'deleteMany' : 'delete')
 
             // Transform arguments
-            transformDeleteArguments(call.arguments)
+            transformDeleteArguments(callPath, call.arguments)
+            transformFindOptions(findOptionsTranslator, callPath)
+            if (isMany) renameAffectedReads(callPath)
             break
+          }
 
           case 'count':
             // this.repository.count() → this.prisma.model.count()
-            callee.object = j.memberExpression(
-              j.memberExpression(j.thisExpression(), j.identifier('prisma')),
-              j.identifier(getModelNameFromContext(callPath) || 'model')
-            )
+            callee.object = getModelDelegate(callPath)
             callee.property = j.identifier('count')
 
             // If argument is an object but not wrapped in 'where', add it
-            if (
-              call.arguments.length > 0 &&
-              call.arguments[0].type === 'ObjectExpression'
-            ) {
-              const hasWhere = call.arguments[0].properties.some(
-                (p) => p.key.name === 'where' || p.key.value === 'where'
+            transformFindOptions(findOptionsTranslator, callPath)
+            break
+
+          case 'findAndCount':
+          case 'findAndCountBy': {
+            // this.repository.findAndCount(options)
+            // → this.prisma.$transaction([this.prisma.model.findMany(options), this.prisma.model.count({ where })])
+            if (methodName === 'findAndCountBy' && call.arguments.length > 0) {
+              call.arguments[0] = createObject({
+                where: findOptionsTranslator.translateWhere(
+                  call.arguments[0],
+                  getModelNameFromContext(callPath)
+                ),
+              })
+            } else {
+              transformFindOptions(findOptionsTranslator, callPath)
+            }
+
+            // The total count ignores pagination, so only the criteria are kept
+            const where = getObjectProperty(call.arguments[0], 'where')
+            callPath.replace(
+              createBatch(callPath, [
+                j.callExpression(
+                  j.memberExpression(
+                    getModelDelegate(callPath),
+                    j.identifier('findMany')
+                  ),
+                  call.arguments
+                ),
+                j.callExpression(
+                  j.memberExpression(
+                    getModelDelegate(callPath),
+                    j.identifier('count')
+                  ),
+                  where ? [createObject({ where: cloneNode(where) })] : []
+                ),
+              ])
+            )
+            break
+          }
+
+          case 'insert': {
+            // this.repository.insert(data) → this.prisma.model.create({ data })
+            // this.repository.insert([a, b]) → this.prisma.model.createMany({ data: [a, b] })
+            const data = call.arguments[0]
+            const isBulk = data && data.type === 'ArrayExpression'
+
+            callee.object = getModelDelegate(callPath)
+            callee.property = j.identifier(isBulk ? 'createMany' : 'create')
+            call.arguments = data ? [createObject({ data })] : []
+
+            if (data && !isBulk && data.type !== 'ObjectExpression') {
+              addComment(
+                callPath,
+                ' NOTE: TypeORM `insert` also accepts arrays - use createMany if this value is an array.'
+              )
+            }
+            if (isResultUsed(callPath)) {
+              addComment(
+                callPath,
+                ` NOTE: Prisma ${
+                  isBulk
+                    ? 'createMany returns { count }'
+                    : 'create returns the created record'
+                } instead of TypeORM's InsertResult.`
               )
+            }
+            break
+          }
 
-              if (!hasWhere) {
-                call.arguments[0] = j.objectExpression([
-                  j.property('init', j.identifier('where'), call.arguments[0]),
-                ])
-              }
+          case 'upsert': {
+            // this.repository.upsert(data, ['email'])
+            // → this.prisma.model.upsert({ where: { email: data.email }, create: data, update: data })
+            const [data, conflictOptions] = call.arguments
+            const conflictPaths = getConflictPaths(conflictOptions)
+
+            if (!data || data.type === 'ArrayExpression' || !conflictPaths) {
+              addComment(
+                callPath,
+                ' TODO: Migrate TypeORM upsert manually - Prisma upserts a single record by a unique field; use a loop or $transaction for arrays'
+              )
+              break
+            }
+
+            const getConflictValue = (field) => {
+              const value = getObjectProperty(data, field)
+              if (value) return cloneNode(value)
+              return j.memberExpression(cloneNode(data), j.identifier(field))
+            }
+
+            // Several conflict columns form a compound unique key: email_tenantId
+            const where =
+              conflictPaths.length === 1
+                ? createObject({
+                    [conflictPaths[0]]: getConflictValue(conflictPaths[0]),
+                  })
+                : createObject({
+                    [conflictPaths.join('_')]: createObject(
+                      Object.fromEntries(
+                        conflictPaths.map((field) => [
+                          field,
+                          getConflictValue(field),
+                        ])
+                      )
+                    ),
+                  })
+
+            callee.object = getModelDelegate(callPath)
+            callee.property = j.identifier('upsert')
+            call.arguments = [
+              createObject({ where, create: data, update: cloneNode(data) }),
+            ]
+
+            if (isResultUsed(callPath)) {
+              addComment(
+                callPath,
+                " NOTE: Prisma upsert returns the record instead of TypeORM's InsertResult."
+              )
             }
             break
+          }
 
-          case 'createQueryBuilder':
-            // Query builders require more complex transformation to Prisma
-            // Mark for manual review
-            // Add a comment indicating this needs manual attention
-            j(callPath).insertBefore(
-              j.commentLine(
-                ' TODO: Replace TypeORM query builder with Prisma equivalent - manual conversion needed'
+          case 'increment':
+          case 'decrement': {
+            // this.repository.increment({ id }, 'views', 1)
+            // → this.prisma.model.updateMany({ where: { id }, data: { views: { increment: 1 } } })
+            const [criteria, column, value] = call.arguments
+
+            if (!criteria || !column || !isStringLiteral(column)) {
+              addComment(
+                callPath,
+                ` TODO: Migrate TypeORM ${methodName} manually - use update with { data: { column: { ${methodName}: value } } }`
+              )
+              break
+            }
+
+            callee.object = getModelDelegate(callPath)
+            callee.property = j.identifier('updateMany')
+            renameAffectedReads(callPath)
+            call.arguments = [
+              createObject({
+                where: findOptionsTranslator.translateWhere(
+                  criteria,
+                  getModelNameFromContext(callPath)
+                ),
+                data: createObject({
+                  [column.value]: createObject({
+                    [methodName]: value || j.numericLiteral(1),
+                  }),
+                }),
+              }),
+            ]
+            break
+          }
+
+          case 'exist':
+          case 'exists':
+          case 'existsBy': {
+            // this.repository.exists(options)
+            // → this.prisma.model.count({ where }).then((count) => count > 0)
+            let where = null
+            if (methodName === 'existsBy') {
+              where = call.arguments[0]
+                ? findOptionsTranslator.translateWhere(
+                    call.arguments[0],
+                    getModelNameFromContext(callPath)
+                  )
+                : null
+            } else {
+              transformFindOptions(findOptionsTranslator, callPath)
+              where = getObjectProperty(call.arguments[0], 'where')
+            }
+
+            callPath.replace(
+              j.callExpression(
+                j.memberExpression(
+                  j.callExpression(
+                    j.memberExpression(
+                      getModelDelegate(callPath),
+                      j.identifier('count')
+                    ),
+                    where ? [createObject({ where })] : []
+                  ),
+                  j.identifier('then')
+                ),
+                [
+                  j.arrowFunctionExpression(
+                    [j.identifier('count')],
+                    j.binaryExpression(
+                      '>',
+                      j.identifier('count'),
+                      j.numericLiteral(0)
+                    )
+                  ),
+                ]
+              )
+            )
+            break
+          }
+
+          case 'softDelete':
+          case 'restore': {
+            // this.repository.softDelete(id) → this.prisma.model.updateMany({ where: { id }, data: { deletedAt: new Date() } })
+            // this.repository.restore(id) → this.prisma.model.updateMany({ where: { id }, data: { deletedAt: null } })
+            callee.object = getModelDelegate(callPath)
+            callee.property = j.identifier('updateMany')
+            renameAffectedReads(callPath)
+
+            transformDeleteArguments(callPath, call.arguments)
+            const options = call.arguments[0] || createObject({})
+            const where = getObjectProperty(options, 'where')
+            const column = getSoftDeleteColumn(callPath)
+            call.arguments = [
+              createObject({
+                where: where
+                  ? findOptionsTranslator.translateWhere(
+                      where,
+                      getModelNameFromContext(callPath)
+                    )
+                  : createObject({}),
+                data: createObject({
+                  [column || 'deletedAt']:
+                    methodName === 'softDelete'
+                      ? j.newExpression(j.identifier('Date'), [])
+                      : j.nullLiteral(),
+                }),
+              }),
+            ]
+            if (!column) {
+              addComment(
+                callPath,
+                ' NOTE: Prisma has no built-in soft delete. Verify the name of the delete date column.'
+              )
+            }
+            break
+          }
+
+          case 'softRemove':
+          case 'recover': {
+            // this.repository.softRemove(user) → this.prisma.model.update({ where: { id: user.id }, data: { deletedAt: new Date() } })
+            const entity = call.arguments[0]
+            if (!entity || entity.type === 'ArrayExpression') {
+              addComment(
+                callPath,
+                ` TODO: Migrate TypeORM ${methodName} manually - use updateMany on the delete date column`
+              )
+              break
+            }
+
+            const idValue =
+              getObjectProperty(entity, 'id') ||
+              j.memberExpression(cloneNode(entity), j.identifier('id'))
+            const column = getSoftDeleteColumn(callPath)
+            callee.object = getModelDelegate(callPath)
+            callee.property = j.identifier('update')
+            call.arguments = [
+              createObject({
+                where: createObject({ id: idValue }),
+                data: createObject({
+                  [column || 'deletedAt']:
+                    methodName === 'softRemove'
+                      ? j.newExpression(j.identifier('Date'), [])
+                      : j.nullLiteral(),
+                }),
+              }),
+            ]
+            if (!column) {
+              addComment(
+                callPath,
+                ' NOTE: Prisma has no built-in soft delete. Verify the name of the delete date column.'
+              )
+            }
+            break
+          }
+
+          case 'preload': {
+            // this.repository.preload(data)
+            // → this.prisma.model.findUnique({ where: { id: data.id } }).then((entity) => entity && { ...entity, ...data })
+            const data = call.arguments[0]
+            if (!data) break
+
+            const idValue =
+              getObjectProperty(data, 'id') ||
+              j.memberExpression(cloneNode(data), j.identifier('id'))
+
+            callPath.replace(
+              j.callExpression(
+                j.memberExpression(
+                  j.callExpression(
+                    j.memberExpression(
+                      getModelDelegate(callPath),
+                      j.identifier('findUnique')
+                    ),
+                    [
+                      createObject({
+                        where: createObject({ id: cloneNode(idValue) }),
+                      }),
+                    ]
+                  ),
+                  j.identifier('then')
+                ),
+                [
+                  j.arrowFunctionExpression(
+                    [j.identifier('entity')],
+                    j.logicalExpression(
+                      '&&',
+                      j.identifier('entity'),
+                      j.objectExpression([
+                        j.spreadElement(j.identifier('entity')),
+                        ...(data.type === 'ObjectExpression'
+                          ? data.properties
+                          : [j.spreadElement(data)]),
+                      ])
+                    )
+                  ),
+                ]
+              )
+            )
+            break
+          }
+
+          case 'create': {
+            // TypeORM's create only instantiates the entity, without a database call:
+            // this.repository.create(dto) → { ...dto }
+            const data = call.arguments[0]
+            if (!data) {
+              callPath.replace(createObject({}))
+            } else if (
+              data.type === 'ObjectExpression' ||
+              data.type === 'ArrayExpression'
+            ) {
+              callPath.replace(data)
+            } else {
+              callPath.replace(j.objectExpression([j.spreadElement(data)]))
+            }
+            break
+          }
+
+          case 'merge':
+            // this.repository.merge(user, dto) → Object.assign(user, dto)
+            callPath.replace(
+              j.callExpression(
+                j.memberExpression(
+                  j.identifier('Object'),
+                  j.identifier('assign')
+                ),
+                call.arguments
+              )
+            )
+            break
+
+          case 'clear':
+            // this.repository.clear() → this.prisma.model.deleteMany()
+            callee.object = getModelDelegate(callPath)
+            callee.property = j.identifier('deleteMany')
+            renameAffectedReads(callPath)
+            addComment(
+              callPath,
+              ' NOTE: TypeORM `clear` truncates the table, Prisma deleteMany deletes all rows instead.'
+            )
+            break
+
+          case 'query': {
+            // this.repository.query(sql, [a, b]) → this.prisma.$queryRawUnsafe(sql, a, b)
+            const [sql, parameters] = call.arguments
+            const values = !parameters
+              ? []
+              : parameters.type === 'ArrayExpression'
+                ? parameters.elements
+                : [j.spreadElement(parameters)]
+
+            callee.object = getPrismaClient(callPath)
+            callee.property = j.identifier('$queryRawUnsafe')
+            call.arguments = [sql, ...values]
+            addComment(
+              callPath,
+              ' NOTE: Verify the parameter placeholders of this raw query, or use the $queryRaw tagged template instead.'
+            )
+            break
+          }
+
+          case 'sum':
+          case 'average':
+          case 'minimum':
+          case 'maximum': {
+            // this.repository.sum('price', { isActive: true })
+            // → this.prisma.model.aggregate({ _sum: { price: true }, where: { isActive: true } }).then((result) => result._sum.price)
+            const [column, criteria] = call.arguments
+            const aggregate = AGGREGATE_FUNCTIONS[methodName]
+
+            if (!column || !isStringLiteral(column)) {
+              addComment(
+                callPath,
+                ` TODO: Migrate TypeORM ${methodName} manually - use aggregate({ ${aggregate}: { column: true } })`
+              )
+              break
+            }
+
+            const aggregateArgs = {
+              [aggregate]: createObject({
+                [column.value]: j.booleanLiteral(true),
+              }),
+            }
+            if (criteria) {
+              aggregateArgs.where = findOptionsTranslator.translateWhere(
+                criteria,
+                getModelNameFromContext(callPath)
+              )
+            }
+
+            callPath.replace(
+              j.callExpression(
+                j.memberExpression(
+                  j.callExpression(
+                    j.memberExpression(
+                      getModelDelegate(callPath),
+                      j.identifier('aggregate')
+                    ),
+                    [createObject(aggregateArgs)]
+                  ),
+                  j.identifier('then')
+                ),
+                [
+                  j.arrowFunctionExpression(
+                    [j.identifier('result')],
+                    j.memberExpression(
+                      j.memberExpression(
+                        j.identifier('result'),
+                        j.identifier(aggregate)
+                      ),
+                      j.identifier(column.value)
+                    )
+                  ),
+                ]
               )
             )
+            break
+          }
+
+          case 'createQueryBuilder':
+            transformQueryBuilder(queryBuilderTranslator, callPath)
+            break
 
-            // Add example of how to replace query builder with Prisma
-            j(callPath).insertBefore(
-              j.commentBlock(`
- Example Prisma replacement for query builder:
- 
- TypeORM:
- const users = await this.repository
-   .createQueryBuilder('user')
-   .leftJoinAndSelect('user.profile', 'profile')
-   .where('user.isActive = :isActive', { isActive: true })
-   .getMany();
- 
- Prisma:
- const users = await this.prisma.user.findMany({
-   where: {
-     isActive: true
-   },
-   include: {
-     profile: true
-   }
- });
-`)
+          default:
+            // Repository methods without a Prisma equivalent (hasId, getId, extend, ...)
+            addComment(
+              callPath,
+              ` TODO: TypeORM repository method \`${methodName}\` has no Prisma equivalent - migrate manually`
             )
             break
+        }
+
+        fileChanged.services = true
+      }
+    })
+
+    if (removeUnusedRepositoryAliases()) {
+      fileChanged.services = true
+    }
+
+    convertCustomRepositoryClasses()
+
+    // Replace the injected repositories with the Prisma service
+    if (replaceRepositoryInjections()) {
+      fileChanged.services = true
+    }
+    if (unwrapCustomRepositoryInjections()) {
+      fileChanged.services = true
+    }
+    if (
+      removeUnusedImports('@nestjs/typeorm', [
+        'InjectRepository',
+        ...CONNECTION_DECORATORS,
+      ])
+    ) {
+      fileChanged.services = true
+    }
+    if (
+      removeUnusedImports('typeorm', [
+        ...CONNECTION_TYPES,
+        'EntityRepository',
+        'Repository',
+        'QueryRunner',
+        'getManager',
+        'getConnection',
+      ])
+    ) {
+      fileChanged.services = true
+    }
+
+    // Drop find operators from the typeorm import once they are all translated
+    if (findOptionsTranslator.pruneImports()) {
+      fileChanged.services = true
+    }
+
+    if (importPrismaEnums()) {
+      fileChanged.services = true
+    }
+
+    servicesMigrated = true
+  }
+
+  // TypeScript enums that only mirror a database enum, with every member
+  // named after its value, are replaced by the enum of the Prisma client.
+  // Other enums of enum columns hold database values where Prisma expects
+  // the names of its enum values, which is left for review, like enums
+  // stored in several database enum types. Entities keep the enums their
+  // decorators reference.
+  function importPrismaEnums() {
+    const mirrored = new Set()
+    const mapped = new Set()
+    const split = new Set()
+    entityIndex.forEach((entity) => {
+      entity.columns.forEach((column) => {
+        const declaration = column.enum && enumIndex.get(column.enum)
+        if (!declaration) return
+        if (
+          declaration.members.every(
+            (member) => typeof member.value === 'string'
+          ) &&
+          getEnumDatabaseNames(declaration.name).size > 1
+        ) {
+          split.add(declaration.name)
+        } else if (
+          declaration.members.every((member) => member.value === member.name)
+        ) {
+          mirrored.add(declaration.name)
+        } else if (
+          declaration.members.every(
+            (member) => typeof member.value === 'string'
+          )
+        ) {
+          mapped.add(declaration.name)
+        }
+      })
+    })
+    if (
+      mirrored.size + mapped.size + split.size === 0 ||
+      root
+        .find(j.Decorator)
+        .filter(
+          (decoratorPath) => getDecoratorName(decoratorPath.node) === 'Entity'
+        )
+        .size() > 0
+    ) {
+      return false
+    }
+
+    // Whether a relative import source is the file declaring the enum
+    const isDeclaringFile = (source, name) => {
+      const declared = path
+        .resolve(enumIndex.get(name).file)
+        .replace(/\.tsx?$/, '')
+      const imported = path.resolve(path.dirname(fileInfo.path), source)
+      return declared === imported || declared === path.join(imported, 'index')
+    }
+
+    let changed = false
+    root.find(j.ImportDeclaration).forEach((importPath) => {
+      const source = importPath.node.source.value
+      if (typeof source !== 'string' || !source.startsWith('.')) return
+
+      importPath.node.specifiers
+        .filter(
+          (specifier) =>
+            specifier.type === 'ImportSpecifier' &&
+            mapped.has(specifier.imported.name) &&
+            isDeclaringFile(source, specifier.imported.name)
+        )
+        .forEach((specifier) => {
+          addComment(
+            importPath,
+            ` TODO: Prisma expects the names of the ${specifier.imported.name} values, not their database values - use the ${specifier.imported.name} enum of @prisma/client in queries`
+          )
+          changed = true
+        })
+
+      importPath.node.specifiers
+        .filter(
+          (specifier) =>
+            specifier.type === 'ImportSpecifier' &&
+            split.has(specifier.imported.name) &&
+            isDeclaringFile(source, specifier.imported.name)
+        )
+        .forEach((specifier) => {
+          const prismaEnums = [
+            ...getEnumDatabaseNames(specifier.imported.name),
+          ].map(toEnumTypeName)
+          addComment(
+            importPath,
+            ` TODO: ${specifier.imported.name} is stored in several database enum types - use the ${prismaEnums.join(', ')} enums of @prisma/client in queries`
+          )
+          changed = true
+        })
+
+      const moved = importPath.node.specifiers.filter(
+        (specifier) =>
+          specifier.type === 'ImportSpecifier' &&
+          specifier.local.name === specifier.imported.name &&
+          mirrored.has(specifier.imported.name) &&
+          isDeclaringFile(source, specifier.imported.name)
+      )
+      if (moved.length === 0) return
+
+      importPath.node.specifiers = importPath.node.specifiers.filter(
+        (specifier) => !moved.includes(specifier)
+      )
+      if (importPath.node.specifiers.length === 0) j(importPath).remove()
+      moved.forEach((specifier) =>
+        addImport(specifier.imported.name, '@prisma/client')
+      )
+      changed = true
+    })
+
+    return changed
+  }
+
+  // Rewrite the transactions of data sources, entity managers and query
+  // runners into interactive transactions of the Prisma client
+  function transformTransactions() {
+    transactionTranslator = createTransactionTranslator(j, root, {
+      isConnection,
+      createClient: () => getPrismaClient(),
+    })
+
+    const { collapsed, messages } = transactionTranslator.collapseQueryRunners()
+    messages.forEach(({ path, message }) => addComment(path, ` ${message}`))
+    if (collapsed > 0) fileChanged.services = true
+
+    root.find(j.CallExpression).forEach((callPath) => {
+      const callMessages =
+        transactionTranslator.transformTransactionCall(callPath)
+      if (!callMessages) return
+
+      fileChanged.services = true
+      callMessages.forEach((message) => addComment(callPath, ` ${message}`))
+    })
+  }
+
+  // @Injectable()
+  function createInjectableDecorator() {
+    addImport('Injectable', '@nestjs/common')
+    return j.decorator(j.callExpression(j.identifier('Injectable'), []))
+  }
+
+  // Class member for a property of the object passed to .extend(): methods
+  // stay methods, so that `this` is the class
+  function toClassMember(property) {
+    const key = property.key
+    if (property.computed) return null
+
+    if (property.type === 'ObjectMethod') {
+      const method = j.classMethod(
+        property.kind === 'method' ? 'method' : property.kind,
+        key,
+        property.params,
+        property.body
+      )
+      method.async = property.async
+      method.generator = property.generator
+      method.returnType = property.returnType
+      method.comments = property.comments
+      return method
+    }
+
+    const value = property.value
+    if (
+      value.type === 'FunctionExpression' ||
+      value.type === 'ArrowFunctionExpression'
+    ) {
+      const body =
+        value.body.type === 'BlockStatement'
+          ? value.body
+          : j.blockStatement([j.returnStatement(value.body)])
+      const method = j.classMethod('method', key, value.params, body)
+      method.async = value.async
+      method.generator = Boolean(value.generator)
+      method.returnType = value.returnType
+      method.comments = property.comments
+      return method
+    }
+
+    const classProperty = j.classProperty(key, value)
+    classProperty.comments = property.comments
+    return classProperty
+  }
+
+  // const UserRepository = dataSource.getRepository(User).extend({ ... })
+  //   → @Injectable() class UserRepository { ... }
+  // The methods inherited from Repository are then rewritten like those of
+  // custom repository classes.
+  function convertExtendedRepositories() {
+    root.find(j.VariableDeclarator).forEach((declaratorPath) => {
+      const { id, init } = declaratorPath.node
+      const repository = customRepositories.get(id.name)
+      if (
+        !repository ||
+        repository.kind !== 'extend' ||
+        repository.file !== fileInfo.path ||
+        !init ||
+        init.type !== 'CallExpression'
+      ) {
+        return
+      }
+
+      const declarationPath = declaratorPath.parent
+      const statementPath =
+        declarationPath.parent.node.type === 'ExportNamedDeclaration'
+          ? declarationPath.parent
+          : declarationPath
+      const members = init.arguments[0].properties.map(toClassMember)
+      if (
+        declarationPath.node.declarations.length !== 1 ||
+        statementPath.parent.node.type !== 'Program' ||
+        members.includes(null)
+      ) {
+        addComment(
+          declaratorPath,
+          ` TODO: Turn ${id.name} into an @Injectable() class using PrismaService`
+        )
+        return
+      }
+
+      const classNode = j.classDeclaration(
+        j.identifier(id.name),
+        j.classBody(members)
+      )
+      classNode.decorators = [createInjectableDecorator()]
+      customRepositoryClasses.set(classNode, repository)
+
+      // The data source the repository was taken from may be left unused
+      const getRepository = init.callee.object
+      const source =
+        getRepository.callee.type === 'MemberExpression' &&
+        getRepository.callee.object.type === 'Identifier'
+          ? getRepository.callee.object.name
+          : null
+
+      if (statementPath === declarationPath) {
+        classNode.comments = declarationPath.node.comments
+        declarationPath.replace(classNode)
+      } else {
+        statementPath.node.declaration = classNode
+      }
+      if (source) {
+        root.find(j.ImportDeclaration).forEach((importPath) => {
+          removeUnusedImports(importPath.node.source.value, [source])
+        })
+      }
+      fileChanged.repositories = true
+    })
+  }
+
+  // Whether a statement is a super(...) call
+  function isSuperCall(statement) {
+    return (
+      statement.type === 'ExpressionStatement' &&
+      statement.expression.type === 'CallExpression' &&
+      statement.expression.callee.type === 'Super'
+    )
+  }
 
-          // Add more TypeORM methods as needed
+  // Turn the custom repository classes of the file into plain injectable
+  // classes: @EntityRepository(User) class UserRepository extends
+  // Repository<User> → @Injectable() class UserRepository. Their PrismaService
+  // is injected by replaceRepositoryInjections.
+  function convertCustomRepositoryClasses() {
+    customRepositoryClasses.forEach((repository, classNode) => {
+      if (repository.kind !== 'class') return
+
+      const decorators = (classNode.decorators || []).filter(
+        (decorator) => getDecoratorName(decorator) !== 'EntityRepository'
+      )
+      if (
+        !decorators.some(
+          (decorator) => getDecoratorName(decorator) === 'Injectable'
+        )
+      ) {
+        decorators.unshift(createInjectableDecorator())
+      }
+      classNode.decorators = decorators
+      classNode.superClass = null
+      classNode.superTypeParameters = null
+
+      // constructor(dataSource: DataSource) { super(User, dataSource.createEntityManager()) }
+      const constructor = classNode.body.body.find(
+        (member) => member.kind === 'constructor'
+      )
+      if (constructor) {
+        const method = constructor.value || constructor
+        method.body.body = method.body.body.filter(
+          (statement) => !isSuperCall(statement)
+        )
+        method.params = method.params.filter(
+          (param) =>
+            param.type !== 'Identifier' ||
+            countReferences(j, j(method.body), param.name) > 0
+        )
+        if (method.params.length === 0 && method.body.body.length === 0) {
+          classNode.body.body = classNode.body.body.filter(
+            (member) => member !== constructor
+          )
+        }
+      }
+
+      fileChanged.repositories = true
+    })
+  }
+
+  // Custom repositories stay injected where their own methods are still
+  // called, as plain providers without @InjectRepository(). Imports of the
+  // ones replaced by the Prisma service are dropped.
+  function unwrapCustomRepositoryInjections() {
+    let unwrapped = false
+    const repositoryNames = new Set()
+    const isInjectRepository = (decorator) =>
+      getDecoratorName(decorator) === 'InjectRepository'
+
+    root.find(j.ClassDeclaration).forEach((classPath) => {
+      const properties = customRepositoryProperties.get(classPath.node)
+      if (!properties || properties.size === 0) return
+      properties.forEach((repository) => repositoryNames.add(repository.name))
+
+      classPath.node.body.body.forEach((member) => {
+        const targets =
+          member.kind === 'constructor'
+            ? (member.value || member).params.filter(
+                (param) =>
+                  param.type === 'TSParameterProperty' &&
+                  properties.has(param.parameter.name)
+              )
+            : member.type === 'ClassProperty' &&
+                member.key &&
+                properties.has(member.key.name)
+              ? [member]
+              : []
+        targets.forEach((target) => {
+          // Decorators sit on the parameter property or on its parameter
+          ;[target, target.parameter].filter(Boolean).forEach((holder) => {
+            if ((holder.decorators || []).some(isInjectRepository)) {
+              holder.decorators = holder.decorators.filter(
+                (decorator) => !isInjectRepository(decorator)
+              )
+              unwrapped = true
+            }
+          })
+        })
+      })
+    })
+
+    if (repositoryNames.size > 0) {
+      root.find(j.ImportDeclaration).forEach((importPath) => {
+        if (
+          removeUnusedImports(importPath.node.source.value, [
+            ...repositoryNames,
+          ])
+        ) {
+          unwrapped = true
         }
+      })
+    }
+
+    return unwrapped
+  }
+
+  // Replace the injected repositories of every class by a single
+  // `private readonly prisma: PrismaService` constructor parameter, put in
+  // place of the first repository parameter. Other parameters keep their
+  // modifiers and decorators (@Inject(), ...).
+  function replaceRepositoryInjections() {
+    let replaced = false
+
+    root.find(j.ClassDeclaration).forEach((classPath) => {
+      // A PrismaService the class already injects, under any name, is used
+      // instead of a new one
+      const prismaName = getPrismaMemberName(classPath.node)
+      if (prismaName && prismaName !== 'prisma') {
+        renameThisMembers(classPath, 'prisma', prismaName)
+      }
+
+      const properties = repositoryProperties.get(classPath.node) || new Map()
+      const connections = getReplacedConnections(classPath, prismaName)
+      const isReplaced = (name) => properties.has(name) || connections.has(name)
+
+      // Classes using this.prisma only for their transactions
+      const body = classPath.node.body
+      const needsPrisma =
+        !prismaName &&
+        countThisMembers(classPath, 'prisma') > 0 &&
+        !getInjectableMembers(classPath.node).some(
+          ({ name }) => name === 'prisma'
+        )
+      if (properties.size === 0 && connections.size === 0 && !needsPrisma) {
+        return
+      }
+
+      let constructor = body.body.find(
+        (member) => member.kind === 'constructor'
+      )
+
+      // Repositories injected as class properties: @InjectRepository(User) repo
+      const injectedProperties = body.body.filter(
+        (member) =>
+          member.type === 'ClassProperty' &&
+          member.key &&
+          isReplaced(member.key.name)
+      )
+      if (injectedProperties.length > 0 || needsPrisma) {
+        body.body = body.body.filter(
+          (member) => !injectedProperties.includes(member)
+        )
+        if (!constructor && !prismaName) {
+          constructor = j.classMethod(
+            'constructor',
+            j.identifier('constructor'),
+            [],
+            j.blockStatement([])
+          )
+          const index = body.body.findIndex(
+            (member) => member.type !== 'ClassProperty'
+          )
+          body.body.splice(
+            index === -1 ? body.body.length : index,
+            0,
+            constructor
+          )
+        }
+        replaced = true
+      }
+      if (!constructor) return
+
+      const params = constructor.value
+        ? constructor.value.params
+        : constructor.params
+      const assignedParams = removeRepositoryAssignments(
+        constructor,
+        isReplaced
+      )
+      const isRepositoryParam = (param) =>
+        (param.type === 'TSParameterProperty' &&
+          param.parameter.type === 'Identifier' &&
+          isReplaced(param.parameter.name)) ||
+        (param.type === 'Identifier' && assignedParams.has(param.name))
+      const hasPrismaParam =
+        Boolean(prismaName) ||
+        params.some(
+          (param) =>
+            param.type === 'TSParameterProperty' &&
+            param.parameter.name === 'prisma'
+        )
+
+      if (
+        params.some(isRepositoryParam) ||
+        injectedProperties.length > 0 ||
+        needsPrisma
+      ) {
+        const prismaParam = createPrismaParameter()
+        const newParams = []
+        params.forEach((param) => {
+          if (!isRepositoryParam(param)) {
+            newParams.push(param)
+          } else if (!hasPrismaParam && !newParams.includes(prismaParam)) {
+            newParams.push(prismaParam)
+          }
+        })
+        if (!hasPrismaParam && !newParams.includes(prismaParam)) {
+          newParams.unshift(prismaParam)
+        }
+
+        params.splice(0, params.length, ...newParams)
+        replaced = true
+      }
+
+      replaceRemainingRepositoryReferences(classPath, properties)
+    })
+
+    return replaced
+  }
+
+  // Removes the `this.repository = repository` assignments of repositories
+  // injected as plain constructor parameters, and returns the parameters
+  // that are not used otherwise so they can be dropped with them
+  function removeRepositoryAssignments(constructor, isReplaced) {
+    const method = constructor.value || constructor
+    const params = new Set(
+      method.params
+        .filter((param) => param.type === 'Identifier')
+        .map((param) => param.name)
+    )
+    const assigned = new Set()
+
+    method.body.body = method.body.body.filter((statement) => {
+      const expression =
+        statement.type === 'ExpressionStatement' && statement.expression
+      const isAssignment =
+        expression &&
+        expression.type === 'AssignmentExpression' &&
+        expression.operator === '=' &&
+        expression.left.type === 'MemberExpression' &&
+        expression.left.object.type === 'ThisExpression' &&
+        !expression.left.computed &&
+        isReplaced(expression.left.property.name) &&
+        expression.right.type === 'Identifier' &&
+        params.has(expression.right.name)
+      if (isAssignment) assigned.add(expression.right.name)
+      return !isAssignment
+    })
+
+    return new Set(
+      [...assigned].filter(
+        (name) => countReferences(j, j(method.body), name) === 0
+      )
+    )
+  }
+
+  // Number of `this.name` references in a class
+  function countThisMembers(classPath, name) {
+    return j(classPath)
+      .find(j.MemberExpression, {
+        object: { type: 'ThisExpression' },
+        property: { name },
+      })
+      .filter((path) => !path.node.computed)
+      .size()
+  }
+
+  // Injected data sources, entity managers and custom repositories of a
+  // class that are no longer used once their calls go through this.prisma
+  // (or the PrismaService member the class already has)
+  function getReplacedConnections(classPath, prismaName) {
+    const names = [
+      ...(connectionProperties.get(classPath.node) || []),
+      ...(customRepositoryProperties.get(classPath.node) || new Map()).keys(),
+    ]
+    if (countThisMembers(classPath, prismaName || 'prisma') === 0) {
+      return new Set()
+    }
+    return new Set(
+      names.filter((name) => countThisMembers(classPath, name) === 0)
+    )
+  }
+
+  // Name of the member a class injects PrismaService into: `db` of
+  // `private db: PrismaService`
+  function getPrismaMemberName(classNode) {
+    const member = getInjectableMembers(classNode).find(
+      ({ typeAnnotation }) => {
+        const type = typeAnnotation && typeAnnotation.typeAnnotation
+        return (
+          Boolean(type) &&
+          type.type === 'TSTypeReference' &&
+          type.typeName.type === 'Identifier' &&
+          type.typeName.name === 'PrismaService'
+        )
+      }
+    )
+    return member ? member.name : null
+  }
+
+  // Rename the `this.from` references of a class: this.prisma → this.db
+  function renameThisMembers(classPath, from, to) {
+    j(classPath)
+      .find(j.MemberExpression, {
+        object: { type: 'ThisExpression' },
+        property: { name: from },
+      })
+      .filter((path) => !path.node.computed)
+      .forEach((path) => {
+        path.node.property = j.identifier(to)
+      })
+  }
+
+  // private readonly prisma: PrismaService
+  function createPrismaParameter() {
+    const parameter = j.identifier('prisma')
+    parameter.typeAnnotation = j.tsTypeAnnotation(
+      j.tsTypeReference(j.identifier('PrismaService'))
+    )
+
+    const param = j.tsParameterProperty(parameter)
+    param.accessibility = 'private'
+    param.readonly = true
+    return param
+  }
+
+  // Repositories used other than through a method call (passed around,
+  // assigned, ...) are replaced by their model delegate
+  function replaceRemainingRepositoryReferences(classPath, properties) {
+    j(classPath)
+      .find(j.MemberExpression, {
+        object: { type: 'ThisExpression' },
+        property: { type: 'Identifier' },
+        computed: false,
+      })
+      .filter((path) => properties.has(path.node.property.name))
+      .forEach((path) => {
+        const entityName = properties.get(path.node.property.name)
+        addComment(
+          path,
+          ` NOTE: \`this.${path.node.property.name}\` was replaced by the Prisma model delegate - review this usage`
+        )
+        path.replace(
+          j.memberExpression(
+            getPrismaClient(),
+            j.identifier(getModelDelegateName(entityName))
+          )
+        )
+      })
+  }
+
+  // Remove the given specifiers of an import once they are unreferenced,
+  // and the import itself when nothing is left
+  function removeUnusedImports(source, names) {
+    let removed = false
+
+    root
+      .find(j.ImportDeclaration, { source: { value: source } })
+      .forEach((path) => {
+        const specifiers = path.node.specifiers.filter(
+          (specifier) =>
+            !(
+              specifier.type === 'ImportSpecifier' &&
+              names.includes(specifier.imported.name) &&
+              countReferences(j, root, specifier.local.name) === 0
+            )
+        )
+        if (specifiers.length === path.node.specifiers.length) return
+
+        removed = true
+        if (specifiers.length === 0) {
+          j(path).remove()
+        } else {
+          path.node.specifiers = specifiers
+        }
+      })
+
+    return removed
+  }
+
+  // Prisma client of the class: this.prisma
+  // Prisma client of a call: this.prisma, or the client of the interactive
+  // transaction the call is made in
+  function getPrismaClient(path) {
+    const client = path && prismaClients.get(path.node)
+    return client
+      ? j.identifier(client)
+      : j.memberExpression(j.thisExpression(), j.identifier('prisma'))
+  }
+
+  // Run queries in one batch: this.prisma.$transaction([...]). Transaction
+  // clients have no $transaction, their queries already share a transaction.
+  function createBatch(path, queries) {
+    const callee = prismaClients.get(path.node)
+      ? j.memberExpression(j.identifier('Promise'), j.identifier('all'))
+      : j.memberExpression(getPrismaClient(), j.identifier('$transaction'))
+    return j.callExpression(callee, [j.arrayExpression(queries)])
+  }
+
+  // Prisma model delegate for the repository a call is made on: this.prisma.model
+  function getModelDelegate(callPath) {
+    const modelName = getModelNameFromContext(callPath)
+
+    if (!resolveRepositoryEntity(callPath)) {
+      addComment(
+        callPath,
+        ' TODO: Could not resolve the entity of this repository - verify the Prisma model delegate'
+      )
+    }
+
+    return j.memberExpression(
+      getPrismaClient(callPath),
+      j.identifier(modelName ? getModelDelegateName(modelName) : 'model')
+    )
+  }
+
+  // Build an object expression from a map of property names to nodes
+  function createObject(properties) {
+    return j.objectExpression(
+      Object.entries(properties).map(([key, value]) =>
+        j.property('init', j.identifier(key), value)
+      )
+    )
+  }
+
+  // Value of a non-computed property of an object expression, if present
+  function getObjectProperty(node, name) {
+    if (!node || node.type !== 'ObjectExpression') return null
+
+    const property = node.properties.find(
+      (p) =>
+        p.key && !p.computed && (p.key.name === name || p.key.value === name)
+    )
+    return property ? property.value : null
+  }
+
+  // Whether the value returned by a call is used, e.g. assigned or returned
+  function isResultUsed(callPath) {
+    let path = callPath.parent
+    while (path && path.node.type === 'AwaitExpression') {
+      path = path.parent
+    }
+    return Boolean(path) && path.node.type !== 'ExpressionStatement'
+  }
+
+  // TypeORM's UpdateResult and DeleteResult carry the number of rows in
+  // `affected`, the *Many methods of Prisma return it as `count`. Rewrite the
+  // reads of the result of a call: (await call).affected, `result.affected`
+  // for a variable holding it, and `const { affected } = await call`.
+  function renameAffectedReads(callPath) {
+    let path = callPath
+    while (path.parent && path.parent.node.type === 'AwaitExpression') {
+      path = path.parent
+    }
+    const parent = path.parent && path.parent.node
+    if (!parent) return
+
+    if (
+      parent.type === 'MemberExpression' &&
+      parent.object === path.node &&
+      !parent.computed &&
+      parent.property.name === 'affected'
+    ) {
+      parent.property = j.identifier('count')
+      return
+    }
+
+    if (parent.type !== 'VariableDeclarator' || parent.init !== path.node) {
+      return
+    }
+
+    if (parent.id.type === 'ObjectPattern') {
+      parent.id.properties.forEach((prop) => {
+        if (isObjectProperty(prop) && getPropertyName(prop) === 'affected') {
+          prop.key = j.identifier('count')
+          prop.shorthand = false
+        }
+      })
+      return
+    }
+
+    if (parent.id.type !== 'Identifier') return
+    const name = parent.id.name
+    const scope = path.parent.scope
+    j(scope.path)
+      .find(j.MemberExpression, {
+        object: { type: 'Identifier', name },
+        property: { name: 'affected' },
+      })
+      .filter(
+        (memberPath) =>
+          !memberPath.node.computed && memberPath.scope.lookup(name) === scope
+      )
+      .forEach((memberPath) => {
+        memberPath.node.property = j.identifier('count')
+      })
+  }
+
+  // Conflict columns of an upsert: ['email'], 'email' or { conflictPaths: [...] }
+  function getConflictPaths(node) {
+    if (!node) return null
+    if (isStringLiteral(node)) return [node.value]
+    if (node.type === 'ObjectExpression') {
+      return getConflictPaths(getObjectProperty(node, 'conflictPaths'))
+    }
+    if (
+      node.type === 'ArrayExpression' &&
+      node.elements.length > 0 &&
+      node.elements.every((element) => element && isStringLiteral(element))
+    ) {
+      return node.elements.map((element) => element.value)
+    }
+    return null
+  }
+
+  // Choose between findUnique and findFirst for a findOne call whose arguments
+  // are already translated. Prisma only accepts findUnique when the where keys
+  // are exactly a unique constraint of the entity; compound constraints are
+  // rewritten to Prisma's compound key form: { email_tenantId: { email, tenantId } }
+  function getFindOneMethod(callPath, orThrow) {
+    const suffix = orThrow ? 'OrThrow' : ''
+    const options = callPath.node.arguments[0]
+    const where = getObjectProperty(options, 'where')
+    const entity = entityIndex.get(getModelNameFromContext(callPath))
+
+    // findUnique has no ordering or pagination arguments
+    const hasPagination = ['orderBy', 'skip', 'take', 'cursor'].some((name) =>
+      getObjectProperty(options, name)
+    )
+    if (
+      !entity ||
+      !where ||
+      where.type !== 'ObjectExpression' ||
+      hasPagination
+    ) {
+      return `findFirst${suffix}`
+    }
+
+    // Only plain equality criteria can identify a unique record
+    const isEquality = where.properties.every(
+      (p) =>
+        p.key &&
+        !p.computed &&
+        p.value &&
+        !['ObjectExpression', 'ArrayExpression', 'NullLiteral'].includes(
+          p.value.type
+        )
+    )
+    const constraint =
+      isEquality &&
+      findUniqueConstraint(
+        entity,
+        where.properties.map((p) => p.key.name || p.key.value)
+      )
+    if (!constraint) return `findFirst${suffix}`
+
+    if (constraint.length > 1) {
+      const fields = constraint.map((name) =>
+        where.properties.find((p) => (p.key.name || p.key.value) === name)
+      )
+      where.properties = [
+        j.property(
+          'init',
+          j.identifier(constraint.join('_')),
+          j.objectExpression(fields)
+        ),
+      ]
+    }
+    return `findUnique${suffix}`
+  }
+
+  // Replace a query builder chain started at callPath by the equivalent Prisma
+  // query, or flag it for manual conversion naming the unsupported clause
+  function transformQueryBuilder(queryBuilderTranslator, callPath) {
+    const { steps, endPath } = getCallChain(callPath)
+    const alias = getStaticString(callPath.node.arguments[0])
+    const isWrite = steps.length > 0 && Boolean(WRITE_METHODS[steps[0].name])
+    const result = isWrite
+      ? queryBuilderTranslator.translateWriteChain(
+          getModelNameFromContext(callPath),
+          alias,
+          steps
+        )
+      : queryBuilderTranslator.translateSelectChain(
+          getModelNameFromContext(callPath),
+          alias,
+          steps
+        )
+
+    if (result.unsupported) {
+      addComment(
+        callPath,
+        ` TODO: ${result.unsupported} - convert it by hand or with this.prisma.$queryRaw`
+      )
+      return
+    }
+
+    // update(User), from(User) and into(User) may name another entity than
+    // the one of the repository
+    const delegate =
+      isWrite && result.entityName
+        ? j.memberExpression(
+            getPrismaClient(callPath),
+            j.identifier(getModelDelegateName(result.entityName))
+          )
+        : getModelDelegate(callPath)
+
+    if (isWrite) {
+      if (result.method === 'createMany' && isResultUsed(endPath)) {
+        addComment(
+          callPath,
+          " NOTE: Prisma createMany returns { count } instead of TypeORM's InsertResult."
+        )
+      } else {
+        renameAffectedReads(endPath)
+      }
+    }
+    const query = j.callExpression(
+      j.memberExpression(delegate, j.identifier(result.method)),
+      result.query ? [result.query] : []
+    )
+
+    // getManyAndCount() → [rows, total], like findAndCount
+    if (steps[steps.length - 1].name === 'getManyAndCount') {
+      endPath.replace(
+        createBatch(callPath, [
+          query,
+          j.callExpression(
+            j.memberExpression(cloneNode(delegate), j.identifier('count')),
+            result.countQuery ? [result.countQuery] : []
+          ),
+        ])
+      )
+      return
+    }
+    endPath.replace(query)
+  }
+
+  // Helper function to translate the find options passed as first argument,
+  // flagging the options that have no Prisma equivalent
+  function transformFindOptions(findOptionsTranslator, callPath) {
+    const args = callPath.node.arguments
+    if (args.length === 0) return
+
+    findOptionsTranslator
+      .translateFindOptions(args[0], getModelNameFromContext(callPath))
+      .forEach((message) => addComment(callPath, ` ${message}`))
+  }
+
+  // Delete date column of the entity a repository call works on, or null
+  // when the entity is unknown or has none
+  function getSoftDeleteColumn(callPath) {
+    return getDeleteDateColumn(
+      entityIndex.get(getModelNameFromContext(callPath))
+    )
+  }
+
+  // TypeORM leaves soft-deleted rows out of reads unless `withDeleted: true`
+  // is passed, Prisma needs the `deletedAt: null` criterion spelled out.
+  // Runs before the arguments are translated.
+  function excludeSoftDeleted(callPath, methodName) {
+    const column = getSoftDeleteColumn(callPath)
+    if (!column) return
+
+    const args = callPath.node.arguments
+    if (CRITERIA_METHODS.includes(methodName)) {
+      args[0] = addCriterion(args[0], column, j.nullLiteral())
+      return
+    }
+    // sum('price', criteria) takes its criteria second
+    if (AGGREGATE_FUNCTIONS[methodName]) {
+      if (args[0]) args[1] = addCriterion(args[1], column, j.nullLiteral())
+      return
+    }
+
+    const options = args[0]
+    if (!options) {
+      args[0] = createObject({
+        where: createObject({ [column]: j.nullLiteral() }),
+      })
+      return
+    }
+    if (options.type !== 'ObjectExpression') {
+      addComment(
+        callPath,
+        ` TODO: Add ${column}: null to the where criteria unless the options set withDeleted - Prisma does not skip soft-deleted rows`
+      )
+      return
+    }
+
+    // withDeleted: true keeps soft-deleted rows, a dynamic value decides at
+    // runtime: { deletedAt: withDeleted ? undefined : null }
+    let value = j.nullLiteral()
+    const withDeleted = options.properties.find(
+      (p) => isObjectProperty(p) && getPropertyName(p) === 'withDeleted'
+    )
+    if (withDeleted) {
+      options.properties = options.properties.filter((p) => p !== withDeleted)
+      const included = getStaticValue(withDeleted.value)
+      if (included === true) return
+      if (included === undefined) {
+        value = j.conditionalExpression(
+          withDeleted.value,
+          j.identifier('undefined'),
+          j.nullLiteral()
+        )
+      }
+    }
+
+    const where = options.properties.find(
+      (p) => isObjectProperty(p) && getPropertyName(p) === 'where'
+    )
+    if (where) {
+      where.value = addCriterion(where.value, column, value)
+      where.shorthand = false
+    } else {
+      // Criteria next to the options (findOne({ id })) are moved into where
+      // by the find options translator
+      options.properties.push(j.property('init', j.identifier(column), value))
+    }
+  }
+
+  // Add `column: value` to TypeORM criteria, to each alternative of an array
+  // of criteria, unless the criteria already filter on the column. Used for
+  // the soft delete and discriminator criteria.
+  function addCriterion(criteria, column, value) {
+    const criterion = () =>
+      j.property('init', j.identifier(column), cloneNode(value))
+
+    if (!criteria) return j.objectExpression([criterion()])
+    if (criteria.type === 'ObjectExpression') {
+      if (!getObjectProperty(criteria, column)) {
+        criteria.properties.push(criterion())
+      }
+      return criteria
+    }
+    if (criteria.type === 'ArrayExpression') {
+      criteria.elements = criteria.elements.map((element) =>
+        element && element.type !== 'SpreadElement'
+          ? addCriterion(element, column, value)
+          : element
+      )
+      return criteria
+    }
+    return j.objectExpression([j.spreadElement(criteria), criterion()])
+  }
+
+  // Repositories of single table inheritance child entities only see the rows
+  // of their entity, and set its discriminator on the records they save.
+  // Prisma stores them in the model of the parent, where the discriminator
+  // has to be spelled out: find({ where }) → findMany({ where: { ...where,
+  // kind: 'Photo' } }), insert(data) → create({ data: { ...data, kind: 'Photo' } })
+  function selectChildEntityRows(callPath, methodName) {
+    const discriminator = getChildEntityDiscriminator(
+      getModelNameFromContext(callPath)
+    )
+    if (!discriminator) return
+
+    const { field } = discriminator
+    const value = j.stringLiteral(discriminator.value)
+    const args = callPath.node.arguments
+    const todo = () =>
+      addComment(
+        callPath,
+        ` TODO: ${discriminator.model} also stores other entities - add ${field}: '${discriminator.value}' to this query`
+      )
+
+    if (CRITERIA_METHODS.includes(methodName)) {
+      args[0] = addCriterion(args[0], field, value)
+    } else if (AGGREGATE_FUNCTIONS[methodName]) {
+      if (args[0]) args[1] = addCriterion(args[1], field, value)
+    } else if (SOFT_DELETE_FILTERED_METHODS.includes(methodName)) {
+      const options = args[0]
+      if (!options) {
+        args[0] = createObject({ where: createObject({ [field]: value }) })
+        return
+      }
+      if (options.type !== 'ObjectExpression') {
+        todo()
+        return
+      }
+
+      const where = options.properties.find(
+        (p) => isObjectProperty(p) && getPropertyName(p) === 'where'
+      )
+      if (where) {
+        where.value = addCriterion(where.value, field, value)
+        where.shorthand = false
+      } else {
+        // Criteria next to the options are moved into where by the find
+        // options translator
+        options.properties.push(j.property('init', j.identifier(field), value))
+      }
+    } else if (['create', 'insert', 'save'].includes(methodName)) {
+      const [data] = args
+      const records =
+        data && data.type === 'ArrayExpression' ? data.elements : [data]
+      if (
+        !records.every((record) => record && record.type === 'ObjectExpression')
+      ) {
+        todo()
+        return
+      }
+      records.forEach((record) => {
+        if (!getObjectProperty(record, field)) {
+          record.properties.push(j.property('init', j.identifier(field), value))
+        }
+      })
+    } else if (methodName === 'createQueryBuilder') {
+      todo()
+    }
+  }
+
+  // Helper function to transform delete/remove arguments into a where
+  // argument: delete(1) → delete({ where: { id: 1 } })
+  function transformDeleteArguments(path, args) {
+    if (args.length === 0) return
+    args[0] = createObject({ where: getCriteriaWhere(path, args[0]) })
+  }
+
+  // Criteria of update(), delete() and the soft delete methods as Prisma
+  // criteria: { id } for an id, { id: { in: ids } } for an array of ids, and
+  // criteria objects as they are
+  function getCriteriaWhere(path, criteria) {
+    if (criteria.type === 'ObjectExpression') return criteria
+    if (isArrayValue(path, criteria)) {
+      return createObject({ id: createObject({ in: criteria }) })
+    }
+    return createObject({ id: criteria })
+  }
+
+  // Whether update() or delete() criteria may match several rows, which
+  // takes the *Many method of Prisma: criteria objects and arrays of ids
+  function isManyCriteria(path, criteria) {
+    return (
+      Boolean(criteria) &&
+      (criteria.type === 'ObjectExpression' || isArrayValue(path, criteria))
+    )
+  }
+
+  // Whether an expression is an array: [1, 2], or a variable typed or
+  // initialized as one
+  function isArrayValue(path, node) {
+    if (node.type === 'ArrayExpression') return true
+    if (node.type !== 'Identifier') return false
+
+    const scope = path.scope && path.scope.lookup(node.name)
+    const bindings = scope && scope.getBindings()[node.name]
+    if (!bindings || bindings.length === 0) return false
+
+    const binding = bindings[0]
+    const type = (binding.node.typeAnnotation || {}).typeAnnotation
+    if (type) {
+      return (
+        type.type === 'TSArrayType' ||
+        (type.type === 'TSTypeReference' &&
+          ['Array', 'ReadonlyArray'].includes(type.typeName.name))
+      )
+    }
+    const declaration = binding.parent.node
+    return (
+      declaration.type === 'VariableDeclarator' &&
+      Boolean(declaration.init) &&
+      declaration.init.type === 'ArrayExpression'
+    )
+  }
+
+  // Constructor parameter properties and class properties of a class, the
+  // members dependencies are injected into
+  function getInjectableMembers(classNode) {
+    const members = []
+
+    classNode.body.body.forEach((member) => {
+      if (member.kind === 'constructor') {
+        const params = member.value ? member.value.params : member.params
+        params.forEach((param) => {
+          if (
+            param.type === 'TSParameterProperty' &&
+            param.parameter.type === 'Identifier'
+          ) {
+            members.push({
+              name: param.parameter.name,
+              typeAnnotation: param.parameter.typeAnnotation,
+              decorators: param.decorators || param.parameter.decorators,
+            })
+          }
+        })
+      } else if (
+        member.type === 'ClassProperty' &&
+        member.key &&
+        member.key.type === 'Identifier'
+      ) {
+        members.push({
+          name: member.key.name,
+          typeAnnotation: member.typeAnnotation,
+          decorators: member.decorators,
+        })
+      }
+    })
+
+    return members
+  }
+
+  // Map of every class to its injected repositories, from property name to
+  // entity name. Repositories are recognised by @InjectRepository(Entity)
+  // and Repository<Entity> types, on constructor parameter properties as well
+  // as on class properties.
+  function collectRepositoryProperties() {
+    const repositories = new Map()
+
+    root.find(j.ClassDeclaration).forEach((classPath) => {
+      const properties = new Map()
+      getInjectableMembers(classPath.node).forEach(
+        ({ name, typeAnnotation, decorators }) => {
+          const entityName = getRepositoryEntity(typeAnnotation, decorators)
+          if (entityName && !customRepositories.has(entityName)) {
+            properties.set(name, entityName)
+          }
+        }
+      )
+      repositories.set(classPath.node, properties)
+    })
+
+    return repositories
+  }
+
+  // Map of every class to its injected custom repositories, from
+  // @InjectRepository(UserRepository) or a UserRepository type
+  function collectCustomRepositoryProperties() {
+    const repositories = new Map()
+
+    root.find(j.ClassDeclaration).forEach((classPath) => {
+      const properties = new Map()
+      getInjectableMembers(classPath.node).forEach(
+        ({ name, typeAnnotation, decorators }) => {
+          const type = typeAnnotation && typeAnnotation.typeAnnotation
+          const repositoryName =
+            getRepositoryEntity(typeAnnotation, decorators) ||
+            (type && type.type === 'TSTypeReference' && type.typeName.name)
+          if (customRepositories.has(repositoryName)) {
+            properties.set(name, customRepositories.get(repositoryName))
+          }
+        }
+      )
+      repositories.set(classPath.node, properties)
+    })
+
+    return repositories
+  }
+
+  // Custom repository an expression refers to: `this` inside the custom
+  // repository, or one of its injected properties elsewhere
+  function getCustomRepository(path, node) {
+    const classNode = getEnclosingClass(path)
+    if (!classNode) return null
+
+    if (node.type === 'ThisExpression') {
+      return customRepositoryClasses.get(classNode) || null
+    }
+    if (
+      node.type === 'MemberExpression' &&
+      node.object.type === 'ThisExpression' &&
+      !node.computed
+    ) {
+      const properties = customRepositoryProperties.get(classNode)
+      return (properties && properties.get(node.property.name)) || null
+    }
+    return null
+  }
+
+  // Entity of a call to a method a custom repository inherits from
+  // Repository: this.find() inside the repository, or
+  // this.usersRepository.find() in a class injecting it
+  function getInheritedRepositoryEntity(path) {
+    const callee = path.node.callee
+    if (callee.type !== 'MemberExpression' || callee.computed) return null
+
+    const repository = getCustomRepository(path, callee.object)
+    if (!repository || repository.methods.includes(callee.property.name)) {
+      return null
+    }
+    return repository.entityName
+  }
+
+  // Whether a member holds a TypeORM DataSource, Connection or EntityManager
+  // of the default connection, from its type or its @InjectDataSource() /
+  // @InjectEntityManager() decorator
+  function isConnectionMember(typeAnnotation, decorators) {
+    const connectionName = getInjectedConnectionName(decorators)
+    if (connectionName !== undefined) return connectionName === null
+
+    const type = typeAnnotation && typeAnnotation.typeAnnotation
+    return Boolean(
+      type &&
+      type.type === 'TSTypeReference' &&
+      CONNECTION_TYPES.includes(type.typeName.name)
+    )
+  }
+
+  // Connection injected by @InjectDataSource('reporting') and the other
+  // connection decorators: its name, null for the default connection, or
+  // undefined without such a decorator
+  function getInjectedConnectionName(decorators) {
+    const decorator = (decorators || []).find(
+      (decorator) =>
+        decorator.expression.type === 'CallExpression' &&
+        CONNECTION_DECORATORS.includes(decorator.expression.callee.name)
+    )
+    if (!decorator) return undefined
+
+    const [nameArg] = decorator.expression.arguments
+    if (!nameArg) return null
+    const name = isStringLiteral(nameArg)
+      ? nameArg.value
+      : j(nameArg).toSource({ quote: 'single' })
+    return name === 'default' ? null : name
+  }
+
+  // Named connection an expression refers to, which Prisma Client does not
+  // connect to: this.reporting or this.reporting.manager of an
+  // @InjectDataSource('reporting') member
+  function getNamedConnection(path, node) {
+    if (!node || node.type !== 'MemberExpression' || node.computed) return null
+    if (node.object.type !== 'ThisExpression') {
+      return node.property.name === 'manager'
+        ? getNamedConnection(path, node.object)
+        : null
+    }
+
+    const classNode = getEnclosingClass(path)
+    const member =
+      classNode &&
+      getInjectableMembers(classNode).find(
+        ({ name }) => name === node.property.name
+      )
+    return (member && getInjectedConnectionName(member.decorators)) || null
+  }
+
+  // Map of every class to the names of its injected data sources and entity
+  // managers
+  function collectConnectionProperties() {
+    const connections = new Map()
+
+    root.find(j.ClassDeclaration).forEach((classPath) => {
+      const names = getInjectableMembers(classPath.node)
+        .filter(({ typeAnnotation, decorators }) =>
+          isConnectionMember(typeAnnotation, decorators)
+        )
+        .map(({ name }) => name)
+      connections.set(classPath.node, new Set(names))
+    })
+
+    return connections
+  }
+
+  // Whether an expression is a TypeORM data source or entity manager:
+  // this.dataSource, this.dataSource.manager, getManager(), or a variable
+  // of one of the connection types
+  function isConnection(path, node) {
+    if (!node) return false
+
+    if (node.type === 'MemberExpression' && !node.computed) {
+      if (node.object.type === 'ThisExpression') {
+        const classNode = getEnclosingClass(path)
+        const names = classNode && connectionProperties.get(classNode)
+        if (
+          node.property.name === 'manager' &&
+          customRepositoryClasses.has(classNode)
+        ) {
+          return true
+        }
+        return Boolean(names) && names.has(node.property.name)
+      }
+      return node.property.name === 'manager' && isConnection(path, node.object)
+    }
+    if (node.type === 'CallExpression') {
+      return ['getManager', 'getConnection'].includes(node.callee.name)
+    }
+    if (node.type !== 'Identifier') return false
+
+    // const dataSource: DataSource, new DataSource(...) or an imported
+    // AppDataSource
+    const scope = path.scope && path.scope.lookup(node.name)
+    const bindings = scope && scope.getBindings()[node.name]
+    const declaration = bindings && bindings[0] && bindings[0].parent.node
+    if (!declaration) return false
+    if (declaration.type === 'ImportSpecifier') {
+      return /DataSource$/.test(declaration.imported.name)
+    }
+    if (declaration.type === 'VariableDeclarator') {
+      const init = declaration.init
+      return (
+        isConnectionMember(declaration.id.typeAnnotation, null) ||
+        Boolean(
+          init &&
+          init.type === 'NewExpression' &&
+          CONNECTION_TYPES.includes(init.callee.name)
+        )
+      )
+    }
+    return isConnectionMember(bindings[0].node.typeAnnotation, null)
+  }
+
+  // Entity class given to an EntityManager method: User or 'User'
+  function getEntityTarget(node) {
+    if (!node) return null
+    if (node.type === 'Identifier' && /^[A-Z]/.test(node.name)) {
+      return node.name
+    }
+    return isStringLiteral(node) ? node.value : null
+  }
+
+  // Entity a write query builder chain works on: update(User),
+  // delete().from(User) or insert().into(User)
+  function getWriteChainEntity(callPath) {
+    const { steps } = getCallChain(callPath)
+    const [kind] = steps
+    if (!kind || !WRITE_METHODS[kind.name]) return null
+
+    const target =
+      kind.name === 'update'
+        ? kind
+        : steps.find(
+            ({ name }) => name === (kind.name === 'delete' ? 'from' : 'into')
+          )
+    return target ? getEntityTarget(target.args[0]) : null
+  }
+
+  // Entity of a value passed to manager.save(value), from the declaration of
+  // the variable: `user: User`, `new User()` or `manager.create(User, ...)`
+  function getDeclaredEntity(path, node) {
+    if (!node || node.type !== 'Identifier') return null
+
+    const scope = path.scope && path.scope.lookup(node.name)
+    const bindings = scope && scope.getBindings()[node.name]
+    if (!bindings || bindings.length === 0) return null
+
+    const binding = bindings[0]
+    const declaration = binding.parent.node
+    const type = (binding.node.typeAnnotation || {}).typeAnnotation
+    if (type && type.type === 'TSTypeReference') return type.typeName.name
+
+    let init = declaration.type === 'VariableDeclarator' && declaration.init
+    if (init && init.type === 'AwaitExpression') init = init.argument
+    if (!init) return null
+    if (init.type === 'NewExpression') return getEntityTarget(init.callee)
+    if (
+      init.type === 'CallExpression' &&
+      init.callee.type === 'MemberExpression' &&
+      ['create', 'findOne', 'findOneBy', 'findOneOrFail'].includes(
+        init.callee.property.name
+      )
+    ) {
+      return getEntityTarget(init.arguments[0])
+    }
+    return null
+  }
 
-        fileChanged.services = true
+  // Prisma client of the entity manager or data source an expression refers
+  // to: the name of a transaction client, or null for this.prisma. Returns
+  // undefined for anything else, including managers received as parameters
+  // since they may belong to a transaction of the caller.
+  function getManagerClient(path, node) {
+    const transactionClient =
+      transactionTranslator &&
+      transactionTranslator.getTransactionClient(path, node)
+    if (transactionClient) return transactionClient
+
+    if (!getEnclosingClass(path) || !isConnection(path, node)) return undefined
+    if (node.type === 'Identifier') {
+      const scope = path.scope.lookup(node.name)
+      const [binding] = scope.getBindings()[node.name]
+      const declaration = binding.parent.node
+      if (
+        declaration.type !== 'VariableDeclarator' &&
+        declaration.type !== 'ImportSpecifier'
+      ) {
+        return undefined
       }
-    })
+    }
+    return null
   }
 
-  // Helper function to transform findOne arguments
-  function transformFindOneArguments(args) {
-    if (args.length === 0) return
-
-    const firstArg = args[0]
-    if (firstArg.type !== 'ObjectExpression') return
-
-    // Check if it already has a where property
-    const whereProperty = firstArg.properties.find(
-      (p) => p.key.name === 'where' || p.key.value === 'where'
-    )
+  // Transaction client of a repository taken from a transaction client:
+  // tx.getRepository(User).find() or `const repo = tx.getRepository(User)`
+  function getRepositoryClient(path) {
+    let node = path.node.callee.object
+    let nodePath = path
+    if (node.type === 'Identifier') {
+      const variable = lookupRepositoryVariable(path, node.name)
+      if (!variable) return null
+      nodePath = variable.declaratorPath
+      node = variable.declaratorPath.node.init
+    }
+    if (
+      !node ||
+      node.type !== 'CallExpression' ||
+      node.callee.type !== 'MemberExpression' ||
+      !getGetRepositoryEntity(node)
+    ) {
+      return null
+    }
+    return getManagerClient(nodePath, node.callee.object) || null
+  }
 
-    if (!whereProperty) {
-      // findOne({ id: 1 }) → findUnique({ where: { id: 1 } })
-      // Collect non-where properties
-      const criteria = firstArg.properties.filter(
-        (p) =>
-          !['relations', 'select', 'order', 'skip', 'take'].includes(
-            p.key.name || p.key.value
-          )
+  // Turn an EntityManager call into the repository call it stands for, so that
+  // the repository rewrites apply to it: this.manager.find(User, options)
+  // becomes find(options) on the User model, of the transaction client for
+  // calls made inside an interactive transaction
+  function normalizeManagerCall(callPath) {
+    const call = callPath.node
+    const callee = call.callee
+    if (callee.type !== 'MemberExpression' || callee.computed) return
+
+    const client = getManagerClient(callPath, callee.object)
+    const connectionName = getNamedConnection(callPath, callee.object)
+    if (connectionName) {
+      addComment(
+        callPath,
+        ` TODO: Migrate this call on the TypeORM connection "${connectionName}" manually - this.prisma only connects to the default database`
       )
+      return
+    }
+    if (client === undefined) {
+      if (
+        callee.object.type === 'Identifier' &&
+        getEnclosingClass(callPath) &&
+        isConnection(callPath, callee.object)
+      ) {
+        addComment(
+          callPath,
+          ` TODO: Pass the Prisma transaction client (tx) or use this.prisma instead of the entity manager \`${callee.object.name}\``
+        )
+      }
+      return
+    }
 
-      // If we have criteria properties, create a where object
-      if (criteria.length > 0) {
-        const whereObj = j.objectExpression(criteria)
-        firstArg.properties = firstArg.properties.filter((p) =>
-          ['relations', 'select', 'order', 'skip', 'take'].includes(
-            p.key.name || p.key.value
-          )
+    const methodName = callee.property.name
+    const [target] = call.arguments
+    let entityName = getEntityTarget(target)
+
+    if (['getRepository', 'createQueryRunner'].includes(methodName)) {
+      // Rewritten with the call made on the repository, or with the
+      // transaction of the query runner
+      return
+    } else if (methodName === 'createQueryBuilder' && !entityName) {
+      // dataSource.createQueryBuilder().delete().from(User) names its entity
+      // in the chain
+      entityName = getWriteChainEntity(callPath)
+      if (!entityName) {
+        addComment(
+          callPath,
+          ` TODO: TypeORM \`${methodName}\` has no Prisma Client equivalent - migrate manually`
         )
-        firstArg.properties.push(
-          j.property('init', j.identifier('where'), whereObj)
+        return
+      }
+    } else if (ENTITY_MANAGER_METHODS.includes(methodName) && entityName) {
+      call.arguments.shift()
+    } else if (
+      ENTITY_MANAGER_SAVE_METHODS.includes(methodName) &&
+      entityName &&
+      call.arguments.length > 1
+    ) {
+      call.arguments.shift()
+    } else if (ENTITY_MANAGER_SAVE_METHODS.includes(methodName)) {
+      entityName = getDeclaredEntity(callPath, target)
+      if (!entityName) {
+        addComment(
+          callPath,
+          ` TODO: Could not resolve the entity saved by \`${methodName}\` - use the Prisma model delegate of ${
+            client || 'this.prisma'
+          }`
         )
+        return
       }
+    } else if (methodName === 'transaction') {
+      addComment(
+        callPath,
+        client
+          ? ' TODO: Prisma interactive transactions cannot be nested - run these queries on the enclosing transaction client'
+          : ' TODO: Migrate this transaction to this.prisma.$transaction(async (tx) => { ... })'
+      )
+      return
+    } else if (methodName !== 'query') {
+      addComment(
+        callPath,
+        ` TODO: TypeORM \`${methodName}\` has no Prisma Client equivalent - migrate manually`
+      )
+      return
     }
 
-    // Transform relations to include
-    transformRelationsToInclude(firstArg)
+    managerCalls.add(call)
+    resolvedEntities.set(call, entityName)
+    if (client) prismaClients.set(call, client)
   }
 
-  // Helper function to transform delete/remove arguments
-  function transformDeleteArguments(args) {
-    if (args.length === 0) return
-
-    const firstArg = args[0]
+  // Entity of a repository from its @InjectRepository(Entity) decorator or
+  // its Repository<Entity> type annotation
+  function getRepositoryEntity(typeAnnotation, decorators) {
+    const injectDecorator = (decorators || []).find(
+      (decorator) =>
+        decorator.expression.type === 'CallExpression' &&
+        decorator.expression.callee.name === 'InjectRepository'
+    )
+    if (injectDecorator) {
+      const [entityArg] = injectDecorator.expression.arguments
+      if (entityArg && entityArg.type === 'Identifier') return entityArg.name
+    }
 
-    // If ID is passed directly (delete(1)), wrap it in where object
+    const type = typeAnnotation && typeAnnotation.typeAnnotation
     if (
-      firstArg.type === 'NumericLiteral' ||
-      firstArg.type === 'StringLiteral' ||
-      firstArg.type === 'Identifier'
+      type &&
+      type.type === 'TSTypeReference' &&
+      type.typeName.name === 'Repository' &&
+      type.typeParameters &&
+      type.typeParameters.params.length > 0 &&
+      type.typeParameters.params[0].type === 'TSTypeReference'
     ) {
-      args[0] = j.objectExpression([
-        j.property(
-          'init',
-          j.identifier('where'),
-          j.objectExpression([j.property('init', j.identifier('id'), firstArg)])
-        ),
-      ])
-    }
-    // If object criteria is passed, wrap in where
-    else if (firstArg.type === 'ObjectExpression') {
-      args[0] = j.objectExpression([
-        j.property('init', j.identifier('where'), firstArg),
-      ])
+      return type.typeParameters.params[0].typeName.name
     }
+
+    return null
   }
 
-  // Helper function to transform relations to include
-  function transformRelationsToInclude(options) {
-    if (options.type !== 'ObjectExpression') return
+  // Closest class declaration enclosing a path
+  function getEnclosingClass(path) {
+    for (let ancestor = path.parent; ancestor; ancestor = ancestor.parent) {
+      if (ancestor.node.type === 'ClassDeclaration') return ancestor.node
+    }
+    return null
+  }
 
-    const relationsProperty = options.properties.find(
-      (p) => p.key.name === 'relations' || p.key.value === 'relations'
-    )
+  // Entity of getRepository(Entity) or dataSource.getRepository(Entity).
+  // Repositories of named connections are left alone.
+  function getGetRepositoryEntity(node, path) {
+    if (!node || node.type !== 'CallExpression') return null
+
+    const callee = node.callee
+    if (path && getNamedConnection(path, callee.object)) return null
+    const name =
+      callee.type === 'MemberExpression' && !callee.computed
+        ? callee.property.name
+        : callee.name
+    const [entityArg] = node.arguments
+    if (name !== 'getRepository' || !entityArg) return null
+    return entityArg.type === 'Identifier' ? entityArg.name : null
+  }
 
-    if (relationsProperty) {
-      // Replace relations with include
-      relationsProperty.key = j.identifier('include')
+  // Map of every function declaring repository variables to those variables,
+  // from local name to entity name:
+  //   const repo = this.usersRepository
+  //   const { usersRepository, ordersRepository: orders } = this
+  //   const repo = this.dataSource.getRepository(User)
+  //   const repo: Repository<User> = ...
+  function collectRepositoryVariables() {
+    const variables = new Map()
+
+    const addVariable = (declaratorPath, name, entityName) => {
+      const scope = declaratorPath.scope
+      if (!variables.has(scope.node)) {
+        variables.set(scope.node, new Map())
+      }
+      variables.get(scope.node).set(name, { entityName, declaratorPath })
+    }
 
-      // If it's a deep relation object, transform its structure
-      if (relationsProperty.value.type === 'ObjectExpression') {
-        relationsProperty.value.properties.forEach((relationProp) => {
-          // TypeORM: { relations: { user: true } }
-          // Prisma: { include: { user: true } }
-          // No change needed for this format
+    root.find(j.VariableDeclarator).forEach((declaratorPath) => {
+      const { id, init } = declaratorPath.node
+      const classNode = getEnclosingClass(declaratorPath)
+      const properties =
+        (classNode && repositoryProperties.get(classNode)) || new Map()
+
+      if (id.type === 'Identifier') {
+        const entityName =
+          getRepositoryEntity(id.typeAnnotation) ||
+          getGetRepositoryEntity(init, declaratorPath) ||
+          (init &&
+          init.type === 'MemberExpression' &&
+          init.object.type === 'ThisExpression' &&
+          !init.computed
+            ? properties.get(init.property.name)
+            : null)
+        if (entityName) addVariable(declaratorPath, id.name, entityName)
+      } else if (
+        id.type === 'ObjectPattern' &&
+        init &&
+        init.type === 'ThisExpression'
+      ) {
+        id.properties.forEach((property) => {
+          const name = getPropertyName(property)
+          const value =
+            property.value && property.value.type === 'AssignmentPattern'
+              ? property.value.left
+              : property.value
+          if (name && properties.has(name) && value.type === 'Identifier') {
+            addVariable(declaratorPath, value.name, properties.get(name))
+          }
         })
       }
-    }
+    })
+
+    return variables
   }
 
-  // Try to determine the model name from context
-  function getModelNameFromContext(path) {
-    // Look for clues in variable names, method names, etc.
-    // This is a heuristic and might need manual adjustment
+  // Repository variable an identifier refers to, from its declaring scope
+  function lookupRepositoryVariable(path, name) {
+    const scope = path.scope && path.scope.lookup(name)
+    const scopeVariables = scope && repositoryVariables.get(scope.node)
+    return (scopeVariables && scopeVariables.get(name)) || null
+  }
 
-    // First, check if we're inside a class that might have the model name
-    let className = null
-    let ancestors = path.ancestors()
+  // Entity of the repository an expression refers to: this.usersRepository,
+  // a local repository variable or an inline getRepository(Entity) call
+  function getReferencedRepository(path, node) {
+    if (
+      node.type === 'MemberExpression' &&
+      node.object.type === 'ThisExpression' &&
+      !node.computed
+    ) {
+      const classNode = getEnclosingClass(path)
+      const properties = classNode && repositoryProperties.get(classNode)
+      return (properties && properties.get(node.property.name)) || null
+    }
+    if (node.type === 'Identifier') {
+      const variable = lookupRepositoryVariable(path, node.name)
+      return variable ? variable.entityName : null
+    }
+    return getGetRepositoryEntity(node, path)
+  }
 
-    for (const ancestor of ancestors) {
-      if (ancestor.node.type === 'ClassDeclaration' && ancestor.node.id) {
-        className = ancestor.node.id.name
+  // Whether a call is made on a repository. this.repository is kept as a
+  // fallback for repositories whose entity cannot be resolved.
+  function isRepositoryCall(path) {
+    const callee = path.node.callee
+    if (callee.type !== 'MemberExpression' || callee.computed) return false
+    if (managerCalls.has(path.node) || getInheritedRepositoryEntity(path)) {
+      return true
+    }
 
-        // Common patterns like UserService, UserController
-        const serviceMatch = className.match(
-          /(.+)(Service|Controller|Repository)$/
-        )
-        if (serviceMatch) {
-          return serviceMatch[1]
-        }
+    return Boolean(
+      getReferencedRepository(path, callee.object) ||
+      (callee.object.type === 'MemberExpression' &&
+        callee.object.property.name === 'repository')
+    )
+  }
 
-        break
-      }
+  // Entity of the repository a call is made on: this.usersRepository.find()
+  function resolveRepositoryEntity(path) {
+    if (resolvedEntities.has(path.node)) {
+      return resolvedEntities.get(path.node)
     }
 
-    // Check the object the repository is accessed from
-    if (
-      path.node.callee.type === 'MemberExpression' &&
-      path.node.callee.object.type === 'MemberExpression'
-    ) {
-      const repositoryObj = path.node.callee.object
-
-      if (
-        repositoryObj.property.type === 'Identifier' &&
-        repositoryObj.property.name === 'repository' &&
-        repositoryObj.object.type === 'ThisExpression'
-      ) {
-        // Look for property initialization in the class
-        if (className) {
-          const classDeclaration = root
-            .find(j.ClassDeclaration, { id: { name: className } })
-            .at(0)
-
-          if (classDeclaration.size() > 0) {
-            // Look for repository property and its type
-            const properties = j(classDeclaration)
-              .find(j.ClassProperty)
-              .filter((prop) => {
-                return (
-                  prop.node.key.type === 'Identifier' &&
-                  prop.node.key.name === 'repository' &&
-                  prop.node.typeAnnotation
-                )
-              })
+    const callee = path.node.callee
+    if (callee.type !== 'MemberExpression') return null
+    return (
+      getInheritedRepositoryEntity(path) ||
+      getReferencedRepository(path, callee.object)
+    )
+  }
 
-            if (properties.size() > 0) {
-              const typeAnnotation =
-                properties.get().node.typeAnnotation.typeAnnotation
-
-              if (
-                typeAnnotation.type === 'TSTypeReference' &&
-                typeAnnotation.typeName.name === 'Repository' &&
-                typeAnnotation.typeParameters &&
-                typeAnnotation.typeParameters.params.length > 0
-              ) {
-                const entityTypeParam = typeAnnotation.typeParameters.params[0]
-                if (entityTypeParam.type === 'TSTypeReference') {
-                  return entityTypeParam.typeName.name
-                }
-              }
-            }
+  // Remove the repository variables that are no longer referenced once their
+  // calls go through this.prisma, along with declarations left empty
+  function removeUnusedRepositoryAliases() {
+    let removed = false
+
+    repositoryVariables.forEach((scopeVariables) => {
+      scopeVariables.forEach(({ declaratorPath }, name) => {
+        const scopePath = declaratorPath.scope.path
+        const declaredNames = countReferences(j, j(declaratorPath), name)
+        if (countReferences(j, j(scopePath), name) > declaredNames) return
+
+        const id = declaratorPath.node.id
+        if (id.type === 'ObjectPattern') {
+          id.properties = id.properties.filter((property) => {
+            const value =
+              property.value && property.value.type === 'AssignmentPattern'
+                ? property.value.left
+                : property.value
+            return !value || value.name !== name
+          })
+          if (id.properties.length > 0) {
+            removed = true
+            return
           }
         }
-      }
+
+        const declaration = declaratorPath.parent.node
+        declaration.declarations = declaration.declarations.filter(
+          (declarator) => declarator !== declaratorPath.node
+        )
+        if (declaration.declarations.length === 0) {
+          declaratorPath.parent.prune()
+        }
+        removed = true
+      })
+    })
+
+    return removed
+  }
+
+  // Determine the model (entity) name a repository call operates on
+  function getModelNameFromContext(path) {
+    const entityName = resolveRepositoryEntity(path)
+    if (entityName) return entityName
+
+    // Fall back to the class name: UserService, UserController → User.
+    // This is a heuristic and might need manual adjustment.
+    const classNode = getEnclosingClass(path)
+    if (classNode && classNode.id) {
+      const serviceMatch = classNode.id.name.match(
+        /(.+)(Service|Controller|Repository)$/
+      )
+      if (serviceMatch) return serviceMatch[1]
     }
 
     return null
@@ -858,6 +3734,28 @@ module.exports = function (fileInfo, api, options) {
 
   // Transform TypeORM module imports to Prisma
   function transformModuleImports() {
+    // Connection options of TypeOrmModule.forRoot(), forRootAsync() or
+    // new DataSource(), read before the calls are replaced
+    const connectionNode = findConnectionOptions(j, root, fileInfo.path)
+    const connection = connectionNode
+      ? readConnectionOptions(connectionNode)
+      : null
+    if (connection) {
+      applyConnectionOptions(connection)
+
+      // Settings of the connection that carry over to the PrismaService
+      const { logging } = getOptions(connectionNode)
+      if (logging !== undefined) {
+        prismaSettings.log = getLogLevels(logging)
+      }
+    }
+
+    // Repository types only have a Prisma replacement once the services
+    // transformation migrated their calls
+    if (servicesMigrated && retypeRepositoryReferences()) {
+      fileChanged.modules = true
+    }
+
     // Find TypeORM imports and replace with Prisma
     root.find(j.ImportDeclaration).forEach((path) => {
       const importDecl = path.node
@@ -877,22 +3775,14 @@ module.exports = function (fileInfo, api, options) {
 
         // If importing Repository, replace with PrismaService
         if (hasRepositoryImport) {
-          // Add PrismaService import
-          root
-            .get()
-            .node.program.body.unshift(
-              j.importDeclaration(
-                [j.importSpecifier(j.identifier('PrismaService'))],
-                j.stringLiteral('./prisma.service')
-              )
-            )
-
-          // Filter out Repository from typeorm imports
+          // PrismaService gets imported once the file references it
+          // Filter out Repository from typeorm imports, unless still used
           importDecl.specifiers = specifiers.filter(
             (s) =>
               !(
                 s.type === 'ImportSpecifier' &&
-                ['Repository', 'getRepository'].includes(s.imported.name)
+                ['Repository', 'getRepository'].includes(s.imported.name) &&
+                countReferences(j, root, s.local.name) === 0
               )
           )
 
@@ -938,44 +3828,57 @@ module.exports = function (fileInfo, api, options) {
       } else if (source.endsWith('.entity') || source.includes('/entities/')) {
         // Entity imports might be used for type references
         // We'll keep them but add a comment for review
-        j(path).insertBefore(
-          j.commentLine(
-            ' TODO: Review entity import - might need to use Prisma types instead'
-          )
+        addComment(
+          path,
+          ' TODO: Review entity import - might need to use Prisma types instead'
         )
       }
     })
 
-    // Find TypeORM module imports in Nest.js modules
+    // Entities only referenced by the replaced TypeORM calls
+    const replacedEntities = new Set()
+
+    // TypeOrmModule.forFeature([User, Profile]) → PrismaModule, or nothing
+    // when PrismaModule is global
     root
       .find(j.CallExpression, {
         callee: {
-          type: 'Identifier',
-          name: 'forFeature',
+          type: 'MemberExpression',
+          object: { type: 'Identifier', name: 'TypeOrmModule' },
+          property: { type: 'Identifier', name: 'forFeature' },
         },
       })
       .forEach((path) => {
-        // TypeOrmModule.forFeature([User, Profile]) → Replace with PrismaModule
-        const parent = path.parent.node
+        collectEntityArguments(path.node, replacedEntities)
+        provideCustomRepositories(path, replacedEntities)
+        replaceModuleReference(path)
+        fileChanged.modules = true
+      })
 
-        if (
-          parent.type === 'MemberExpression' &&
-          parent.object.type === 'Identifier' &&
-          parent.object.name === 'TypeOrmModule'
-        ) {
-          // Replace TypeOrmModule.forFeature([...]) with PrismaModule
-          parent.object.name = 'PrismaModule'
-          delete parent.property
-          path.parent.replace(j.identifier('PrismaModule'))
+    // exports: [TypeOrmModule] → PrismaModule, or nothing when it is global
+    root
+      .find(j.Identifier, { name: 'TypeOrmModule' })
+      .filter(
+        (path) =>
+          path.parent.node.type === 'ArrayExpression' &&
+          isObjectProperty(path.parent.parent.node) &&
+          getPropertyName(path.parent.parent.node) === 'exports'
+      )
+      .forEach((path) => {
+        replaceModuleReference(path)
+        fileChanged.modules = true
+      })
 
-          // Make sure we import PrismaModule
-          addPrismaModuleImport()
+    if (transformRepositoryTokens(replacedEntities)) {
+      fileChanged.modules = true
+    }
 
-          fileChanged.modules = true
-        }
-      })
+    // Entity imports that only served the replaced calls
+    root.find(j.ImportDeclaration).forEach((path) => {
+      removeUnusedImports(path.node.source.value, [...replacedEntities])
+    })
 
-    // Find TypeOrmModule.forRoot() calls
+    // Find TypeOrmModule.forRoot() and forRootAsync() calls
     root
       .find(j.CallExpression, {
         callee: {
@@ -984,87 +3887,471 @@ module.exports = function (fileInfo, api, options) {
             type: 'Identifier',
             name: 'TypeOrmModule',
           },
-          property: {
-            type: 'Identifier',
-            name: 'forRoot',
-          },
         },
       })
+      .filter((path) =>
+        ['forRoot', 'forRootAsync'].includes(path.node.callee.property.name)
+      )
       .forEach((path) => {
-        // Replace TypeOrmModule.forRoot() with PrismaModule
-        path.node.callee.object.name = 'PrismaModule'
-        delete path.node.callee.property
-        path.node.callee = j.identifier('PrismaModule')
-        path.node.arguments = []
+        if (connection && connection.dropped.length > 0) {
+          addComment(
+            path,
+            ` NOTE: TypeORM connection options dropped: ${connection.dropped.join(
+              ', '
+            )} - the connection is configured by DATABASE_URL in .env`
+          )
+        }
 
-        // Make sure we import PrismaModule
-        addPrismaModuleImport()
+        // Replace TypeOrmModule.forRoot() with PrismaModule
+        path.replace(j.identifier('PrismaModule'))
 
         fileChanged.modules = true
       })
+
+    // Drop what is left unused of @nestjs/typeorm
+    if (
+      removeUnusedImports('@nestjs/typeorm', [
+        'TypeOrmModule',
+        'getRepositoryToken',
+        'InjectRepository',
+      ])
+    ) {
+      fileChanged.modules = true
+    }
+  }
+
+  // Repository<User> types left once the services are migrated, mostly on
+  // mocks in tests, become the type of the model delegate:
+  // PrismaService['user']
+  function retypeRepositoryReferences() {
+    const names = root
+      .find(j.ImportDeclaration, { source: { value: 'typeorm' } })
+      .find(j.ImportSpecifier, { imported: { name: 'Repository' } })
+      .nodes()
+      .map((specifier) => specifier.local.name)
+    let retyped = false
+
+    root
+      .find(j.TSTypeReference, { typeName: { type: 'Identifier' } })
+      .filter((path) => {
+        const { typeName, typeParameters } = path.node
+        const params = typeParameters ? typeParameters.params : []
+        return (
+          !isInjectedRepositoryType(path) &&
+          names.includes(typeName.name) &&
+          params.length === 1 &&
+          params[0].type === 'TSTypeReference' &&
+          params[0].typeName.type === 'Identifier'
+        )
+      })
+      .forEach((path) => {
+        const entityName = path.node.typeParameters.params[0].typeName.name
+        path.replace(
+          j.tsIndexedAccessType(
+            j.tsTypeReference(j.identifier('PrismaService')),
+            j.tsLiteralType(j.stringLiteral(getModelDelegateName(entityName)))
+          )
+        )
+        retyped = true
+      })
+
+    return retyped
   }
 
-  // Helper to add PrismaModule import
-  function addPrismaModuleImport() {
-    // Check if we already have the import
-    const existingImport = root.find(j.ImportDeclaration, {
-      source: {
-        value: './prisma/prisma.module',
-      },
+  // Whether a type annotates a parameter or property still injected with
+  // @InjectRepository(), which TypeORM keeps providing a repository for
+  function isInjectedRepositoryType(path) {
+    const annotation = path.parent
+    if (!annotation || annotation.node.type !== 'TSTypeAnnotation') {
+      return false
+    }
+
+    const annotated = [annotation.parent.node]
+    if (annotation.parent.parent.node.type === 'TSParameterProperty') {
+      annotated.push(annotation.parent.parent.node)
+    }
+    return annotated.some((node) =>
+      (node.decorators || []).some(
+        (decorator) => getDecoratorName(decorator) === 'InjectRepository'
+      )
+    )
+  }
+
+  // Replace an entry of a module's imports or exports by PrismaModule. A global
+  // PrismaModule needs no entry, and arrays keep a single PrismaModule.
+  function replaceModuleReference(path) {
+    const parent = path.parent.node
+    if (parent.type !== 'ArrayExpression') {
+      path.replace(j.identifier('PrismaModule'))
+      return
+    }
+
+    const hasPrismaModule = parent.elements.some(
+      (element) =>
+        element &&
+        element.type === 'Identifier' &&
+        element.name === 'PrismaModule'
+    )
+    if (prismaGlobal || hasPrismaModule) {
+      parent.elements = parent.elements.filter(
+        (element) => element !== path.node
+      )
+
+      // Drop `imports: []` left empty
+      const property = path.parent.parent.node
+      const object = path.parent.parent.parent.node
+      if (
+        parent.elements.length === 0 &&
+        isObjectProperty(property) &&
+        object.type === 'ObjectExpression'
+      ) {
+        object.properties = object.properties.filter((p) => p !== property)
+      }
+    } else {
+      path.replace(j.identifier('PrismaModule'))
+    }
+  }
+
+  // Custom repositories registered with forFeature([UserRepository]) become
+  // providers of the module, also exported when the module exported
+  // TypeOrmModule
+  function provideCustomRepositories(forFeaturePath, replacedEntities) {
+    const names = [...replacedEntities].filter((name) =>
+      customRepositories.has(name)
+    )
+    const property = forFeaturePath.parent.parent
+    if (names.length === 0 || !isObjectProperty(property.node)) return
+    const moduleObject = property.parent.node
+    names.forEach((name) => replacedEntities.delete(name))
+
+    const addEntries = (key, required) => {
+      let entry = moduleObject.properties.find(
+        (p) => isObjectProperty(p) && getPropertyName(p) === key
+      )
+      if (!entry) {
+        if (!required) return
+        entry = j.property('init', j.identifier(key), j.arrayExpression([]))
+        moduleObject.properties.push(entry)
+      }
+      const array = entry.value
+      if (array.type !== 'ArrayExpression') return
+      if (
+        !required &&
+        !array.elements.some(
+          (element) => element && element.name === 'TypeOrmModule'
+        )
+      ) {
+        return
+      }
+      names.forEach((name) => {
+        if (
+          !array.elements.some((element) => element && element.name === name)
+        ) {
+          array.elements.push(j.identifier(name))
+        }
+      })
+    }
+    addEntries('providers', true)
+    addEntries('exports', false)
+  }
+
+  // Add the entity identifiers passed to a call, e.g. forFeature([User]) or
+  // getRepositoryToken(User), to a set
+  function collectEntityArguments(node, entities) {
+    node.arguments.forEach((arg) => {
+      const elements = arg.type === 'ArrayExpression' ? arg.elements : [arg]
+      elements.forEach((element) => {
+        if (element && element.type === 'Identifier') entities.add(element.name)
+      })
     })
+  }
 
-    if (existingImport.size() === 0) {
-      // Add import for PrismaModule
-      root
-        .get()
-        .node.program.body.unshift(
-          j.importDeclaration(
-            [j.importSpecifier(j.identifier('PrismaModule'))],
-            j.stringLiteral('./prisma/prisma.module')
-          )
+  // Rewrite the injection tokens of repositories, mostly found in tests:
+  //   { provide: getRepositoryToken(User), useValue: usersMock }
+  //     → { provide: PrismaService, useValue: { user: usersMock } }
+  //   module.get(getRepositoryToken(User)) → module.get(PrismaService).user
+  function transformRepositoryTokens(replacedEntities) {
+    // Custom repositories are their own injection token:
+    // getRepositoryToken(UserRepository) → UserRepository
+    let replaced = false
+    root
+      .find(j.CallExpression, {
+        callee: { type: 'Identifier', name: 'getRepositoryToken' },
+      })
+      .filter((path) => {
+        const [arg] = path.node.arguments
+        return (
+          Boolean(arg) &&
+          arg.type === 'Identifier' &&
+          customRepositories.has(arg.name)
         )
+      })
+      .forEach((path) => {
+        path.replace(j.identifier(path.node.arguments[0].name))
+        replaced = true
+      })
+
+    const tokens = root.find(j.CallExpression, {
+      callee: { type: 'Identifier', name: 'getRepositoryToken' },
+    })
+    if (tokens.size() === 0) return replaced
+
+    tokens.forEach((path) =>
+      collectEntityArguments(path.node, replacedEntities)
+    )
+
+    const getTokenDelegate = (node) => {
+      const [entityArg] = node.arguments
+      return entityArg && entityArg.type === 'Identifier'
+        ? getModelDelegateName(entityArg.name)
+        : 'model'
     }
+
+    // Providers, merged into one PrismaService provider per array
+    const mergedProviders = new Map()
+    tokens
+      .filter(
+        (path) =>
+          isObjectProperty(path.parent.node) &&
+          getPropertyName(path.parent.node) === 'provide' &&
+          path.parent.parent.node.type === 'ObjectExpression'
+      )
+      .forEach((path) => {
+        const provider = path.parent.parent.node
+        const providers = path.parent.parent.parent.node
+        const delegate = getTokenDelegate(path.node)
+        const useValue = getObjectProperty(provider, 'useValue')
+
+        addComment(
+          path,
+          ' NOTE: repository mocks now stand in for Prisma model delegates - update the mocked methods (findMany, findUnique, ...)'
+        )
+        path.replace(j.identifier('PrismaService'))
+        if (!useValue) return
+
+        const valueProperty = provider.properties.find(
+          (property) => getPropertyName(property) === 'useValue'
+        )
+        if (
+          providers.type === 'ArrayExpression' &&
+          mergedProviders.has(providers)
+        ) {
+          mergedProviders
+            .get(providers)
+            .properties.push(
+              j.property('init', j.identifier(delegate), useValue)
+            )
+          providers.elements = providers.elements.filter(
+            (element) => element !== provider
+          )
+          return
+        }
+
+        valueProperty.value = createObject({ [delegate]: useValue })
+        mergedProviders.set(providers, valueProperty.value)
+      })
+
+    // module.get(getRepositoryToken(User)) and other uses of the token
+    root
+      .find(j.CallExpression, {
+        callee: { type: 'Identifier', name: 'getRepositoryToken' },
+      })
+      .forEach((path) => {
+        const parent = path.parent.node
+        const delegate = getTokenDelegate(path.node)
+
+        if (
+          parent.type === 'CallExpression' &&
+          parent.arguments[0] === path.node &&
+          parent.callee.type === 'MemberExpression' &&
+          !parent.callee.computed &&
+          parent.callee.property.name === 'get'
+        ) {
+          parent.typeParameters = null
+          parent.arguments[0] = j.identifier('PrismaService')
+          path.parent.replace(
+            j.memberExpression(parent, j.identifier(delegate))
+          )
+          return
+        }
+
+        addComment(
+          path,
+          ` NOTE: the repository token of \`${delegate}\` was replaced by PrismaService - use its \`${delegate}\` delegate`
+        )
+        path.replace(j.identifier('PrismaService'))
+      })
+
+    return true
   }
 
-  // Apply all transformations
-  transformEntityClasses()
-  transformRepositoryUsage()
-  transformModuleImports()
+  // Take the Prisma datasource from TypeORM connection options, reporting the
+  // options that cannot carry over
+  function applyConnectionOptions(connection) {
+    const report = (message) => api.report && api.report(message)
+    const { provider, url } = getDatasource(connection)
 
-  // Generate Prisma schema file content if we found entities
-  if (
-    Object.values(prismaSchemaFragments).length > 0 ||
-    prismaModels.size > 0
-  ) {
-    // This would be created as a separate file, but we'll log it for now
-    let prismaSchema = `// This is your Prisma schema file,
-// learn more about it in the docs: https://pris.ly/d/prisma-schema
+    if (!provider) {
+      report(
+        `TypeORM connection type \`${connection.values.type}\` has no Prisma provider - set the datasource by hand`
+      )
+      return
+    }
+    datasource = { provider, url }
 
-generator client {
-  provider = "prisma-client-js"
-}
+    if (connection.reported) return
+    connection.reported = true
 
-datasource db {
-  provider = "postgresql" // Change to your actual database provider
-  url      = env("DATABASE_URL")
-}
+    connection.unresolved.forEach((name) => {
+      report(
+        `could not read the \`${name}\` connection option - complete DATABASE_URL in .env`
+      )
+    })
+    connection.dropped.forEach((name) => {
+      report(
+        `dropped the \`${name}\` connection option: ${DROPPED_OPTIONS[name]}`
+      )
+    })
+  }
+
+  // Import PrismaService or PrismaModule from their location in the project,
+  // unless the file already imports it
+  function addPrismaImport(name) {
+    return addImport(name, getPrismaImportSource(fileInfo.path, name, options))
+  }
 
-`
+  // Import `name` from `source`, unless the file already imports it
+  function addImport(name, source) {
+    if (root.find(j.ImportSpecifier, { local: { name } }).size() > 0) {
+      return false
+    }
+
+    const existingImport = root.find(j.ImportDeclaration, {
+      source: { value: source },
+    })
+    if (existingImport.size() > 0) {
+      existingImport
+        .get()
+        .node.specifiers.push(j.importSpecifier(j.identifier(name)))
+      return true
+    }
+
+    const declaration = j.importDeclaration(
+      [j.importSpecifier(j.identifier(name))],
+      j.stringLiteral(source)
+    )
+    const imports = root.find(j.ImportDeclaration)
+    if (imports.size() > 0) {
+      imports.at(imports.size() - 1).insertAfter(declaration)
+    } else {
+      root.get().node.program.body.unshift(declaration)
+    }
+    return true
+  }
 
-    // Add all enums first
-    prismaEnums.forEach((enumDef) => {
-      prismaSchema += enumDef + '\n'
+  // Apply the selected transformations (all of them by default)
+  const transforms = {
+    entities: transformEntityClasses,
+    services: transformRepositoryUsage,
+    modules: transformModuleImports,
+  }
+  const only = options.only
+    ? String(options.only)
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean)
+    : Object.keys(transforms)
+
+  only.forEach((name) => {
+    if (!transforms[name]) {
+      throw new Error(
+        `Unknown transformation "${name}" in --only, expected one of: ${Object.keys(
+          transforms
+        ).join(', ')}`
+      )
+    }
+  })
+  Object.keys(transforms).forEach((name) => {
+    if (only.includes(name)) transforms[name]()
+  })
+
+  // Import the Prisma service and module wherever the migrated code uses them
+  if (Object.values(fileChanged).some(Boolean)) {
+    Object.keys(PRISMA_FILES).forEach((name) => {
+      if (countReferences(j, root, name) > 0) addPrismaImport(name)
     })
+  }
 
-    // Then add all models
-    prismaModels.forEach((modelDef) => {
-      prismaSchema += modelDef + '\n'
+  // Create the Prisma service and module the migrated code imports
+  const usesPrisma = Object.keys(PRISMA_FILES).some(
+    (name) => countReferences(j, root, name) > 0
+  )
+  if (usesPrisma && Object.values(fileChanged).some(Boolean) && !options.dry) {
+    scaffoldPrismaFiles(options, {
+      global: prismaGlobal,
+      log: options.prismaLog
+        ? String(options.prismaLog)
+            .split(',')
+            .map((level) => level.trim())
+        : prismaSettings.log,
+      barrel: !getPrismaImportSource(
+        fileInfo.path,
+        'PrismaService',
+        options
+      ).startsWith('.'),
+      replaceGenerated: prismaSettings.log !== undefined,
+      hooks: getHookIndex(options),
+    }).forEach((file) => {
+      if (api.report) api.report(`scaffolded ${file}`)
     })
+  }
+
+  // Without connection options in this file, fall back to ormconfig.json
+  const projectRoot = path.resolve(options.projectRoot || process.cwd())
+  if (prismaModels.size > 0 && !datasource) {
+    const ormConfig = readOrmConfigJson(projectRoot)
+    if (ormConfig) applyConnectionOptions(ormConfig)
+  }
+
+  // Merge the Prisma models of this file into the schema of the whole run
+  if (prismaModels.size > 0 || datasource) {
+    const fragments = {
+      models: prismaModels,
+      enums: prismaEnums,
+      schemas: prismaSchemas,
+      datasource,
+      // Tables of the models the relation fields point to, matching them
+      // with the models of an introspected schema
+      tables: new Map(
+        [...entityIndex.values()]
+          .filter((entity) => !entity.parent)
+          .map((entity) => [entity.name, getTableName(entity)])
+      ),
+    }
+
+    if (options.schemaOut && options.dry) {
+      // Printed once for the whole run, see previewSchema
+      previewSchema(options.schemaOut, fragments)
+    } else if (options.schemaOut) {
+      writeSchema(options.schemaOut, fragments)
+    } else {
+      // Without a schema file to write to, print the models of this file
+      console.log('Generated Prisma schema:', buildSchema(fragments))
+    }
+  }
 
-    // Log schema creation - in actual implementation, this would create a file
-    console.log('Generated Prisma schema:', prismaSchema)
+  // Add the connection URL to the .env file Prisma reads DATABASE_URL from
+  if (datasource && datasource.url && !options.dry) {
+    if (writeEnvFile(projectRoot, datasource.url) && api.report) {
+      api.report(`added DATABASE_URL to ${path.join(projectRoot, '.env')}`)
+    }
   }
 
+  // Report which kinds of changes were made, for the end-of-run summary
+  Object.keys(fileChanged).forEach((category) => {
+    if (fileChanged[category] && api.stats) api.stats(category)
+  })
+
   // Return transformed source
   if (
     fileChanged.entities ||
@@ -1073,7 +4360,7 @@ datasource db {
     fileChanged.services
   ) {
     // If any transformations were applied, return the modified source
-    return root.toSource()
+    return root.toSource({ quote: 'single' })
   }
 
   // Otherwise, return the original source